@@ -2,28 +2,91 @@
    ProverkaBizBot — Premium server
    - Telegram bot (Telegraf)
    - Webhook (Render)
-   - Checko provider (org data by INN)
-   - Supabase DB + Storage (PDF reports)
-   - OpenAI interpretation (optional)
-   - Quotas + PRO plan skeleton
+   - Telegram WebApp (public/, served at /webapp) + initData-authenticated check endpoint
+   - Data providers: Checko / DaData / FNS EGRUL with fallback (src/providers)
+   - Storage: Supabase DB + Storage, or local SQLite + files (src/storage)
+   - PDF reports: short one-pager for FREE, full for PRO (src/pdf.js)
+   - Report authenticity: report number + SHA-256 in inn_checks, QR code -> /verify/:reportNo
+   - PDFs are kept per plan retention and handed out as short-lived signed links
+   - REST API /api/v1 for ERP integrations (keys via /apikey, src/api.js)
+   - AI analysis: OpenAI / OpenAI-compatible endpoint / stub, structured + cached (src/ai)
+   - Rule-based risk scoring (red flags), financial statements with dynamics and ratios (src/finance.js)
+   - Arbitration cases, FSSP enforcement proceedings, public contracts: counters + paged lists (src/cases.js)
+   - Access plans (free / pro / team) with atomic quotas in the business timezone (src/plans.js)
+   - PRO via Telegram Payments (subscriptions, reminders, expiry)
+   - Watchlist with scheduled change monitoring
+   - Organizations: shared plan, quota, history and watchlist; invites by link, roles (src/orgs.js)
+   - Admin commands (ADMIN_IDS) with audit log
+   - Bulk checks from CSV / XLSX documents
+   - History export to CSV / XLSX (/export), editable DOCX copies of reports (src/docx.js)
+   - Side-by-side comparison of 2–5 counterparties in chat and PDF (/compare, src/compare.js)
 
    Required env:
    BOT_TOKEN
    PUBLIC_BASE_URL
-   SUPABASE_URL
-   SUPABASE_SERVICE_ROLE_KEY
-   SUPABASE_STORAGE_BUCKET
-   CHECKO_API_KEY (or other provider key if you replace)
+   STORAGE_BACKEND (optional: 'supabase' | 'sqlite'; default supabase if SUPABASE_URL is set, else sqlite)
+   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, SUPABASE_STORAGE_BUCKET (Supabase backend)
+   DATA_DIR, SQLITE_PATH, FILES_DIR (optional, sqlite backend; default ./data, ./data/bot.sqlite, ./data/files)
+   FILES_SIGNING_SECRET (optional, sqlite backend: key for signed /files links; default derived from BOT_TOKEN)
+   PDF_TTL_DAYS (optional, default 30: PDF retention for plans without their own pdf_days, see src/plans.js)
+   PDF_LINK_TTL_MINUTES (optional, default 60: lifetime of signed PDF links)
+   CHECKO_API_KEY and/or DADATA_API_KEY (EGRUL open data needs no key)
+   PROVIDER_ORDER (optional, default: checko,dadata,egrul)
+   PROVIDER_TIMEOUT_MS, PROVIDER_TIMEOUTS (optional, see src/providers/index.js)
+   PROVIDER_CACHE_TTL_HOURS (optional, default 24; 0 disables the cache)
+   WATCH_INTERVAL_HOURS (optional, default 24; how often watched INNs are re-fetched)
+   PAYMENT_PROVIDER_TOKEN (optional; without it invoices are in Telegram Stars)
+   PRO_PRICE_RUB, PRO_PRICE_STARS, PRO_PLANS (optional, see src/payments.js)
+   ACCESS_PLANS (optional JSON: limits + features per plan, see src/plans.js)
+   BUSINESS_TZ (optional, default Europe/Moscow; quota days and months are counted in it)
+   ADMIN_IDS (optional, comma-separated Telegram user ids)
    OPENAI_API_KEY (optional)
+   AI_BACKEND, AI_API_KEY, AI_MODEL, AI_BASE_URL, AI_TIMEOUT_MS (optional, see src/ai/index.js)
    SUPPORT_USERNAME (optional, without @)
+   RISK_RULES, RISK_THRESHOLDS (optional JSON, see src/risk.js)
 =================================================== */
 
 import 'dotenv/config';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import fetch from 'node-fetch';
-import PDFDocument from 'pdfkit';
-import { createClient } from '@supabase/supabase-js';
 import { Telegraf, Markup } from 'telegraf';
+import { parseRiskConfig, scoreRisk, riskEmoji } from './src/risk.js';
+import { createProviders } from './src/providers/index.js';
+import { createProviderCache } from './src/providers/cache.js';
+import { parseIdentifiers, KIND_LABELS } from './src/identifiers.js';
+import { regionName, splitRegionFilter } from './src/regions.js';
+import { FOUNDER_KINDS, AFFILIATE_VIA, formatShare, isInactive, affiliateStats } from './src/links.js';
+import { financeYears, latestFinance, yoy, currentRatio, equityShare, moneyShort, percentText, ratioText } from './src/finance.js';
+import { RECORD_SECTIONS, RECORDS_PAGE_SIZE, hasCases, sectionCount, caseBlocks, recordItem } from './src/cases.js';
+import { ORG_ROLES, INVITE_PAYLOAD_RE, hashInviteToken, generateInviteToken, inviteLink, invitableRoles, canManage } from './src/orgs.js';
+import { every, sleep } from './src/scheduler.js';
+import { makeSnapshot, diffSnapshots, formatChanges } from './src/watch.js';
+import { formatFromFilename, readBulkFile, buildBulkResultFile } from './src/bulk.js';
+import { parsePlans, formatPrice, invoicePayload, parseInvoicePayload, validatePayment, extendedUntil } from './src/payments.js';
+import { validateInitData } from './src/webapp.js';
+import { buildReportPdf, buildComparePdf, makeReportNo, sha256Hex, REPORT_NO_RE } from './src/pdf.js';
+import { buildReportDocx } from './src/docx.js';
+import { EXPORT_FORMATS, buildHistoryExport } from './src/export.js';
+import { COMPARE_MIN, COMPARE_MAX, buildComparison } from './src/compare.js';
+import { renderVerifyPage } from './src/verify.js';
+import { createApiRouter, apiErrorHandler, generateApiKey } from './src/api.js';
+import { createStorage } from './src/storage/index.js';
+import { createAnalyst } from './src/ai/index.js';
+import { analysisToText, severityLabel } from './src/ai/schema.js';
+import {
+  DEFAULT_BUSINESS_TZ,
+  parseAccessPlans,
+  quotaBuckets,
+  allPeriods,
+  periodKeys,
+  shiftDay,
+  zonedDayStart,
+  formatLimits,
+  remainingAfter,
+  exceededNote
+} from './src/plans.js';
 
 /* =======================
    Env + constants
@@ -34,53 +97,115 @@ const {
   SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY,
   SUPABASE_STORAGE_BUCKET,
+  STORAGE_BACKEND,
+  DATA_DIR,
+  SQLITE_PATH,
+  FILES_DIR,
+  FILES_SIGNING_SECRET,
+  PDF_TTL_DAYS,
+  PDF_LINK_TTL_MINUTES,
   CHECKO_API_KEY,
+  DADATA_API_KEY,
+  PROVIDER_ORDER,
+  PROVIDER_TIMEOUT_MS,
+  PROVIDER_TIMEOUTS,
+  PROVIDER_CACHE_TTL_HOURS,
+  WATCH_INTERVAL_HOURS,
+  PAYMENT_PROVIDER_TOKEN,
+  PRO_PRICE_RUB,
+  PRO_PRICE_STARS,
+  PRO_PLANS,
+  ACCESS_PLANS,
+  BUSINESS_TZ,
+  ADMIN_IDS,
   OPENAI_API_KEY,
+  AI_BACKEND,
+  AI_API_KEY,
+  AI_MODEL,
+  AI_BASE_URL,
+  AI_TIMEOUT_MS,
   SUPPORT_USERNAME,
+  RISK_RULES,
+  RISK_THRESHOLDS,
   PORT
 } = process.env;
 
 const APP_PORT = Number(PORT || 10000);
-
-const DAILY_FREE_LIMIT = 3;        // free checks per day
-const PRO_DAYS = 30;               // stub for PRO duration
-const PDF_TTL_DAYS = 30;           // optional: you can delete old PDFs later
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const LOCAL_DATA_DIR = DATA_DIR || path.join(ROOT_DIR, 'data'); // sqlite backend
+// WebApp needs https, so it is only offered when the service has a public URL
+const WEBAPP_URL = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/$/, '')}/webapp/` : null;
+// without a public URL the QR code would point nowhere, so reports go out without it
+const VERIFY_BASE_URL = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/$/, '')}/verify/` : null;
+
+const MAX_IDS_PER_MESSAGE = 5;     // several INN/OGRN in one message are checked one by one
+const TG_MESSAGE_LIMIT = 4096;
+const HISTORY_PAGE_SIZE = 5;
+const EXPORT_PAGE = 500;           // /export reads the history in pages of this size
+const EXPORT_MAX_ROWS = 10000;
+const SEARCH_LIMIT = 10;           // name search: results shown as buttons
+const SEARCH_MIN_LENGTH = 3;
+const LINKS_MAX_ITEMS = 10;        // "🔗 Связи": affiliated companies / branches listed (and buttons)
+
+const WATCH_EVERY_HOURS = Number(WATCH_INTERVAL_HOURS || 24);
+const WATCH_TICK_MS = 30 * 60 * 1000; // job wakes up every 30 min and takes what is due
+const WATCH_BATCH = 50;
+const WATCH_DELAY_MS = 1500;       // pause between provider calls (rate limits)
+
+const BULK_MAX_ROWS = 500;
+const BULK_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const BULK_BATCH_SIZE = 10;        // progress is updated after every batch
+const BULK_BATCH_PAUSE_MS = 2000;  // pause between batches (provider rate limits)
+const BULK_ITEM_DELAY_MS = 300;
+const INLINE_CACHE_SEC = 60;          // Telegram-side cache of an inline answer (per user)
+const INLINE_REPEAT_MS = 10 * 60 * 1000; // the same INN again within this window is not charged again
+const INLINE_MEMO_MAX = 1000;
+const ORG_INVITE_TTL_DAYS = 7;
+const ORG_NAME_MAX = 64;
+const PRO_DAYS = 30;               // default PRO period for one payment
+const PRO_REMIND_DAYS = 3;         // remind before PRO expires
+const SUBSCRIPTIONS_TICK_MS = 60 * 60 * 1000;
+
+const ADMINS = new Set(String(ADMIN_IDS || '').split(',').map((s) => Number(s.trim())).filter(Boolean));
+const BROADCAST_DELAY_MS = 50;     // ~20 msg/sec, below Telegram's 30/sec limit
+const BROADCAST_PAGE = 500;
+const BROADCAST_MAX_RETRIES = 3;   // per recipient, after 429 (Telegram flood control)
+const PDF_KEEP_DAYS = Number(PDF_TTL_DAYS || 30); // plans can override it with limits.pdf_days
+const PDF_LINK_TTL_SEC = Number(PDF_LINK_TTL_MINUTES || 60) * 60;
+const PDF_CLEANUP_TICK_MS = 6 * 60 * 60 * 1000;
+const PDF_CLEANUP_BATCH = 200;
+const CACHE_TTL_HOURS = Number(PROVIDER_CACHE_TTL_HOURS ?? 24); // provider data reuse window
+
+const RISK_CONFIG = parseRiskConfig(RISK_RULES, RISK_THRESHOLDS);
+
+const ACCESS = parseAccessPlans(ACCESS_PLANS);
+const TZ = BUSINESS_TZ || DEFAULT_BUSINESS_TZ;
+
+const PLANS = parsePlans({
+  plansJson: PRO_PLANS,
+  providerToken: PAYMENT_PROVIDER_TOKEN,
+  defaultDays: PRO_DAYS,
+  defaultPriceRub: Number(PRO_PRICE_RUB || 490),
+  defaultPriceStars: Number(PRO_PRICE_STARS || 250)
+});
 
 function mustEnv(name, val) {
   if (!val) throw new Error(`[FATAL] Missing env: ${name}`);
 }
 mustEnv('BOT_TOKEN', BOT_TOKEN);
-mustEnv('SUPABASE_URL', SUPABASE_URL);
-mustEnv('SUPABASE_SERVICE_ROLE_KEY', SUPABASE_SERVICE_ROLE_KEY);
+// Supabase keys are checked by src/storage when the Supabase backend is selected
 // PUBLIC_BASE_URL can be temporarily omitted (polling), but for webhook on Render — required
 if (!PUBLIC_BASE_URL) {
-  console.log('[WARN] PUBLIC_BASE_URL missing, webhook setup skipped (bot may still run in polling locally).');
+  console.log('[WARN] PUBLIC_BASE_URL missing, webhook setup skipped (bot runs in long polling mode).');
 }
 
-/* =======================
-   Supabase
-======================= */
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-  auth: { persistSession: false }
-});
-
 /* =======================
    Helpers
 ======================= */
 function nowISO() {
   return new Date().toISOString();
 }
-function todayKey() {
-  const d = new Date();
-  // YYYY-MM-DD in local server TZ; if you want Moscow/UTC fix — store in UTC and compute there
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-}
-
-function normalizeInn(text) {
-  const inn = String(text || '').trim();
-  if (!/^\d{10}$/.test(inn) && !/^\d{12}$/.test(inn)) return null;
-  return inn;
-}
 
 function moneyFmt(n) {
   if (n === null || n === undefined) return '—';
@@ -91,6 +216,18 @@ function moneyFmt(n) {
   }
 }
 
+// "5 мин", "3 ч 10 мин", "2 дн 4 ч"
+function formatAge(fromISO) {
+  const ms = Date.now() - new Date(fromISO).getTime();
+  if (!Number.isFinite(ms) || ms < 60 * 1000) return 'меньше минуты';
+  const min = Math.floor(ms / 60000);
+  const h = Math.floor(min / 60);
+  const d = Math.floor(h / 24);
+  if (d > 0) return `${d} дн${h % 24 ? ` ${h % 24} ч` : ''}`;
+  if (h > 0) return `${h} ч${min % 60 ? ` ${min % 60} мин` : ''}`;
+  return `${min} мин`;
+}
+
 function safeText(s) {
   if (s === null || s === undefined) return '—';
   const t = String(s).trim();
@@ -105,386 +242,463 @@ const BTN_CHECK_AGAIN = '🔁 Проверить ещё ИНН';
 const BTN_PRO = '💎 Тариф PRO';
 const BTN_WHAT = 'ℹ️ Что я проверяю?';
 const BTN_SUPPORT = '🆘 Поддержка';
+const BTN_HISTORY = '🗂 История проверок';
+const BTN_WEBAPP = '📱 Мини-приложение';
 
 function mainKeyboard() {
-  return Markup.keyboard([
+  const rows = [
     [BTN_CHECK],
-    [BTN_PRO],
+    [BTN_HISTORY, BTN_PRO],
     [BTN_WHAT, BTN_SUPPORT]
-  ]).resize();
+  ];
+  if (WEBAPP_URL) rows.unshift([Markup.button.webApp(BTN_WEBAPP, WEBAPP_URL)]);
+  return Markup.keyboard(rows).resize();
 }
 
 /* =======================
    Database layer
-   Tables expected:
-
-   bot_users:
-     id bigserial PK
-     tg_user_id bigint unique
-     tg_username text
-     first_name text
-     last_name text
-     plan text ('free'|'pro')
-     free_checks_left int
-     pro_until timestamptz null
-     created_at timestamptz default now()
-     updated_at timestamptz default now()
-
-   bot_quota_daily:
-     id bigserial PK
-     tg_user_id bigint
-     day text (YYYY-MM-DD)
-     used int
-     created_at timestamptz default now()
-
-   inn_checks:
-     id bigserial PK
-     tg_user_id bigint
-     inn text
-     kind text (e.g. 'inn')
-     provider text
-     result_summary text
-     risk_level text
-     pdf_url text
-     raw jsonb
-     created_at timestamptz default now()
-     updated_at timestamptz default now()
-
-   subscriptions:
-     id bigserial PK
-     tg_user_id bigint
-     provider text
-     status text
-     started_at timestamptz
-     expires_at timestamptz
-     meta jsonb
-==================================================== */
+   Repositories + file storage: src/storage (Supabase or local SQLite, STORAGE_BACKEND).
+   Tables and columns: src/storage/schema.sql.
+   Business rules on top of the repositories live here.
+======================= */
+const storage = await createStorage({
+  backend: STORAGE_BACKEND,
+  supabaseUrl: SUPABASE_URL,
+  supabaseServiceRoleKey: SUPABASE_SERVICE_ROLE_KEY,
+  supabaseBucket: SUPABASE_STORAGE_BUCKET || 'ProverkaINN',
+  sqlitePath: SQLITE_PATH || path.join(LOCAL_DATA_DIR, 'bot.sqlite'),
+  filesDir: FILES_DIR || path.join(LOCAL_DATA_DIR, 'files'),
+  publicBaseUrl: PUBLIC_BASE_URL,
+  signingSecret: FILES_SIGNING_SECRET || sha256Hex(`files:${BOT_TOKEN}`)
+});
+const { users, quotas, checks, subscriptions, watchlist, orgs, apiKeys, ai, logs, stats, files } = storage;
+
+// user.org = { id, name, plan, pro_until, owner_tg_user_id, role } for organization members, null otherwise
+async function withOrg(userRow) {
+  if (!userRow?.tg_user_id) return userRow;
+  const m = await orgs.membership(userRow.tg_user_id);
+  return { ...userRow, org: m ? { ...m.org, role: m.role } : null };
+}
 
 async function ensureUser(ctx) {
   const u = ctx.from;
-  const tg_user_id = u.id;
-
-  // try fetch
-  const { data: existing, error: e1 } = await supabase
-    .from('bot_users')
-    .select('*')
-    .eq('tg_user_id', tg_user_id)
-    .maybeSingle();
-
-  if (e1) {
-    console.log('[WARN] ensureUser read failed:', e1?.message || e1);
-  }
-
-  if (existing) {
-    // update minimal fields
-    const patch = {
-      tg_username: u.username || null,
-      first_name: u.first_name || null,
-      last_name: u.last_name || null,
-      updated_at: nowISO()
-    };
-    const { error: e2 } = await supabase
-      .from('bot_users')
-      .update(patch)
-      .eq('tg_user_id', tg_user_id);
+  return withOrg(await users.ensure(
+    u.id,
+    { tg_username: u.username || null, first_name: u.first_name || null, last_name: u.last_name || null },
+    { plan: 'free', pro_until: null }
+  ));
+}
 
-    if (e2) console.log('[WARN] ensureUser update failed:', e2?.message || e2);
-    return existing;
-  }
+async function loadUser(tg_user_id) {
+  return withOrg(await users.get(tg_user_id));
+}
+
+// whose checks / watches the user sees: the organization's or the personal ones (storage "owner")
+function ownerOf(userRow) {
+  return userRow.org ? { org_id: userRow.org.id } : { tg_user_id: userRow.tg_user_id };
+}
 
-  // create
-  const insert = {
+async function saveCheckLog({ tg_user_id, org_id, inn, kind, provider, result_summary, risk, pdf, raw, fetched_at }) {
+  return checks.insert({
     tg_user_id,
-    tg_username: u.username || null,
-    first_name: u.first_name || null,
-    last_name: u.last_name || null,
-    plan: 'free',
-    free_checks_left: DAILY_FREE_LIMIT,
-    pro_until: null,
+    org_id: org_id || null,
+    inn,
+    kind: kind || 'inn',
+    provider: provider || 'unknown',
+    result_summary: result_summary || null,
+    risk_level: risk?.level || null,
+    risk_score: risk?.score ?? null,
+    risk_flags: risk?.flags || null,
+    pdf_path: pdf?.pdf_path || null,
+    report_no: pdf?.report_no || null,
+    pdf_sha256: pdf?.pdf_sha256 || null,
+    raw: raw || null,
+    fetched_at: fetched_at || nowISO(),
     created_at: nowISO(),
     updated_at: nowISO()
-  };
+  });
+}
 
-  const { data: created, error: e3 } = await supabase
-    .from('bot_users')
-    .insert(insert)
-    .select('*')
-    .single();
+// pdf: { pdf_path, report_no, pdf_sha256 } — a rebuilt PDF is a new report (and drops a legacy permanent link)
+async function updateCheckPdf(id, pdf) {
+  await checks.update(id, { ...pdf, pdf_url: null, updated_at: nowISO() });
+}
 
-  if (e3) {
-    console.log('[ERROR] ensureUser insert failed:', e3?.message || e3);
-    // fallback object
-    return insert;
-  }
-  return created;
+async function listChecks(userRow, { filter = {}, offset = 0, limit = HISTORY_PAGE_SIZE } = {}) {
+  return checks.list(ownerOf(userRow), { filter, offset, limit });
+}
+
+async function addToWatchlist({ tg_user_id, org_id, inn, name, snapshot }) {
+  return watchlist.upsert({
+    tg_user_id,
+    org_id: org_id || null,
+    inn,
+    name: name || null,
+    snapshot,
+    last_checked_at: nowISO(),
+    created_at: nowISO()
+  });
 }
 
-async function getDailyQuota(tg_user_id) {
-  const day = todayKey();
-  const { data, error } = await supabase
-    .from('bot_quota_daily')
-    .select('*')
-    .eq('tg_user_id', tg_user_id)
-    .eq('day', day)
-    .maybeSingle();
+// Paid (or granted) period: extend pro_until, close the previous active row, open a new one.
+// plan: access plan id (src/plans.js) the user gets for the period
+// org_id: the period is for the organization (all its members), tg_user_id is the payer then
+async function activateProSubscription({ tg_user_id, org_id = null, days, provider, meta, plan = 'pro' }) {
+  const holder = org_id ? await orgs.get(org_id) : await users.get(tg_user_id);
+  const expires_at = extendedUntil(holder?.pro_until, days);
+
+  if (org_id) await orgs.update(org_id, { plan, pro_until: expires_at, updated_at: nowISO() });
+  else await users.update(tg_user_id, { plan, pro_until: expires_at, updated_at: nowISO() });
+  await subscriptions.closeActive(org_id ? { org_id } : { tg_user_id }, 'extended');
+  await subscriptions.insert({
+    tg_user_id,
+    org_id,
+    provider,
+    status: 'active',
+    started_at: nowISO(),
+    expires_at,
+    reminded_at: null,
+    meta: { days, access_plan: plan, ...meta }
+  });
 
-  if (error) {
-    console.log('[WARN] getDailyQuota failed:', error?.message || error);
-    return { day, used: 0 };
-  }
+  return expires_at;
+}
 
-  if (!data) return { day, used: 0 };
-  return { day, used: Number(data.used || 0) };
+async function downgradeUser(tg_user_id) {
+  await users.update(tg_user_id, { plan: 'free', updated_at: nowISO() });
 }
 
-async function incDailyQuota(tg_user_id) {
-  const day = todayKey();
-  const quota = await getDailyQuota(tg_user_id);
+// owners and admins pay for the whole organization, members for themselves
+function paysForOrg(userRow) {
+  return Boolean(userRow.org && ['owner', 'admin'].includes(userRow.org.role));
+}
 
-  if (quota.used === 0) {
-    const { error } = await supabase.from('bot_quota_daily').insert({
-      tg_user_id,
-      day,
-      used: 1,
-      created_at: nowISO()
-    });
-    if (error) console.log('[WARN] incDailyQuota insert failed:', error?.message || error);
-    return 1;
-  } else {
-    const { error } = await supabase
-      .from('bot_quota_daily')
-      .update({ used: quota.used + 1 })
-      .eq('tg_user_id', tg_user_id)
-      .eq('day', day);
+async function revokePro(tg_user_id) {
+  await users.update(tg_user_id, { plan: 'free', pro_until: null, updated_at: nowISO() });
+  await subscriptions.closeActive({ tg_user_id }, 'revoked');
+}
 
-    if (error) console.log('[WARN] incDailyQuota update failed:', error?.message || error);
-    return quota.used + 1;
-  }
+// current day / month / lifetime counters of the bucket the user's checks are counted in (own or organization's)
+async function resetQuota(userRow) {
+  await quotas.reset(quotaOwnerId(userRow), allPeriods(new Date(), TZ).map((p) => p.period));
 }
 
-async function saveCheckLog({ tg_user_id, inn, provider, result_summary, risk_level, pdf_url, raw }) {
-  const payload = {
-    tg_user_id,
-    inn,
-    kind: 'inn',
-    provider: provider || 'unknown',
-    result_summary: result_summary || null,
-    risk_level: risk_level || null,
-    pdf_url: pdf_url || null,
-    raw: raw || null,
-    created_at: nowISO(),
-    updated_at: nowISO()
-  };
+// '@username' or numeric Telegram id -> bot_users row (with .org)
+async function findUserByRef(ref) {
+  const r = String(ref || '').trim();
+  if (/^\d+$/.test(r)) return loadUser(Number(r));
+  if (!/^@?\w{3,}$/.test(r)) return null;
+  return withOrg(await users.findByUsername(r.replace(/^@/, '')));
+}
+
+async function logProviderError(provider, query, error) {
+  await logs.insert('provider_errors', {
+    provider,
+    query: String(query),
+    error: String(error).slice(0, 500),
+    created_at: nowISO()
+  });
+}
+
+async function auditAdmin({ admin_tg_user_id, action, target_tg_user_id, params }) {
+  await logs.insert('admin_audit', {
+    admin_tg_user_id,
+    action,
+    target_tg_user_id: target_tg_user_id || null,
+    params: params || null,
+    created_at: nowISO()
+  });
+}
+
+// One active key per user: issuing a new key revokes the previous one.
+async function issueApiKey(tg_user_id, { hash, hint }) {
+  if (!(await apiKeys.revokeAll(tg_user_id, nowISO()))) return false;
+  return apiKeys.insert({ tg_user_id, key_hash: hash, key_hint: hint, created_at: nowISO() });
+}
 
-  const { error } = await supabase.from('inn_checks').insert(payload);
-  if (error) console.log('[WARN] saveCheckLog failed:', error?.message || error);
+async function findUserByApiKey(key_hash) {
+  const key = await apiKeys.findActiveByHash(key_hash);
+  if (!key) return null;
+  apiKeys.touch(key.id, nowISO());
+  return loadUser(key.tg_user_id);
 }
 
 /* =======================
-   Checko provider
-   NOTE: If your Checko plan/endpoint differs, adapt mapping below.
+   Data providers
 ======================= */
-async function fetchCheckoCompany(inn) {
-  if (!CHECKO_API_KEY) {
-    return { provider: 'checko', error: 'CHECKO_API_KEY не задан. Данные провайдера недоступны.', raw: null };
-  }
+const providers = createProviders({
+  checkoApiKey: CHECKO_API_KEY,
+  dadataApiKey: DADATA_API_KEY,
+  order: PROVIDER_ORDER,
+  timeoutMs: PROVIDER_TIMEOUT_MS,
+  timeoutsJson: PROVIDER_TIMEOUTS,
+  // missing keys are configuration, not provider errors
+  onError: logProviderError
+});
 
-  const url = `https://api.checko.ru/v2/company?key=${encodeURIComponent(CHECKO_API_KEY)}&inn=${encodeURIComponent(inn)}`;
+const providerCache = createProviderCache({
+  providers,
+  ttlMs: Math.max(0, CACHE_TTL_HOURS) * 3600 * 1000,
+  loadStored: checks.findFreshProviderData
+});
 
-  try {
-    const r = await fetch(url, { method: 'GET' });
-    const raw = await r.json().catch(() => null);
+/* =======================
+   AI analysis (optional, src/ai): structured JSON, cached per INN + data version
+   We do NOT claim any "legal validity" — we generate an internal analytical note.
+======================= */
+const analyst = createAnalyst({
+  backend: AI_BACKEND,
+  apiKey: AI_API_KEY || OPENAI_API_KEY,
+  baseUrl: AI_BASE_URL,
+  model: AI_MODEL,
+  timeoutMs: AI_TIMEOUT_MS,
+  loadStored: ai.findAnalysis,
+  saveStored: ai.saveAnalysis
+});
 
-    if (!r.ok) {
-      return { provider: 'checko', error: `Checko HTTP ${r.status}`, raw };
-    }
-    if (!raw || raw.error) {
-      return { provider: 'checko', error: raw?.error || 'Unknown error', raw };
-    }
-    return { provider: 'checko', error: null, raw };
-  } catch (e) {
-    return { provider: 'checko', error: `Network error: ${e?.message || e}`, raw: null };
-  }
+// one ai_usage row per check that asked for an analysis; cached answers are logged with 0 tokens
+async function logAiUsage({ tg_user_id, check_id, inn, usage }) {
+  await logs.insert('ai_usage', {
+    tg_user_id,
+    check_id: check_id ?? null,
+    inn,
+    backend: usage.backend,
+    model: usage.model,
+    cached: usage.cached,
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    total_tokens: usage.total_tokens,
+    created_at: nowISO()
+  });
+}
+
+/* =======================
+   PDF storage (layout lives in src/pdf.js)
+======================= */
+async function uploadPdf({ tg_user_id, inn, pdfBuffer }) {
+  const path = `reports/${tg_user_id}/${inn}_${Date.now()}.pdf`;
+  const up = await files.upload(path, pdfBuffer, { contentType: 'application/pdf' });
+  if (up.error) return { error: `PDF не загружен (проверь хранилище файлов / ключи): ${up.error}`, path: null };
+  return { error: null, path };
 }
 
-function normalizeCompany(checkoRaw) {
-  // Checko often returns { data: { ... } }
-  const data = checkoRaw?.data || checkoRaw?.result || checkoRaw || null;
-  if (!data) return null;
+// Links are generated on request and expire: a forwarded link stops working after PDF_LINK_TTL_MINUTES
+async function pdfLink(pdfPath) {
+  return pdfPath ? files.signedUrl(pdfPath, PDF_LINK_TTL_SEC) : null;
+}
 
-  // heuristics for common fields
-  const name = data.short_name || data.name || data.full_name || data?.ul?.name || data?.ip?.fio || null;
-  const ogrn = data.ogrn || data?.ul?.ogrn || data?.ip?.ogrnip || null;
-  const kpp = data.kpp || data?.ul?.kpp || null;
-  const status = data.status || data?.state || data?.ul?.status || null;
-  const address =
-    data.address ||
-    data?.ul?.address ||
-    data?.address?.value ||
-    data?.fns?.address ||
-    null;
+// Builds the PDF, uploads it and returns the columns to store with the check.
+// pdf is null when the upload failed: an unverifiable report number is not stored.
+async function buildAndStoreReport({ tg_user_id, ...report }) {
+  const reportNo = makeReportNo();
+  const pdfBuffer = await buildReportPdf({
+    ...report,
+    reportNo,
+    verifyUrl: verifyUrlOf(reportNo)
+  });
 
-  // a very rough risk placeholder (you will replace with real scoring rules later)
-  const risk_level = '—';
+  const up = await uploadPdf({ tg_user_id, inn: report.inn, pdfBuffer });
+  if (up.error) {
+    console.log('[WARN] PDF upload:', up.error);
+    return { pdfBuffer, pdf: null };
+  }
 
   return {
-    name: name || null,
-    ogrn: ogrn || null,
-    kpp: kpp || null,
-    status: status || null,
-    address: address || null,
-    risk_level
+    pdfBuffer,
+    pdf: { pdf_path: up.path, report_no: reportNo, pdf_sha256: sha256Hex(pdfBuffer) }
   };
 }
 
-/* =======================
-   OpenAI interpretation (optional)
-   We do NOT claim any "legal validity" — we generate an internal analytical note.
-======================= */
-async function openaiInterpret(company) {
-  if (!OPENAI_API_KEY) return null;
-
-  const prompt = `
-Ты — аналитик комплаенса. Сформируй краткое заключение по контрагенту на русском.
-Дай:
-1) краткую сводку (1-2 предложения)
-2) потенциальные риски (списком)
-3) что проверить дополнительно (списком)
-Важно: не называй это юридическим заключением для суда/ФНС. Это внутренняя проверка.
-
-Данные:
-Наименование: ${company?.name || '—'}
-ОГРН/ОГРНИП: ${company?.ogrn || '—'}
-КПП: ${company?.kpp || '—'}
-Статус: ${company?.status || '—'}
-Адрес: ${company?.address || '—'}
-`;
+function reportFilename(row, ext = 'pdf') {
+  return `report_${row.inn}_${String(row.created_at).slice(0, 10)}.${ext}`;
+}
 
-  try {
-    const r = await fetch('https://api.openai.com/v1/responses', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4.1-mini',
-        input: prompt,
-        max_output_tokens: 500
-      })
-    });
+function verifyUrlOf(reportNo) {
+  return reportNo && VERIFY_BASE_URL ? `${VERIFY_BASE_URL}${reportNo}` : null;
+}
 
-    const j = await r.json().catch(() => null);
-    if (!r.ok) {
-      console.log('[WARN] OpenAI error:', r.status, j);
-      return null;
+// Stored PDF of a check; if the link is dead — rebuilds it from the stored raw payload.
+// -> { buffer } | { error: 'no_source' | 'build_failed' }
+async function loadReportPdf(row) {
+  if (row.pdf_path) {
+    const buffer = await files.download(row.pdf_path);
+    if (buffer) return { buffer };
+  } else if (row.pdf_url) {
+    // rows from before pdf_path was stored
+    try {
+      const r = await fetch(row.pdf_url);
+      if (r.ok) return { buffer: Buffer.from(await r.arrayBuffer()) };
+      console.log('[WARN] stored PDF unavailable:', r.status, row.pdf_url);
+    } catch (e) {
+      console.log('[WARN] stored PDF fetch failed:', e?.message || e);
     }
+  }
 
-    // Responses API output
-    const text =
-      j?.output?.[0]?.content?.[0]?.text ||
-      j?.output_text ||
-      null;
+  const company = providers.normalize(row.provider, row.raw);
+  if (!company) return { error: 'no_source' };
 
-    if (!text) return null;
-    return String(text).trim();
+  try {
+    const risk = scoreRisk(company, RISK_CONFIG);
+    const user = await loadUser(row.tg_user_id);
+    const { pdfBuffer, pdf } = await buildAndStoreReport({
+      tg_user_id: row.tg_user_id,
+      inn: row.inn,
+      company,
+      risk,
+      analysis: null,
+      provider: row.provider,
+      fetchedAt: row.fetched_at || row.created_at,
+      cached: false,
+      variant: user && can(user, 'pdf_full') ? 'full' : 'short'
+    });
+    if (pdf) await updateCheckPdf(row.id, pdf);
+    return { buffer: pdfBuffer };
   } catch (e) {
-    console.log('[WARN] OpenAI network error:', e?.message || e);
-    return null;
+    console.log('[ERROR] PDF regenerate failed:', e?.message || e);
+    return { error: 'build_failed' };
   }
 }
 
-/* =======================
-   PDF generation
-======================= */
-function buildPdfBuffer({ inn, company, aiText }) {
-  return new Promise((resolve, reject) => {
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
-    const chunks = [];
-    doc.on('data', (c) => chunks.push(c));
-    doc.on('end', () => resolve(Buffer.concat(chunks)));
-    doc.on('error', reject);
-
-    // Header
-    doc.fontSize(16).text('ОТЧЁТ О ПРОВЕРКЕ КОНТРАГЕНТА (ИНН)', { align: 'center' });
-    doc.moveDown(0.5);
-    doc.fontSize(10).fillColor('#555').text(`Дата формирования: ${new Date().toLocaleString('ru-RU')}`, { align: 'center' });
-    doc.moveDown(1);
-    doc.fillColor('#000');
-
-    // Block
-    doc.fontSize(12).text(`ИНН: ${inn}`);
-    doc.moveDown(0.5);
-
-    doc.fontSize(12).text('Сведения об организации (по данным провайдера):', { underline: true });
-    doc.moveDown(0.5);
-
-    const rows = [
-      ['Наименование', safeText(company?.name)],
-      ['ОГРН / ОГРНИП', safeText(company?.ogrn)],
-      ['КПП', safeText(company?.kpp)],
-      ['Статус', safeText(company?.status)],
-      ['Адрес', safeText(company?.address)]
-    ];
-
-    rows.forEach(([k, v]) => {
-      doc.fontSize(11).text(`${k}: `, { continued: true }).font('Helvetica-Bold').text(v);
-      doc.font('Helvetica');
-      doc.moveDown(0.2);
+// Editable DOCX copy of a check's report, built from the stored raw payload like a rebuilt PDF.
+// The AI section is taken from the analysis cache only: a copy never spends tokens.
+// -> { buffer } | { error: 'no_source' | 'build_failed' }
+async function buildCheckDocx(row, user) {
+  const company = providers.normalize(row.provider, row.raw);
+  if (!company) return { error: 'no_source' };
+
+  try {
+    const risk = scoreRisk(company, RISK_CONFIG);
+    const variant = can(user, 'pdf_full') ? 'full' : 'short';
+    const aiRes = variant === 'full' && can(user, 'ai')
+      ? await analyst.analyze({ inn: row.inn, company, risk }, { cachedOnly: true })
+      : null;
+    const buffer = await buildReportDocx({
+      inn: row.inn,
+      company,
+      risk,
+      analysis: aiRes?.analysis || null,
+      provider: row.provider,
+      fetchedAt: row.fetched_at || row.created_at,
+      cached: false,
+      variant,
+      reportNo: row.report_no || null,
+      verifyUrl: verifyUrlOf(row.report_no)
     });
+    return { buffer };
+  } catch (e) {
+    console.log('[ERROR] DOCX build failed:', e?.message || e);
+    return { error: 'build_failed' };
+  }
+}
 
-    doc.moveDown(0.7);
+// Scheduled: deletes PDFs past the retention of the owner's current plan and clears the links to them.
+// Organization checks follow the organization's plan.
+// Report number and hash stay, so /verify still answers; /history rebuilds the PDF from raw data on request.
+function pdfRetentionDays(plan) {
+  return plan.limits.pdf_days ?? PDF_KEEP_DAYS;
+}
 
-    doc.fontSize(12).text('Примечание:', { underline: true });
-    doc.moveDown(0.3);
-    doc.fontSize(10).fillColor('#333').text(
-      'Данный отчёт носит информационный характер и предназначен для внутренней проверки. ' +
-      'Не является документом ФНС и не гарантирует отсутствие рисков. ' +
-      'Рекомендуется проводить комплексную проверку контрагента.'
-    );
-    doc.fillColor('#000');
-
-    if (aiText) {
-      doc.moveDown(1);
-      doc.fontSize(12).text('Аналитическое резюме (ИИ):', { underline: true });
-      doc.moveDown(0.4);
-      doc.fontSize(10).fillColor('#111').text(aiText);
-      doc.fillColor('#000');
+async function runPdfRetentionJob() {
+  const DAY_MS = 24 * 3600 * 1000;
+  const minDays = Math.min(...Object.values(ACCESS).map(pdfRetentionDays));
+  const beforeISO = new Date(Date.now() - minDays * DAY_MS).toISOString();
+  const planByOwner = new Map();
+  let afterId = 0;
+  let removed = 0;
+
+  for (;;) {
+    const rows = await checks.listWithPdf({ beforeISO, afterId, limit: PDF_CLEANUP_BATCH });
+    for (const row of rows) {
+      afterId = row.id;
+      const ownerKey = row.org_id ? `org:${row.org_id}` : `user:${row.tg_user_id}`;
+      if (!planByOwner.has(ownerKey)) {
+        planByOwner.set(ownerKey, row.org_id
+          ? ACCESS[activePlanId(await orgs.get(row.org_id))]
+          : planOf(await users.get(row.tg_user_id)));
+      }
+
+      const madeAt = new Date(row.updated_at || row.created_at).getTime();
+      if (madeAt > Date.now() - pdfRetentionDays(planByOwner.get(ownerKey)) * DAY_MS) continue;
+
+      const objectPath = row.pdf_path || files.pathFromUrl(row.pdf_url);
+      if (objectPath && !(await files.remove([objectPath]))) continue; // next run retries
+
+      // updated_at is left alone: it is the report generation time shown by /verify
+      await checks.update(row.id, { pdf_path: null, pdf_url: null });
+      removed++;
     }
+    if (rows.length < PDF_CLEANUP_BATCH) break;
+  }
 
-    // Footer stamp-like
-    doc.moveDown(1.5);
-    doc.fontSize(10).fillColor('#444').text('Отметка: проверено автоматически системой ProverkaBiz.', { align: 'right' });
-    doc.fillColor('#000');
-
-    doc.end();
-  });
+  if (removed) console.log('[INFO] PDF retention: removed', removed);
 }
 
-async function uploadPdfToSupabase({ tg_user_id, inn, pdfBuffer }) {
-  const bucket = SUPABASE_STORAGE_BUCKET || 'ProverkaINN';
-  const path = `reports/${tg_user_id}/${inn}_${Date.now()}.pdf`;
+/* =======================
+   Text formatting for Telegram
+======================= */
+// AI output goes into Markdown: its own * _ ` [ must not open entities
+function mdEscape(s) {
+  return String(s).replace(/([*_`[])/g, '\\$1');
+}
 
-  const { error: upErr } = await supabase.storage
-    .from(bucket)
-    .upload(path, pdfBuffer, {
-      contentType: 'application/pdf',
-      upsert: false
-    });
+// inline button texts are kept short (Telegram cuts long ones unpredictably)
+function buttonLabel(text) {
+  return text.length > 64 ? `${text.slice(0, 63)}…` : text;
+}
 
-  if (upErr) {
-    return { error: `PDF не загружен (проверь Supabase Storage / ключи): ${upErr.message}`, publicUrl: null };
+// lengths are capped by the schema (src/ai/schema.js), nothing is cut here
+function buildAnalysisMd(analysis) {
+  const lines = ['🧠 *Аналитика (ИИ):*', mdEscape(analysis.summary)];
+  if (analysis.risks.length) {
+    lines.push('');
+    lines.push('*Риски:*');
+    analysis.risks.forEach((r) => lines.push(`• ${mdEscape(r.title)} (${severityLabel(r.severity)})${r.details ? ` — ${mdEscape(r.details)}` : ''}`));
+  }
+  if (analysis.recommendations.length) {
+    lines.push('');
+    lines.push('*Что проверить:*');
+    analysis.recommendations.forEach((line) => lines.push(`• ${mdEscape(line)}`));
   }
+  return lines.join('\n');
+}
+
+// last reporting year with the change to the year before, ratios, revenue by year (src/finance.js)
+function buildFinanceMd(company) {
+  const last = latestFinance(company);
+  const prev = company.finance.find((r) => r.year === last.year - 1);
+  const change = (cur, before) => {
+    const v = yoy(cur, before);
+    return v === null ? '' : ` (${percentText(v)} к ${prev.year})`;
+  };
 
-  // public URL
-  const { data } = supabase.storage.from(bucket).getPublicUrl(path);
-  return { error: null, publicUrl: data?.publicUrl || null };
+  const lines = [`📊 *Финансы за ${last.year} год:*`];
+  const item = (label, value, note = '') => {
+    if (value !== null) lines.push(`• *${label}:* ${value}${note}`);
+  };
+  item('Выручка', moneyShort(last.revenue), change(last.revenue, prev?.revenue));
+  item('Чистая прибыль', moneyShort(last.profit), last.profit < 0 ? ' ⚠️ убыток' : change(last.profit, prev?.profit));
+  item('Активы', moneyShort(last.assets));
+  item('Собственный капитал', moneyShort(last.equity), last.equity < 0 ? ' ⚠️ отрицательный' : '');
+  item('Обязательства', moneyShort(last.liabilities));
+  item('Текущая ликвидность', ratioText(currentRatio(last)));
+  item('Доля собственного капитала', percentText(equityShare(last), { signed: false }));
+
+  const revenue = financeYears(company).filter((r) => r.revenue !== null);
+  if (revenue.length > 1) lines.push(`• *Выручка по годам:* ${revenue.map((r) => `${r.year} — ${moneyShort(r.revenue)}`).join(', ')}`);
+  return lines.join('\n');
 }
 
-/* =======================
-   Text formatting for Telegram
-======================= */
-function buildTelegramReport({ inn, company, aiText, pdfUrl, quotaNote }) {
+// arbitration / FSSP / contracts counters (src/cases.js); the cases themselves are behind "📂 Подробнее"
+function buildCasesMd(company) {
+  const lines = ['⚖️ *Суды, ФССП, госзакупки:*'];
+  caseBlocks(company).forEach((block) => {
+    const parts = block.rows.map((r) => `${r.label}: ${r.value}${r.alert ? ' ⚠️' : ''}`);
+    lines.push(`• *${block.title}:* ${parts.join('; ')}`);
+  });
+  return lines.join('\n');
+}
+
+function buildTelegramReport({ inn, company, risk, analysis, pdfUrl, reportNo, quotaNote, provider, fetchedAt, cached }) {
   const lines = [];
 
   lines.push(`🔎 *Сводка по ИНН ${inn}*`);
@@ -496,23 +710,45 @@ function buildTelegramReport({ inn, company, aiText, pdfUrl, quotaNote }) {
   lines.push(`• *КПП:* ${safeText(company?.kpp)}`);
   lines.push(`• *Статус:* ${safeText(company?.status)}`);
   lines.push(`• *Адрес:* ${safeText(company?.address)}`);
+  lines.push(`• *Источник:* ${safeText(provider)}`);
+  if (cached && fetchedAt) {
+    lines.push(`🗂 _Данные из кэша, получены ${formatAge(fetchedAt)} назад._`);
+  }
+
+  if (latestFinance(company)) {
+    lines.push('');
+    lines.push(buildFinanceMd(company));
+  }
+  if (hasCases(company)) {
+    lines.push('');
+    lines.push(buildCasesMd(company));
+  }
 
   lines.push('');
-  lines.push(`⚠️ *Уровень риска:* ${safeText(company?.risk_level)}`);
+  if (risk) {
+    lines.push(`${riskEmoji(risk.level)} *Уровень риска:* ${risk.level} (${risk.score}/100)`);
+    if (risk.flags.length) {
+      lines.push('*Красные флаги:*');
+      risk.flags.forEach((f) => lines.push(`• *${mdEscape(f.title)}* — ${mdEscape(f.details)}`));
+    } else {
+      lines.push('Красных флагов по доступным данным не выявлено.');
+    }
+  } else {
+    lines.push('⚠️ *Уровень риска:* —');
+  }
 
-  if (aiText) {
+  if (analysis) {
     lines.push('');
-    lines.push('🧠 *Аналитика (ИИ):*');
-    // avoid too long message
-    const trimmed = aiText.length > 1200 ? aiText.slice(0, 1200) + '…' : aiText;
-    lines.push(trimmed);
+    lines.push(buildAnalysisMd(analysis));
   }
 
   lines.push('');
   if (pdfUrl) {
-    lines.push(`📄 *PDF-отчёт:* ${pdfUrl}`);
+    lines.push(`📄 [PDF-отчёт](${pdfUrl}) _(ссылка действует ${Math.round(PDF_LINK_TTL_SEC / 60)} мин, потом — в /history)_`);
+  } else if (reportNo) {
+    lines.push('📄 *PDF-отчёт сохранён* — пришлю его из /history.');
   } else {
-    lines.push('📄 *PDF не загружен* (проверь Supabase Storage / ключи).');
+    lines.push('📄 *PDF не сохранён* (см. логи хранилища).');
   }
 
   if (quotaNote) {
@@ -527,56 +763,79 @@ function buildTelegramReport({ inn, company, aiText, pdfUrl, quotaNote }) {
 }
 
 /* =======================
-   Business logic: can check?
+   Business logic: access plan + quotas (definitions in src/plans.js)
 ======================= */
-function isPro(userRow) {
-  if (!userRow) return false;
-  if (userRow.plan === 'pro') return true;
-  if (userRow.pro_until) {
-    const t = new Date(userRow.pro_until).getTime();
-    return Number.isFinite(t) && t > Date.now();
-  }
-  return false;
+// plan / pro_until of a user or an organization row -> plan id in effect now
+function activePlanId(row) {
+  const id = row?.plan && ACCESS[row.plan] ? row.plan : 'free';
+  if (id === 'free' || !row.pro_until) return id;
+  const t = new Date(row.pro_until).getTime();
+  return Number.isFinite(t) && t > Date.now() ? id : 'free';
 }
 
-async function canDoCheck(userRow) {
-  const tg_user_id = userRow.tg_user_id;
+// an organization's paid plan applies to all its members; without one, members keep their own plan
+function planIdOf(userRow) {
+  const orgPlan = userRow?.org ? activePlanId(userRow.org) : 'free';
+  return orgPlan !== 'free' ? orgPlan : activePlanId(userRow);
+}
 
-  if (isPro(userRow)) return { ok: true, note: null };
+// counters the checks are taken from: the organization's (kept under -org id) while its plan applies
+function quotaOwnerId(userRow) {
+  return userRow.org && activePlanId(userRow.org) !== 'free' ? -userRow.org.id : userRow.tg_user_id;
+}
 
-  // daily quota + free_checks_left
-  const left = Number(userRow.free_checks_left ?? 0);
-  if (left <= 0) {
-    return {
-      ok: false,
-      note: '⛔️ Лимит на сегодня исчерпан. В PRO будет безлимит + история + PDF.'
-    };
-  }
+function planOf(userRow) {
+  return ACCESS[planIdOf(userRow)];
+}
 
-  const q = await getDailyQuota(tg_user_id);
-  if (q.used >= DAILY_FREE_LIMIT) {
-    return {
-      ok: false,
-      note: '⛔️ Дневной лимит free исчерпан. В PRO будет безлимит + история + PDF.'
-    };
-  }
+// any paid plan (pro, team, ...)
+function isPro(userRow) {
+  return planIdOf(userRow) !== 'free';
+}
 
-  return { ok: true, note: `✅ Free-лимит: осталось ${left} проверок.` };
+function can(userRow, feature) {
+  return Boolean(planOf(userRow).features[feature]);
 }
 
-async function consumeFree(userRow) {
-  const tg_user_id = userRow.tg_user_id;
-  const left = Math.max(0, Number(userRow.free_checks_left ?? 0) - 1);
+const QUOTA_UNAVAILABLE_NOTE = '⚠️ Не удалось учесть проверку в лимите. Попробуй позже.';
+
+// Takes one check from every limited counter of the plan, atomically.
+// -> { ok: true, ticket, note } | { ok: false, note, unavailable }; give the ticket to refundCheck() if the check fails
+// unavailable: the counter itself failed (storage error), the check is refused rather than left uncounted
+async function consumeCheck(userRow) {
+  const plan = planOf(userRow);
+  const buckets = quotaBuckets(plan, new Date(), TZ);
+  if (!buckets.length) return { ok: true, ticket: null, note: null };
+
+  const quotaOwner = quotaOwnerId(userRow);
+  const r = await quotas.consume(quotaOwner, buckets);
+  if (r.error) return { ok: false, unavailable: true, note: QUOTA_UNAVAILABLE_NOTE };
+  if (!r.ok) {
+    const kind = buckets.find((b) => b.period === r.exceeded)?.kind || buckets[0].kind;
+    return { ok: false, note: exceededNote(plan, kind, TZ) };
+  }
+
+  const left = remainingAfter(buckets, r.used);
+  return {
+    ok: true,
+    ticket: { tg_user_id: quotaOwner, periods: buckets.map((b) => b.period) },
+    note: left ? `🔻 Осталось проверок: ${left.left}` : null
+  };
+}
 
-  const { error } = await supabase
-    .from('bot_users')
-    .update({ free_checks_left: left, updated_at: nowISO() })
-    .eq('tg_user_id', tg_user_id);
+async function refundCheck(ticket) {
+  if (ticket) await quotas.refund(ticket.tg_user_id, ticket.periods);
+}
 
-  if (error) console.log('[WARN] consumeFree update failed:', error?.message || error);
-  await incDailyQuota(tg_user_id);
+// Read-only: is there at least one check left? (early answer before a batch; consumeCheck decides)
+async function checkAllowance(userRow) {
+  const plan = planOf(userRow);
+  const buckets = quotaBuckets(plan, new Date(), TZ);
+  if (!buckets.length) return { ok: true, note: null };
 
-  return left;
+  const used = await quotas.usage(quotaOwnerId(userRow), buckets.map((b) => b.period));
+  const full = buckets.find((b) => Number(used[b.period] || 0) >= b.limit);
+  return full ? { ok: false, note: exceededNote(plan, full.kind, TZ) } : { ok: true, note: null };
 }
 
 /* =======================
@@ -585,12 +844,29 @@ async function consumeFree(userRow) {
 const bot = new Telegraf(BOT_TOKEN);
 
 bot.start(async (ctx) => {
-  await ensureUser(ctx);
+  const user = await ensureUser(ctx);
+
+  // invite link: t.me/<bot>?start=join_<token>
+  const inviteToken = INVITE_PAYLOAD_RE.exec(ctx.startPayload || '')?.[1];
+  if (inviteToken) {
+    await joinOrg(ctx, user, inviteToken);
+    return;
+  }
+
+  // deep link from an inline card: t.me/<bot>?start=inn_<INN>
+  const deepInn = /^inn_(\d{10}|\d{12})$/.exec(ctx.startPayload || '')?.[1];
+  const id = deepInn ? parseIdentifiers(deepInn)[0] : null;
+  if (id?.valid && id.kind !== 'kpp') {
+    await runInnCheck(ctx, user, id.value, { label: KIND_LABELS[id.kind] });
+    return;
+  }
 
   const hello =
     `Привет! Я проверяю контрагентов по ИНН.\n\n` +
-    `Пришли ИНН (10 или 12 цифр) одним сообщением.\n` +
-    `Лимит free: ${DAILY_FREE_LIMIT} проверки в день.\n\n` +
+    `Пришли ИНН (10 или 12 цифр) или ОГРН/ОГРНИП одним сообщением.\n` +
+    `Не знаешь ИНН — напиши название компании или ФИО предпринимателя, можно с регионом: «Ромашка регион 66».\n` +
+    `Можно несколько номеров — через запятую или с новой строки.\n` +
+    `Лимит ${ACCESS.free.title}: ${formatLimits(ACCESS.free)}.\n\n` +
     `Жми кнопку ниже 👇`;
 
   await ctx.reply(hello, mainKeyboard());
@@ -598,141 +874,2100 @@ bot.start(async (ctx) => {
 
 bot.hears([BTN_CHECK, BTN_CHECK_AGAIN], async (ctx) => {
   await ensureUser(ctx);
-  await ctx.reply('Ок. Пришли ИНН (10 или 12 цифр) одним сообщением.', mainKeyboard());
+  await ctx.reply('Ок. Пришли ИНН (10 или 12 цифр) или название компании одним сообщением.', mainKeyboard());
 });
 
 bot.hears(BTN_WHAT, async (ctx) => {
   const text =
     `Я подтягиваю базовые сведения по ИНН:\n` +
-    `• наименование\n• ОГРН/ОГРНИП\n• КПП\n• статус\n• адрес\n\n` +
+    `• наименование\n• ОГРН/ОГРНИП\n• КПП\n• статус\n• адрес\n` +
+    `• финансы по годам: выручка, прибыль, активы, капитал, динамика и коэффициенты (если есть отчётность)\n` +
+    `• арбитражные дела, исполнительные производства ФССП, госконтракты — с кнопкой «Подробнее»\n\n` +
+    `Поиск по названию или ФИО: напиши текстом, выбери компанию из списка (поиск лимит не тратит).\n` +
+    `В любом чате: @${ctx.botInfo.username} <ИНН> — короткая карточка (статус, риск) с кнопкой полного отчёта.\n` +
+    `Пакетная проверка: пришли файл .csv или .xlsx с ИНН — верну таблицу с результатами.\n` +
+    `Команда: /org — общие тариф, лимиты, история и отслеживание для коллег.\n` +
+    `Выгрузка истории в CSV / XLSX: /export; под отчётом — кнопка DOCX для правок.\n` +
+    `Сравнение 2–5 компаний в таблице и PDF: /compare ИНН ИНН.\n\n` +
     `В PRO:\n• безлимит проверок\n• история\n• PDF-отчёты с отметкой "проверено"\n• риск-флаги (постепенно расширим)\n`;
   await ctx.reply(text, mainKeyboard());
 });
 
+function plansKeyboard() {
+  return Markup.inlineKeyboard(PLANS.map((p) => [Markup.button.callback(`${p.title} — ${formatPrice(p)}`, `buy:${p.id}`)]));
+}
+
 bot.hears(BTN_PRO, async (ctx) => {
-  await ensureUser(ctx);
+  const user = await ensureUser(ctx);
+
+  const holder = paysForOrg(user) || (user.org && activePlanId(user.org) !== 'free') ? user.org : user;
+  const status = isPro(user)
+    ? (holder.pro_until ? `✅ PRO активен до ${new Date(holder.pro_until).toLocaleDateString('ru-RU')}. Оплата продлит срок.\n\n` : '✅ PRO активен.\n\n')
+    : '';
+  const orgNote = paysForOrg(user) ? `Оплата подключит PRO всей организации «${user.org.name}».\n\n` : '';
 
   const text =
     `💎 *Тариф PRO*\n\n` +
-    `В PRO будет:\n` +
+    status +
+    orgNote +
+    `В PRO:\n` +
     `— безлимит проверок\n` +
     `— история проверок\n` +
     `— PDF-отчёты с отметкой «проверено»\n` +
     `— риск-баллы / «красные флаги»\n\n` +
-    `Оплата подключим следующим шагом (Stripe/ЮKassa/Telegram Payments).\n` +
-    `Пока можешь написать в поддержку — включу PRO вручную.`;
+    `Выбери срок — пришлю счёт прямо в чат:`;
+
+  await ctx.reply(text, { parse_mode: 'Markdown', ...plansKeyboard() });
+});
+
+bot.action(/^buy:([a-z0-9_]+)$/i, async (ctx) => {
+  const plan = PLANS.find((p) => p.id === ctx.match[1]);
+  if (!plan) {
+    await ctx.answerCbQuery('Тариф недоступен.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+  const user = await ensureUser(ctx);
+  const forWhom = paysForOrg(user) ? ` для организации «${user.org.name}»` : '';
+
+  await ctx.replyWithInvoice({
+    title: plan.title,
+    description: `ProverkaBiz PRO на ${plan.days} дн.${forWhom}: безлимит проверок, история, PDF-отчёты, риск-флаги.`,
+    payload: invoicePayload(plan, ctx.from.id),
+    provider_token: PAYMENT_PROVIDER_TOKEN || '',
+    currency: plan.currency,
+    prices: [{ label: plan.title, amount: plan.amount }]
+  });
+});
+
+bot.on('pre_checkout_query', async (ctx) => {
+  const q = ctx.preCheckoutQuery;
+  const error = validatePayment({
+    payload: q.invoice_payload,
+    currency: q.currency,
+    total_amount: q.total_amount,
+    from_id: q.from.id
+  }, PLANS);
+
+  if (error) console.log('[WARN] pre_checkout rejected:', q.from.id, q.invoice_payload, error);
+  await ctx.answerPreCheckoutQuery(!error, error || undefined);
+});
+
+bot.on('successful_payment', async (ctx) => {
+  const payment = ctx.message.successful_payment;
+  const parsed = parseInvoicePayload(payment.invoice_payload);
+  const plan = PLANS.find((p) => p.id === parsed?.planId);
+
+  if (!plan) {
+    // money is taken: never drop it silently
+    console.log('[ERROR] successful_payment with unknown plan:', ctx.from.id, payment);
+    await ctx.reply('Оплата получена, но тариф не распознан. Напиши в поддержку — включим PRO вручную.', mainKeyboard());
+    return;
+  }
+
+  const user = await ensureUser(ctx);
+  const org = paysForOrg(user) ? user.org : null;
+  const until = await activateProSubscription({
+    tg_user_id: ctx.from.id,
+    org_id: org?.id || null,
+    days: plan.days,
+    provider: plan.currency === 'XTR' ? 'telegram_stars' : 'telegram',
+    plan: ACCESS[plan.access] && plan.access !== 'free' ? plan.access : 'pro',
+    meta: {
+      plan: plan.id,
+      amount: payment.total_amount,
+      currency: payment.currency,
+      telegram_payment_charge_id: payment.telegram_payment_charge_id || null,
+      provider_payment_charge_id: payment.provider_payment_charge_id || null
+    }
+  });
+  console.log('[INFO] PRO paid:', ctx.from.id, org ? `org ${org.id}` : '', plan.id, payment.total_amount, payment.currency);
 
-  await ctx.reply(text, { parse_mode: 'Markdown', ...mainKeyboard() });
+  await ctx.reply(
+    `🎉 Оплата прошла! PRO${org ? ` организации «${org.name}»` : ''} активен до ${new Date(until).toLocaleDateString('ru-RU')}.\n` +
+    `Безлимит проверок, история (/history) и PDF — уже доступны.`,
+    mainKeyboard()
+  );
 });
 
+// Scheduled: remind PRO_REMIND_DAYS before expiry, downgrade after.
+async function runSubscriptionsJob() {
+  const remindBefore = new Date(Date.now() + PRO_REMIND_DAYS * 24 * 3600 * 1000).toISOString();
+  const subs = await subscriptions.listActiveExpiringBefore(remindBefore);
+
+  for (const sub of subs) {
+    const expiresAt = new Date(sub.expires_at).getTime();
+
+    if (expiresAt <= Date.now()) {
+      await subscriptions.update(sub.id, { status: 'expired' });
+
+      if (sub.org_id) {
+        const org = await orgs.get(sub.org_id);
+        const paidUntil = org?.pro_until ? new Date(org.pro_until).getTime() : 0;
+        if (org?.plan && org.plan !== 'free' && paidUntil <= Date.now()) {
+          await orgs.update(org.id, { plan: 'free', updated_at: nowISO() });
+          await bot.telegram.sendMessage(
+            org.owner_tg_user_id,
+            `PRO организации «${org.name}» закончился — участники вернулись к своим тарифам. Продлить можно в любой момент:`,
+            plansKeyboard()
+          ).catch((e) => console.log('[WARN] expiry notify failed:', org.owner_tg_user_id, e?.message || e));
+        }
+        continue;
+      }
+
+      const user = await users.get(sub.tg_user_id);
+      const paidUntil = user?.pro_until ? new Date(user.pro_until).getTime() : 0;
+      if (user?.plan && user.plan !== 'free' && paidUntil <= Date.now()) {
+        await downgradeUser(sub.tg_user_id);
+        await bot.telegram.sendMessage(
+          sub.tg_user_id,
+          `PRO закончился — тариф переключён на free (${formatLimits(ACCESS.free)}). Продлить можно в любой момент:`,
+          plansKeyboard()
+        ).catch((e) => console.log('[WARN] expiry notify failed:', sub.tg_user_id, e?.message || e));
+      }
+      continue;
+    }
+
+    if (!sub.reminded_at) {
+      await bot.telegram.sendMessage(
+        sub.tg_user_id,
+        `⏰ PRO${sub.org_id ? ' организации' : ''} закончится ${new Date(sub.expires_at).toLocaleDateString('ru-RU')}. Продли, чтобы не потерять безлимит и историю:`,
+        plansKeyboard()
+      ).catch((e) => console.log('[WARN] reminder failed:', sub.tg_user_id, e?.message || e));
+      await subscriptions.update(sub.id, { reminded_at: nowISO() });
+    }
+  }
+}
+
 bot.hears(BTN_SUPPORT, async (ctx) => {
   const uname = SUPPORT_USERNAME ? `@${SUPPORT_USERNAME.replace(/^@/, '')}` : '@YOUR_SUPPORT_USERNAME';
   await ctx.reply(`Напиши сюда: ${uname}\nИли ответь на это сообщение — мы увидим в логах и поможем.`, mainKeyboard());
 });
 
 /* =======================
-   Main handler: INN message
+   Check pipeline: provider (cache) -> risk -> quota -> AI -> PDF -> log -> reply
 ======================= */
-bot.on('text', async (ctx) => {
-  const user = await ensureUser(ctx);
+// query: INN, OGRN or OGRNIP (already validated)
+// Transport-independent check: used by chat messages, WebApp endpoint and anything else.
+// -> { ok: false, code: 'quota' | 'quota_unavailable' | 'provider', message } | { ok: true, checkId, reportNo, inn, company, risk, analysis, ... }
+async function performCheck(user, query, { forceRefresh = false, onStart } = {}) {
   const tg_user_id = user.tg_user_id;
 
-  const inn = normalizeInn(ctx.message.text);
-  if (!inn) {
-    await ctx.reply('❗️ИНН должен быть 10 или 12 цифр. Пришли корректный ИНН одним сообщением.', mainKeyboard());
-    return;
-  }
+  // taken up front (atomic), given back below if the check does not produce a result
+  const quota = await consumeCheck(user);
+  if (!quota.ok) return { ok: false, code: quota.unavailable ? 'quota_unavailable' : 'quota', message: quota.note };
 
-  const allowed = await canDoCheck(user);
-  if (!allowed.ok) {
-    await ctx.reply(`⛔️ ${allowed.note}`, mainKeyboard());
-    return;
-  }
+  try {
+    if (onStart) await onStart();
 
-  await ctx.reply(`🔎 Проверяю ИНН ${inn}...`, mainKeyboard());
+    // Provider fetch (cache -> priority order + fallback)
+    const providerRes = await providerCache.fetchCompany(query, { forceRefresh: forceRefresh && can(user, 'refresh') });
+    if (providerRes.error) {
+      await refundCheck(quota.ticket);
+      return { ok: false, code: 'provider', message: providerRes.error };
+    }
 
-  // Provider fetch
-  const providerRes = await fetchCheckoCompany(inn);
-  if (providerRes.error) {
-    await ctx.reply(
-      `⚠️ Провайдер недоступен: ${providerRes.error}\n` +
-      `Проверь ключ CHECKO_API_KEY и доступ к API.`,
-      mainKeyboard()
-    );
-    return;
-  }
+    const company = providerRes.company;
+    const inn = company.inn || query;
+    const risk = scoreRisk(company, RISK_CONFIG);
+    const freshness = { fetchedAt: providerRes.fetched_at, cached: providerRes.cached };
+
+    // AI analysis (optional)
+    const aiRes = can(user, 'ai') ? await analyst.analyze({ inn, company, risk }) : null;
+    const analysis = aiRes?.analysis || null;
+
+    // PDF
+    let pdf = null;
+    if (can(user, 'pdf')) {
+      try {
+        ({ pdf } = await buildAndStoreReport({
+          tg_user_id,
+          inn,
+          company,
+          risk,
+          analysis,
+          provider: providerRes.provider,
+          ...freshness,
+          variant: can(user, 'pdf_full') ? 'full' : 'short'
+        }));
+      } catch (e) {
+        console.log('[WARN] PDF upload:', `PDF error: ${e?.message || e}`);
+      }
+    }
+    const pdfUrl = await pdfLink(pdf?.pdf_path);
 
-  const company = normalizeCompany(providerRes.raw);
-  if (!company) {
-    await ctx.reply('⚠️ Не удалось нормализовать ответ провайдера (формат данных изменился).', mainKeyboard());
-    return;
-  }
+    // Save log
+    const summary = `${company?.name || '—'}; ОГРН: ${company?.ogrn || '—'}; КПП: ${company?.kpp || '—'}`;
+    const checkId = await saveCheckLog({
+      tg_user_id,
+      org_id: user.org?.id,
+      inn,
+      provider: providerRes.provider,
+      result_summary: summary,
+      risk,
+      pdf,
+      raw: providerRes.raw,
+      fetched_at: providerRes.fetched_at
+    });
+    if (aiRes) await logAiUsage({ tg_user_id, check_id: checkId, inn, usage: aiRes.usage });
 
-  // consume free (after successful provider response)
-  let quotaNote = null;
-  if (!isPro(user)) {
-    const left = await consumeFree(user);
-    quotaNote = `🔻 Осталось бесплатных проверок: ${left}`;
+    return {
+      ok: true,
+      checkId,
+      reportNo: pdf?.report_no || null,
+      inn,
+      company,
+      risk,
+      analysis,
+      pdfUrl,
+      quotaNote: quota.note,
+      provider: providerRes.provider,
+      ...freshness
+    };
+  } catch (e) {
+    await refundCheck(quota.ticket);
+    throw e;
   }
+}
 
-  // OpenAI interpretation (optional)
-  const aiText = await openaiInterpret(company);
+// One check without a report or AI (bulk files, comparison): quota, cached provider data,
+// risk score, history row. The check is refunded when the provider fails.
+// -> { ok: true, inn, company, risk } | { ok: false, error, quotaExhausted }
+async function quickCheck(user, query, kind) {
+  const quota = await consumeCheck(user);
+  // an unavailable counter stops the batch too: the next checks would fail the same way
+  if (!quota.ok) return { ok: false, error: quota.unavailable ? 'Лимит недоступен, попробуй позже' : 'Лимит проверок исчерпан', quotaExhausted: true };
 
-  // PDF
-  let pdfUrl = null;
-  let pdfUploadError = null;
+  let res;
   try {
-    const pdfBuffer = await buildPdfBuffer({ inn, company, aiText });
-    const up = await uploadPdfToSupabase({ tg_user_id, inn, pdfBuffer });
-    if (up.error) pdfUploadError = up.error;
-    pdfUrl = up.publicUrl;
+    res = await providerCache.fetchCompany(query);
   } catch (e) {
-    pdfUploadError = `PDF error: ${e?.message || e}`;
+    await refundCheck(quota.ticket);
+    throw e;
+  }
+  if (res.error) {
+    await refundCheck(quota.ticket);
+    return { ok: false, error: `Провайдер: ${res.error}`, quotaExhausted: false };
   }
 
-  // Save log
-  const summary = `${company?.name || '—'}; ОГРН: ${company?.ogrn || '—'}; КПП: ${company?.kpp || '—'}`;
+  const company = res.company;
+  const risk = scoreRisk(company, RISK_CONFIG);
+  const inn = company.inn || query;
+
   await saveCheckLog({
-    tg_user_id,
+    tg_user_id: user.tg_user_id,
+    org_id: user.org?.id,
     inn,
-    provider: providerRes.provider,
-    result_summary: summary,
-    risk_level: company.risk_level || '—',
-    pdf_url: pdfUrl,
-    raw: providerRes.raw
+    kind,
+    provider: res.provider,
+    result_summary: `${company.name || '—'}; ОГРН: ${company.ogrn || '—'}; КПП: ${company.kpp || '—'}`,
+    risk,
+    raw: res.raw,
+    fetched_at: res.fetched_at
   });
 
-  const report = buildTelegramReport({ inn, company, aiText, pdfUrl, quotaNote });
+  return { ok: true, inn, company, risk };
+}
+
+// Chat flavour of performCheck: progress message + Markdown report with inline buttons.
+async function runInnCheck(ctx, user, query, { forceRefresh = false, label = 'ИНН' } = {}) {
+  const res = await performCheck(user, query, {
+    forceRefresh,
+    onStart: () => ctx.reply(forceRefresh ? `🔄 Обновляю данные по ${label} ${query}...` : `🔎 Проверяю ${label} ${query}...`, mainKeyboard())
+  });
+
+  if (!res.ok && (res.code === 'quota' || res.code === 'quota_unavailable')) {
+    await ctx.reply(res.message, mainKeyboard());
+    return;
+  }
+  if (!res.ok) {
+    await ctx.reply(
+      `⚠️ Провайдеры данных недоступны: ${res.message}\n` +
+      `Проверь ключи CHECKO_API_KEY / DADATA_API_KEY и доступ к API.`,
+      mainKeyboard()
+    );
+    return;
+  }
+
+  // a long report + analysis would not fit into one message: the analysis then goes first, separately
+  let report = buildTelegramReport(res);
+  if (res.analysis && report.length > TG_MESSAGE_LIMIT) {
+    await ctx.reply(buildAnalysisMd(res.analysis), { parse_mode: 'Markdown' });
+    report = buildTelegramReport({ ...res, analysis: null });
+  }
 
-  if (pdfUploadError) {
-    console.log('[WARN] PDF upload:', pdfUploadError);
+  const buttons = [[Markup.button.callback('👁 Следить', `watch:${res.inn}`)]];
+  if (res.company?.type === 'ul' && can(user, 'links')) buttons[0].push(Markup.button.callback('🔗 Связи', `links:${res.inn}`));
+  if (res.checkId && can(user, 'pdf')) buttons[0].push(Markup.button.callback('📝 DOCX', `docx:${res.checkId}`));
+  if (hasCases(res.company) && can(user, 'cases')) buttons.push([Markup.button.callback('📂 Подробнее: суды, ФССП, контракты', `cases:${res.inn}`)]);
+  // cached data: plans with "refresh" can bypass the cache
+  if (res.cached && can(user, 'refresh')) {
+    buttons.push([Markup.button.callback('🔄 Обновить принудительно', `refresh:${res.inn}`)]);
   }
 
-  await ctx.reply(report, { parse_mode: 'Markdown', disable_web_page_preview: true, ...mainKeyboard() });
+  await ctx.reply(report, { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(buttons) });
+}
+
+bot.action(/^refresh:(\d{10}|\d{12})$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'refresh')) {
+    await ctx.answerCbQuery('Принудительное обновление доступно в PRO.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+  await runInnCheck(ctx, user, ctx.match[1], { forceRefresh: true });
 });
 
 /* =======================
-   Express (Render webhook)
+   Links: "🔗 Связи" on a report -> director, founders, affiliated companies, branches
+   Explored one level at a time: each linked company has its own "🔗" button. Browsing goes through
+   the provider cache and does not consume checks; "🔎 Проверить" opens a normal (charged) check.
 ======================= */
-const app = express();
-app.use(express.json());
-
-app.get('/', (req, res) => res.status(200).send('OK'));
+function buildLinksMd(company) {
+  const c = company;
+  const lines = [`🔗 *Связи: ${mdEscape(safeText(c.name))}* (ИНН ${c.inn})`, ''];
+
+  if (c.director) {
+    const marks = [c.director.mass ? '⚠️ массовый' : null, c.director.disqualified ? '⛔️ дисквалифицирован' : null].filter(Boolean);
+    lines.push('*Руководитель:*');
+    lines.push(`• ${mdEscape(safeText(c.director.name))}${c.director.post ? `, ${mdEscape(c.director.post.toLowerCase())}` : ''}` +
+      `${c.director.inn ? ` (ИНН ${c.director.inn})` : ''}${marks.length ? ` — ${marks.join(', ')}` : ''}`);
+    lines.push('');
+  }
 
-if (PUBLIC_BASE_URL) {
-  app.post('/webhook', (req, res) => {
-    bot.handleUpdate(req.body, res).catch((e) => {
-      console.log('[ERROR] handleUpdate:', e?.message || e);
-      res.status(200).send('OK');
-    });
+  lines.push('*Учредители:*');
+  if (!c.founders) lines.push('_Провайдер не передал сведения об учредителях._');
+  else if (!c.founders.length) lines.push('Не указаны.');
+  (c.founders || []).slice(0, LINKS_MAX_ITEMS).forEach((f) => {
+    const details = [FOUNDER_KINDS[f.kind], f.inn ? `ИНН ${f.inn}` : null, formatShare(f)].filter(Boolean).join(', ');
+    lines.push(`• ${mdEscape(safeText(f.name))}${details ? ` — ${details}` : ''}${f.mass ? ' ⚠️ массовый' : ''}`);
   });
-}
+  if ((c.founders || []).length > LINKS_MAX_ITEMS) lines.push(`…и ещё ${c.founders.length - LINKS_MAX_ITEMS}.`);
+
+  if (c.affiliates) {
+    const { total, inactive } = affiliateStats(c);
+    lines.push('');
+    lines.push(`*Связанные организации: ${total}*${inactive ? ` (⛔️ ликвидированы / банкроты: ${inactive})` : ''}`);
+    c.affiliates.slice(0, LINKS_MAX_ITEMS).forEach((a) => {
+      lines.push(`${isInactive(a) ? '⛔️' : '✅'} ${mdEscape(safeText(a.name))} — ИНН ${a.inn}, ${AFFILIATE_VIA[a.via]}`);
+    });
+    if (total > LINKS_MAX_ITEMS) lines.push(`…и ещё ${total - LINKS_MAX_ITEMS} — полный список в PDF-отчёте.`);
+  }
+
+  if (c.branches?.length) {
+    lines.push('');
+    lines.push(`*Филиалы и представительства: ${c.branches.length}*`);
+    c.branches.slice(0, LINKS_MAX_ITEMS).forEach((b) => {
+      lines.push(`• ${b.kind === 'office' ? 'Представительство' : 'Филиал'}${b.address ? `: ${mdEscape(b.address)}` : ''}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function linksKeyboard(company) {
+  const linked = [
+    ...(company.founders || []).filter((f) => f.kind === 'company' && /^\d{10}$/.test(f.inn || '')),
+    ...(company.affiliates || []).slice(0, LINKS_MAX_ITEMS)
+  ];
+  const seen = new Set();
+  const rows = linked
+    .filter((x) => !seen.has(x.inn) && seen.add(x.inn))
+    .map((x) => [Markup.button.callback(buttonLabel(`🔗 ${isInactive(x) ? '⛔️ ' : ''}${x.name || x.inn}`), `links:${x.inn}`)]);
+  rows.push([Markup.button.callback(`🔎 Проверить ${company.inn}`, `pick:${company.inn}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+bot.action(/^links:(\d{10}|\d{12})$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'links')) {
+    await ctx.answerCbQuery('Связи доступны в PRO.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const res = await providerCache.fetchCompany(ctx.match[1]);
+  if (res.error) {
+    await ctx.reply(`⚠️ Провайдеры данных недоступны: ${res.error}`, mainKeyboard());
+    return;
+  }
+  if (res.company.type !== 'ul') {
+    await ctx.reply(`ИНН ${ctx.match[1]} — индивидуальный предприниматель: учредителей и связанных организаций у ИП нет.`, mainKeyboard());
+    return;
+  }
+
+  await ctx.reply(buildLinksMd(res.company), { parse_mode: 'Markdown', ...linksKeyboard(res.company) });
+});
+
+/* =======================
+   Cases: "📂 Подробнее" on a report -> arbitration cases, FSSP proceedings, contracts page by page
+   Counters come with the company (provider cache, free); every page is a provider call (src/cases.js,
+   adapter.records()) and does not consume checks.
+======================= */
+const SECTION_ICONS = { arbitration: '⚖️', enforcements: '🧾', contracts44: '📑', contracts223: '📑' };
+
+function casesMenu(company) {
+  const text = [`📂 *${mdEscape(safeText(company.name))}* (ИНН ${company.inn})`, '', buildCasesMd(company), '', 'Выбери раздел:'].join('\n');
+  const rows = Object.entries(RECORD_SECTIONS)
+    .map(([section, title]) => [section, title, sectionCount(company, section)])
+    .filter(([, , count]) => count !== 0)
+    .map(([section, title, count]) => [Markup.button.callback(`${SECTION_ICONS[section]} ${title}${count === null ? '' : ` (${count})`}`, `rec:${section}:${company.inn}:1`)]);
+  return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+function recordsPageMd(section, inn, page, res) {
+  // without a total from the provider: page on while pages come back full
+  const known = res.total !== null && res.total !== undefined;
+  const pages = known ? Math.max(1, Math.ceil(res.total / RECORDS_PAGE_SIZE)) : null;
+  const hasNext = known ? page < pages : res.items.length === RECORDS_PAGE_SIZE;
+  const lines = [
+    `${SECTION_ICONS[section]} *${RECORD_SECTIONS[section]}* — ИНН ${inn}`,
+    known ? `Стр. ${page} из ${pages} · всего ${res.total}` : `Стр. ${page}`
+  ];
+  if (!res.items.length) lines.push('', page > 1 ? 'Больше записей нет.' : 'Записей нет.');
+  res.items.forEach((r, i) => {
+    const item = recordItem(section, r);
+    lines.push('', `${(page - 1) * RECORDS_PAGE_SIZE + i + 1}. *${mdEscape(item.title)}*${item.alert ? ' ⚠️' : ''}`);
+    if (item.details) lines.push(mdEscape(item.details));
+    if (item.url) lines.push(`[Карточка дела](${item.url})`);
+  });
+
+  const nav = [];
+  if (page > 1) nav.push(Markup.button.callback('◀️ Назад', `rec:${section}:${inn}:${page - 1}`));
+  if (hasNext) nav.push(Markup.button.callback('Вперёд ▶️', `rec:${section}:${inn}:${page + 1}`));
+  const rows = nav.length ? [nav] : [];
+  rows.push([Markup.button.callback('↩️ Разделы', `cases:${inn}:e`)]);
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// ":e" = back from a page: the menu replaces the page instead of a new message
+bot.action(/^cases:(\d{10}|\d{12})(:e)?$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'cases')) {
+    await ctx.answerCbQuery('Подробности по делам и контрактам доступны в PRO.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const res = await providerCache.fetchCompany(ctx.match[1]);
+  if (res.error) {
+    await ctx.reply(`⚠️ Провайдеры данных недоступны: ${res.error}`, mainKeyboard());
+    return;
+  }
+  if (!hasCases(res.company)) {
+    await ctx.reply(`По ИНН ${ctx.match[1]} провайдер не передал сведений о делах, производствах и контрактах.`, mainKeyboard());
+    return;
+  }
+
+  const menu = casesMenu(res.company);
+  const extra = { parse_mode: 'Markdown', ...menu.keyboard };
+  if (ctx.match[2]) await ctx.editMessageText(menu.text, extra).catch(() => {});
+  else await ctx.reply(menu.text, extra);
+});
+
+bot.action(/^rec:([a-z0-9]+):(\d{10}|\d{12}):(\d+)$/, async (ctx) => {
+  const [, section, inn, pageStr] = ctx.match;
+  const user = await ensureUser(ctx);
+  if (!RECORD_SECTIONS[section] || !can(user, 'cases')) {
+    await ctx.answerCbQuery('Раздел недоступен.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  const page = Math.max(1, Number(pageStr));
+  const res = await providers.fetchRecords(inn, section, { page, limit: RECORDS_PAGE_SIZE });
+  if (res.error) {
+    await ctx.reply(`⚠️ Не удалось получить записи: ${res.error}`, mainKeyboard());
+    return;
+  }
+
+  const view = recordsPageMd(section, inn, page, res);
+  await ctx.editMessageText(view.text, { parse_mode: 'Markdown', disable_web_page_preview: true, ...view.keyboard }).catch(() => {});
+});
+
+/* =======================
+   Compare: /compare ИНН ИНН [...] -> table in chat + PDF (src/compare.js)
+   Every company is a regular check (quota, provider cache, history) without its own report or AI.
+======================= */
+function buildCompareMd(comparison, entries) {
+  const render = (cap) => {
+    const cut = (s) => (s.length > cap ? `${s.slice(0, cap - 1)}…` : s);
+    const lines = ['⚖️ *Сравнение контрагентов*', ''];
+    comparison.names.forEach((name, i) => lines.push(`${i + 1}. ${mdEscape(cut(name))} (ИНН ${entries[i].inn})`));
+    for (const row of comparison.rows) {
+      lines.push('', `*${row.label}:*`);
+      row.cells.forEach((cell, i) => lines.push(`${i + 1}. ${cell.text === null ? '—' : mdEscape(cut(cell.text))}${cell.worst ? ' 🔻' : ''}`));
+    }
+    lines.push('', '🔻 — худшее значение в строке.');
+    return lines.join('\n');
+  };
+
+  // long addresses and flag lists: shorten cells until the message fits
+  let md = '';
+  for (const cap of [100, 60, 30]) {
+    md = render(cap);
+    if (md.length <= TG_MESSAGE_LIMIT) break;
+  }
+  return md;
+}
+
+bot.command('compare', async (ctx) => {
+  const user = await ensureUser(ctx);
+
+  const ids = parseIdentifiers(ctx.message.text.replace(/^\/compare(@\w+)?/, ''));
+  const problems = ids
+    .filter((id) => !id.valid || id.kind === 'kpp')
+    .map((id) => `• ${id.value}: ${id.valid ? 'это КПП — по нему нельзя найти организацию' : id.reason}`);
+  if (problems.length) {
+    await ctx.reply(`❗️Не могу сравнить:\n${problems.join('\n')}\n\nЛимит проверок не списан.`, mainKeyboard());
+    return;
+  }
+
+  const unique = [...new Map(ids.map((id) => [id.value, id])).values()];
+  if (unique.length < COMPARE_MIN || unique.length > COMPARE_MAX) {
+    await ctx.reply(
+      `⚖️ Пришли от ${COMPARE_MIN} до ${COMPARE_MAX} разных ИНН / ОГРН через пробел:\n/compare 7707083893 7736207543\n\n` +
+      'Каждая компания — обычная проверка (спишется из лимита).',
+      mainKeyboard()
+    );
+    return;
+  }
+
+  const allowed = await checkAllowance(user);
+  if (!allowed.ok) {
+    await ctx.reply(allowed.note, mainKeyboard());
+    return;
+  }
+
+  await ctx.reply(`⚖️ Сравниваю ${unique.length} ${unique.length < 5 ? 'компании' : 'компаний'}: ${unique.map((id) => id.value).join(', ')}...`, mainKeyboard());
+
+  const entries = [];
+  const failed = [];
+  let quotaHit = false;
+  for (const id of unique) {
+    if (quotaHit) {
+      failed.push(`• ${id.value}: лимит проверок исчерпан`);
+      continue;
+    }
+    const r = await quickCheck(user, id.value, 'compare');
+    if (r.ok) entries.push({ inn: r.inn, company: r.company, risk: r.risk });
+    else failed.push(`• ${id.value}: ${r.error}`);
+    if (r.quotaExhausted) quotaHit = true;
+  }
+
+  const failedNote = failed.length ? `⚠️ Не вошли в сравнение:\n${failed.join('\n')}` : '';
+  if (entries.length < COMPARE_MIN) {
+    await ctx.reply(`${failedNote}\n\nДля сравнения нужно хотя бы ${COMPARE_MIN} компании.`, mainKeyboard());
+    return;
+  }
+
+  const comparison = buildComparison(entries);
+  await ctx.reply(buildCompareMd(comparison, entries), { parse_mode: 'Markdown', disable_web_page_preview: true });
+  if (failedNote) await ctx.reply(failedNote, mainKeyboard());
+
+  if (!can(user, 'pdf')) return;
+  try {
+    const pdf = await buildComparePdf({ entries, comparison });
+    await ctx.replyWithDocument(
+      { source: pdf, filename: `compare_${entries.map((e) => e.inn).join('_')}.pdf` },
+      { caption: `⚖️ Сравнение: ${entries.map((e) => e.inn).join(', ')}` }
+    );
+  } catch (e) {
+    console.log('[WARN] compare pdf failed:', e?.message || e);
+    await ctx.reply('⚠️ Не удалось собрать PDF сравнения — таблица выше.', mainKeyboard());
+  }
+});
+
+/* =======================
+   Admin commands (ADMIN_IDS only, every call goes to admin_audit)
+   /grant_pro <id|@username> <days> [plan]   /revoke_pro <user>   /reset_quota <user>
+   /user <user>   /stats   /broadcast <text>
+======================= */
+function isAdmin(ctx) {
+  return ADMINS.has(ctx.from?.id);
+}
+
+function commandArgs(ctx) {
+  return String(ctx.message?.text || '').split(/\s+/).slice(1);
+}
+
+// non-admins get no answer at all: the commands are not advertised
+function adminCommand(name, handler) {
+  bot.command(name, async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    try {
+      await handler(ctx, commandArgs(ctx));
+    } catch (e) {
+      console.log(`[ERROR] admin /${name}:`, e?.message || e);
+      await ctx.reply(`⚠️ /${name} упал: ${e?.message || e}`);
+    }
+  });
+}
+
+async function adminTarget(ctx, ref) {
+  const target = await findUserByRef(ref);
+  if (!target) await ctx.reply(`Пользователь ${ref || '(не указан)'} не найден.`);
+  return target;
+}
+
+function userLabel(u) {
+  return `${u.tg_user_id}${u.tg_username ? ` (@${u.tg_username})` : ''}`;
+}
+
+adminCommand('grant_pro', async (ctx, [ref, daysS, planS]) => {
+  const days = Number(daysS);
+  const plan = String(planS || 'pro').toLowerCase();
+  if (!ref || !Number.isInteger(days) || days <= 0 || plan === 'free' || !ACCESS[plan]) {
+    const paid = Object.keys(ACCESS).filter((id) => id !== 'free').join(' | ');
+    await ctx.reply(`Формат: /grant_pro <id|@username> <дней> [${paid}]`);
+    return;
+  }
+  const target = await adminTarget(ctx, ref);
+  if (!target) return;
+
+  const until = await activateProSubscription({
+    tg_user_id: target.tg_user_id,
+    days,
+    provider: 'manual',
+    plan,
+    meta: { granted_by: ctx.from.id }
+  });
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'grant_pro', target_tg_user_id: target.tg_user_id, params: { days, plan, until } });
+
+  const title = ACCESS[plan].title;
+  await ctx.reply(`✅ ${title} для ${userLabel(target)} до ${new Date(until).toLocaleDateString('ru-RU')}.`);
+  await bot.telegram.sendMessage(target.tg_user_id, `💎 Вам включён ${title} до ${new Date(until).toLocaleDateString('ru-RU')}.`).catch(() => {});
+});
+
+adminCommand('revoke_pro', async (ctx, [ref]) => {
+  const target = await adminTarget(ctx, ref);
+  if (!target) return;
+
+  await revokePro(target.tg_user_id);
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'revoke_pro', target_tg_user_id: target.tg_user_id });
+  await ctx.reply(`✅ PRO отключён для ${userLabel(target)}.`);
+});
+
+adminCommand('reset_quota', async (ctx, [ref]) => {
+  const target = await adminTarget(ctx, ref);
+  if (!target) return;
+
+  await resetQuota(target);
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'reset_quota', target_tg_user_id: target.tg_user_id });
+  const scope = quotaOwnerId(target) < 0 ? ` (общий лимит организации «${target.org.name}»)` : '';
+  await ctx.reply(`✅ Лимит сброшен для ${userLabel(target)}${scope}: ${formatLimits(planOf(target))}.`);
+});
+
+const QUOTA_LABELS = { daily: 'сегодня', monthly: 'за месяц', lifetime: 'всего' };
+
+adminCommand('user', async (ctx, [ref]) => {
+  const target = await adminTarget(ctx, ref);
+  if (!target) return;
+
+  const periods = allPeriods(new Date(), TZ);
+  const quotaOwner = quotaOwnerId(target);
+  const used = await quotas.usage(quotaOwner, periods.map((p) => p.period));
+  const plan = planOf(target);
+  const { rows, total } = await listChecks(target, { limit: 5 });
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'view_user', target_tg_user_id: target.tg_user_id });
+
+  const lines = [
+    `👤 ${userLabel(target)} — ${[target.first_name, target.last_name].filter(Boolean).join(' ') || '—'}`,
+    `План: ${target.plan || 'free'} (действует: ${plan.title}; ${formatLimits(plan)})`,
+    `Оплачен до: ${target.pro_until ? new Date(target.pro_until).toLocaleString('ru-RU') : '—'}`,
+    ...(target.org ? [`Организация: ${target.org.name} (#${target.org.id}, ${ORG_ROLES[target.org.role]}; план ${target.org.plan}, до ${target.org.pro_until ? new Date(target.org.pro_until).toLocaleString('ru-RU') : '—'})`] : []),
+    `Использовано: ${periods.map((p) => `${QUOTA_LABELS[p.kind]} ${used[p.period] || 0}${plan.limits[p.kind] !== null ? `/${plan.limits[p.kind]}` : ''}`).join(', ')} (${TZ}${quotaOwner < 0 ? ', общий счётчик организации' : ''})`,
+    `С нами с: ${target.created_at ? new Date(target.created_at).toLocaleDateString('ru-RU') : '—'}`,
+    '',
+    `Проверок всего: ${total}. Последние:`
+  ];
+  rows.forEach((r) => lines.push(`• ${shortDate(r.created_at)} · ${r.inn} · ${r.risk_level || '—'} · ${String(r.result_summary || '').split(';')[0]}`));
+
+  await ctx.reply(lines.join('\n'));
+});
+
+adminCommand('stats', async (ctx) => {
+  const lines = [`📊 За 7 дней (день: проверки / новые пользователи / ошибки провайдеров; сутки по ${TZ})`];
+  // days of the business timezone, like the quota counters (not the server's local midnight)
+  const today = periodKeys(new Date(), TZ).day;
+
+  for (let i = 0; i < 7; i++) {
+    const day = shiftDay(today, -i);
+    const from = zonedDayStart(day, TZ);
+    const to = zonedDayStart(shiftDay(day, 1), TZ);
+    const range = { sinceISO: from.toISOString(), untilISO: to.toISOString() };
+
+    const [checks, users, errors] = await Promise.all([
+      stats.count('inn_checks', range),
+      stats.count('bot_users', range),
+      stats.count('provider_errors', range)
+    ]);
+    lines.push(`${day.split('-').reverse().join('.')}: ${checks ?? '?'} / ${users ?? '?'} / ${errors ?? '?'}`);
+  }
+
+  const sinceToday = { sinceISO: zonedDayStart(today, TZ).toISOString() };
+  const byProvider = await Promise.all(providers.chain.map(async (p) => `${p}: ${await stats.count('provider_errors', { ...sinceToday, eq: { provider: p } }) ?? '?'}`));
+  const [totalUsers, proUsers] = await Promise.all([
+    stats.count('bot_users'),
+    stats.count('subscriptions', { eq: { status: 'active' } })
+  ]);
+
+  lines.push('');
+  lines.push(`Ошибки провайдеров сегодня — ${byProvider.join(', ')}`);
+  lines.push(`Пользователей всего: ${totalUsers ?? '?'}; активных подписок: ${proUsers ?? '?'}`);
+
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'stats' });
+  await ctx.reply(lines.join('\n'));
+});
+
+const pendingBroadcasts = new Map(); // admin id -> text, waits for confirmation
+
+adminCommand('broadcast', async (ctx) => {
+  const text = String(ctx.message.text).replace(/^\/broadcast(@\w+)?\s*/, '').trim();
+  if (!text) {
+    await ctx.reply('Формат: /broadcast <текст сообщения>');
+    return;
+  }
+
+  pendingBroadcasts.set(ctx.from.id, text);
+  await ctx.reply(`Разослать всем пользователям?\n\n${text}`, Markup.inlineKeyboard([
+    [Markup.button.callback('📣 Отправить', 'bcast:go'), Markup.button.callback('Отмена', 'bcast:cancel')]
+  ]));
+});
+
+bot.action(/^bcast:(go|cancel)$/, async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery();
+  const text = pendingBroadcasts.get(ctx.from.id);
+  pendingBroadcasts.delete(ctx.from.id);
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+  if (ctx.match[1] === 'cancel' || !text) {
+    await ctx.answerCbQuery('Отменено.');
+    return;
+  }
+  await ctx.answerCbQuery('Рассылка запущена.');
+  await auditAdmin({ admin_tg_user_id: ctx.from.id, action: 'broadcast', params: { text } });
+
+  // background: webhook must be answered quickly
+  runBroadcast(ctx.from.id, text).catch((e) => console.log('[ERROR] broadcast failed:', e?.message || e));
+});
+
+async function runBroadcast(adminId, text) {
+  let sent = 0;
+  let failed = 0;
+  let retried = 0;
+
+  for (let offset = 0; ; offset += BROADCAST_PAGE) {
+    const ids = await users.listIds(offset, BROADCAST_PAGE);
+    if (!ids.length) break;
+
+    for (const id of ids) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await bot.telegram.sendMessage(id, text);
+          sent++;
+          break;
+        } catch (e) {
+          // 429: Telegram asks to slow down — wait as long as it says and send to the same user again
+          if (e?.code === 429 && attempt < BROADCAST_MAX_RETRIES) {
+            retried++;
+            await sleep(Number(e.parameters?.retry_after || 1) * 1000);
+            continue;
+          }
+          failed++;
+          break;
+        }
+      }
+      await sleep(BROADCAST_DELAY_MS);
+    }
+    if (ids.length < BROADCAST_PAGE) break;
+  }
+
+  await auditAdmin({ admin_tg_user_id: adminId, action: 'broadcast_done', params: { sent, failed, retried } });
+  await bot.telegram.sendMessage(
+    adminId,
+    `📣 Рассылка завершена: доставлено ${sent}, ошибок ${failed}.` +
+    (retried ? `\nПовторных отправок после ограничения Telegram (429): ${retried}.` : '')
+  ).catch(() => {});
+}
+
+/* =======================
+   History: /history [ИНН | ДД.ММ.ГГГГ | ДД.ММ.ГГГГ-ДД.ММ.ГГГГ]
+   Filter is packed into callback data: 'i<inn>' or 'd<YYYYMMDD>-<YYYYMMDD>'.
+   Dates are calendar days of the business timezone (BUSINESS_TZ), as for the quota counters and /stats:
+   a day runs from 00:00 to 24:00 there, whatever the server TZ is; check times are shown in it too.
+======================= */
+// 'ДД.ММ.ГГГГ' -> 'YYYY-MM-DD' | null (31.02 and the like are rejected)
+function parseRuDate(s) {
+  const m = String(s || '').match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (!m) return null;
+  const day = `${m[3]}-${m[2]}-${m[1]}`;
+  return shiftDay(day, 0) === day ? day : null;
+}
+
+// 'YYYY-MM-DD' days -> packed /history filter key
+function periodKey(from, to) {
+  return `d${from.replace(/-/g, '')}-${to.replace(/-/g, '')}`;
+}
+
+// user input -> packed key ('' = no filter, null = not understood)
+function historyFilterKey(arg) {
+  const a = String(arg || '').trim();
+  if (!a) return '';
+  if (/^\d{10}$|^\d{12}$/.test(a)) return `i${a}`;
+
+  const [fromS, toS] = a.split(/\s*[-–—]\s*/);
+  const from = parseRuDate(fromS);
+  const to = toS ? parseRuDate(toS) : from;
+  if (!from || !to || to < from) return null;
+  return periodKey(from, to);
+}
+
+function unpackHistoryFilter(key) {
+  if (!key) return {};
+  if (key[0] === 'i') return { inn: key.slice(1) };
+
+  const m = key.match(/^d(\d{4})(\d{2})(\d{2})-(\d{4})(\d{2})(\d{2})$/);
+  if (!m) return {};
+  const from = zonedDayStart(`${m[1]}-${m[2]}-${m[3]}`, TZ);
+  const to = zonedDayStart(shiftDay(`${m[4]}-${m[5]}-${m[6]}`, 1), TZ); // exclusive
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+function describeHistoryFilter(key) {
+  if (!key) return '';
+  if (key[0] === 'i') return ` (ИНН ${key.slice(1)})`;
+  const m = key.match(/^d(\d{4})(\d{2})(\d{2})-(\d{4})(\d{2})(\d{2})$/);
+  if (!m) return '';
+  const from = `${m[3]}.${m[2]}.${m[1]}`;
+  const to = `${m[6]}.${m[5]}.${m[4]}`;
+  return from === to ? ` (${from})` : ` (${from} – ${to})`;
+}
+
+// '19.10 14:05' in the business timezone
+function shortDate(iso) {
+  return new Date(iso)
+    .toLocaleString('ru-RU', { timeZone: TZ, day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+    .replace(', ', ' ');
+}
+
+async function renderHistoryPage(user, page, key) {
+  const filter = unpackHistoryFilter(key);
+  const { rows, total } = await listChecks(user, { filter, offset: page * HISTORY_PAGE_SIZE });
+  const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  if (!rows.length) {
+    return {
+      text: `🗂 История проверок${describeHistoryFilter(key)}: ничего не найдено.`,
+      keyboard: Markup.inlineKeyboard([])
+    };
+  }
+
+  const buttons = rows.map((r) => {
+    const name = String(r.result_summary || '').split(';')[0].slice(0, 28);
+    return [Markup.button.callback(`${shortDate(r.created_at)} · ${r.inn} · ${name}`, `histv:${r.id}:${page}:${key}`)];
+  });
+
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback('⬅️', `hist:${page - 1}:${key}`));
+  nav.push(Markup.button.callback(`${page + 1}/${pages}`, 'noop'));
+  if (page + 1 < pages) nav.push(Markup.button.callback('➡️', `hist:${page + 1}:${key}`));
+  buttons.push(nav);
+
+  return {
+    text:
+      `🗂 История проверок${user.org ? ` организации «${user.org.name}»` : ''}${describeHistoryFilter(key)} — всего ${total}.\n` +
+      `Нажми на проверку, чтобы открыть сводку и PDF.\n` +
+      `Фильтр: /history ИНН или /history 01.10.2026-15.10.2026`,
+    keyboard: Markup.inlineKeyboard(buttons)
+  };
+}
+
+async function showHistory(ctx, arg) {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'history')) {
+    await ctx.reply('🗂 История проверок доступна в PRO. Жми «💎 Тариф PRO».', mainKeyboard());
+    return;
+  }
+
+  const key = historyFilterKey(arg);
+  if (key === null) {
+    await ctx.reply('Не понял фильтр. Примеры:\n/history 7707083893\n/history 01.10.2026\n/history 01.10.2026-15.10.2026', mainKeyboard());
+    return;
+  }
+
+  const view = await renderHistoryPage(user, 0, key);
+  await ctx.reply(view.text, view.keyboard);
+}
+
+bot.command('history', (ctx) => showHistory(ctx, ctx.message.text.replace(/^\/history(@\w+)?/, '')));
+bot.hears(BTN_HISTORY, (ctx) => showHistory(ctx, ''));
+
+bot.action('noop', (ctx) => ctx.answerCbQuery());
+
+bot.action(/^hist:(\d+):(.*)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const user = await ensureUser(ctx);
+  const view = await renderHistoryPage(user, Number(ctx.match[1]), ctx.match[2]);
+  await ctx.editMessageText(view.text, view.keyboard).catch(() => {});
+});
+
+bot.action(/^histv:(\d+):(\d+):(.*)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const [, id, page, key] = ctx.match;
+  const user = await ensureUser(ctx);
+  const row = await checks.get(ownerOf(user), id);
+  if (!row) {
+    await ctx.reply('Проверка не найдена.', mainKeyboard());
+    return;
+  }
+
+  const lines = [];
+  lines.push(`🗂 Проверка от ${new Date(row.created_at).toLocaleString('ru-RU', { timeZone: TZ })}`);
+  lines.push(`ИНН: ${row.inn}`);
+  lines.push(`Сведения: ${safeText(row.result_summary)}`);
+  lines.push('');
+  if (row.risk_level) {
+    const score = row.risk_score !== null && row.risk_score !== undefined ? ` (${row.risk_score}/100)` : '';
+    lines.push(`${riskEmoji(row.risk_level)} Уровень риска: ${row.risk_level}${score}`);
+    (row.risk_flags || []).forEach((f) => lines.push(`• ${f.title} — ${f.details}`));
+  } else {
+    lines.push('Уровень риска: —');
+  }
+  lines.push('');
+  lines.push(`Источник: ${safeText(row.provider)}`);
+  if (row.org_id && row.tg_user_id !== user.tg_user_id) {
+    const author = await users.get(row.tg_user_id);
+    lines.push(`Проверил: ${author ? userLabel(author) : row.tg_user_id}`);
+  }
+
+  // fresh signed link on every view; once the file is past retention only the rebuild is left
+  const url = await pdfLink(row.pdf_path);
+  await ctx.reply(lines.join('\n'), Markup.inlineKeyboard([
+    ...(url ? [[Markup.button.url('🔗 Открыть PDF', url)]] : []),
+    [Markup.button.callback('📄 Прислать PDF', `histpdf:${row.id}`), Markup.button.callback('📝 DOCX', `docx:${row.id}`)],
+    [Markup.button.callback('⬅️ К списку', `hist:${page}:${key}`)]
+  ]));
+});
+
+// Re-sends the stored PDF (rebuilt from raw data when the file is gone)
+bot.action(/^histpdf:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('Готовлю PDF…');
+  const user = await ensureUser(ctx);
+  const row = await checks.get(ownerOf(user), ctx.match[1]);
+  if (!row) {
+    await ctx.reply('Проверка не найдена.', mainKeyboard());
+    return;
+  }
+
+  const r = await loadReportPdf(row);
+  if (r.error === 'no_source') {
+    await ctx.reply('⚠️ PDF не сохранился, а исходных данных для повторной сборки нет. Проверь ИНН заново.', mainKeyboard());
+    return;
+  }
+  if (r.error) {
+    await ctx.reply('⚠️ Не удалось пересобрать PDF. Попробуй позже.', mainKeyboard());
+    return;
+  }
+
+  await ctx.replyWithDocument({ source: r.buffer, filename: reportFilename(row) });
+});
+
+// Editable copy of the report (same content as the PDF)
+bot.action(/^docx:(\d+)$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'pdf')) {
+    await ctx.answerCbQuery('Отчёты недоступны на твоём тарифе.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery('Готовлю DOCX…');
+  const row = await checks.get(ownerOf(user), ctx.match[1]);
+  if (!row) {
+    await ctx.reply('Проверка не найдена.', mainKeyboard());
+    return;
+  }
+
+  const r = await buildCheckDocx(row, user);
+  if (r.error === 'no_source') {
+    await ctx.reply('⚠️ Исходных данных для отчёта не сохранилось. Проверь ИНН заново.', mainKeyboard());
+    return;
+  }
+  if (r.error) {
+    await ctx.reply('⚠️ Не удалось собрать DOCX. Попробуй позже.', mainKeyboard());
+    return;
+  }
+
+  await ctx.replyWithDocument({ source: r.buffer, filename: reportFilename(row, 'docx') });
+});
+
+/* =======================
+   Export: /export [ДД.ММ.ГГГГ-ДД.ММ.ГГГГ | ИНН] -> period picker -> CSV / XLSX of the history
+   Same filters (and keys in callback data) as /history; organization members export the shared history.
+======================= */
+// periods end today, months are calendar months, all in the business timezone (as /history dates)
+function exportPeriods() {
+  const today = periodKeys(new Date(), TZ).day;
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const prevEnd = shiftDay(monthStart, -1);
+  return [
+    ['7 дней', periodKey(shiftDay(today, -6), today)],
+    ['30 дней', periodKey(shiftDay(today, -29), today)],
+    ['Этот месяц', periodKey(monthStart, today)],
+    ['Прошлый месяц', periodKey(`${prevEnd.slice(0, 7)}-01`, prevEnd)],
+    ['Всё время', '']
+  ];
+}
+
+function exportFormatKeyboard(key) {
+  return Markup.inlineKeyboard([EXPORT_FORMATS.map((f) => Markup.button.callback(f.toUpperCase(), `exp:${f}:${key}`))]);
+}
+
+bot.command('export', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!can(user, 'history')) {
+    await ctx.reply('📤 Выгрузка истории проверок доступна в PRO. Жми «💎 Тариф PRO».', mainKeyboard());
+    return;
+  }
+
+  const arg = ctx.message.text.replace(/^\/export(@\w+)?/, '');
+  const key = historyFilterKey(arg);
+  if (key === null) {
+    await ctx.reply('Не понял период. Примеры:\n/export\n/export 01.10.2026-15.10.2026\n/export 7707083893', mainKeyboard());
+    return;
+  }
+  if (key) {
+    await ctx.reply(`📤 Выгрузка истории${describeHistoryFilter(key)}. Формат:`, exportFormatKeyboard(key));
+    return;
+  }
+
+  const whose = user.org ? ` организации «${user.org.name}»` : '';
+  await ctx.reply(
+    `📤 Выгрузка истории проверок${whose}: дата, сводка, уровень риска, флаги, ссылка на отчёт.\nЗа какой период?`,
+    Markup.inlineKeyboard(exportPeriods().map(([label, k]) => [Markup.button.callback(label, `expp:${k}`)]))
+  );
+});
+
+bot.action(/^expp:(.*)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const key = ctx.match[1];
+  await ctx.editMessageText(`📤 Выгрузка истории${describeHistoryFilter(key) || ' (всё время)'}. Формат:`, exportFormatKeyboard(key)).catch(() => {});
+});
+
+bot.action(/^exp:([a-z]+):(.*)$/, async (ctx) => {
+  const [, format, key] = ctx.match;
+  const user = await ensureUser(ctx);
+  if (!EXPORT_FORMATS.includes(format) || !can(user, 'history')) {
+    await ctx.answerCbQuery('Выгрузка недоступна.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery('Собираю файл…');
+
+  const filter = unpackHistoryFilter(key);
+  const rows = [];
+  let total = 0;
+  do {
+    const page = await listChecks(user, { filter, offset: rows.length, limit: EXPORT_PAGE });
+    total = page.total;
+    rows.push(...page.rows);
+    if (page.rows.length < EXPORT_PAGE) break;
+  } while (rows.length < Math.min(total, EXPORT_MAX_ROWS));
+
+  if (!rows.length) {
+    await ctx.reply(`📤 За выбранный период${describeHistoryFilter(key)} проверок нет.`, mainKeyboard());
+    return;
+  }
+
+  // organization history: who ran each check
+  const authors = new Map();
+  if (user.org) {
+    for (const id of new Set(rows.map((r) => r.tg_user_id))) {
+      const u = await users.get(id);
+      authors.set(id, u ? userLabel(u) : String(id));
+    }
+  }
+
+  const shown = rows.slice(0, EXPORT_MAX_ROWS);
+  const buffer = await buildHistoryExport(shown, format, {
+    timeZone: TZ,
+    reportUrl: (r) => verifyUrlOf(r.report_no),
+    authorLabel: (r) => authors.get(r.tg_user_id) || null
+  });
+  const note = total > shown.length ? `\nВыгружены последние ${shown.length} из ${total} — сузь период.` : '';
+  await ctx.replyWithDocument(
+    { source: buffer, filename: `checks_${key ? key.slice(1) : 'all'}.${format}` },
+    { caption: `📤 Проверок: ${shown.length}${describeHistoryFilter(key)}.${note}` }
+  );
+});
+
+/* =======================
+   API keys: /apikey (REST API for ERP / 1C, see src/api.js)
+======================= */
+function apiDocsUrl() {
+  return PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/$/, '')}/api/v1/openapi.json` : '/api/v1/openapi.json';
+}
+
+bot.command('apikey', async (ctx) => {
+  await ensureUser(ctx);
+  const key = await apiKeys.getActive(ctx.from.id);
+
+  const lines = ['🔑 API для 1С / ERP', ''];
+  if (key) {
+    lines.push(`Активный ключ: ${key.key_hint}`);
+    lines.push(`Выпущен: ${shortDate(key.created_at)}`);
+    lines.push(`Последний запрос: ${key.last_used_at ? shortDate(key.last_used_at) : '—'}`);
+  } else {
+    lines.push('Ключа пока нет.');
+  }
+  lines.push('');
+  lines.push('Проверки через API списываются с твоих лимитов так же, как в боте.');
+  lines.push(`Описание API (OpenAPI): ${apiDocsUrl()}`);
+
+  const buttons = [[Markup.button.callback(key ? '♻️ Выпустить новый ключ' : '🔑 Выпустить ключ', 'apikey:new')]];
+  if (key) buttons.push([Markup.button.callback('🗑 Отозвать ключ', 'apikey:revoke')]);
+
+  await ctx.reply(lines.join('\n'), Markup.inlineKeyboard(buttons));
+});
+
+bot.action('apikey:new', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ensureUser(ctx);
+  const { key, hash, hint } = generateApiKey();
+
+  if (!(await issueApiKey(ctx.from.id, { hash, hint }))) {
+    await ctx.reply('⚠️ Не удалось выпустить ключ. Попробуй позже.', mainKeyboard());
+    return;
+  }
+
+  await ctx.reply(
+    [
+      '✅ Новый API-ключ (предыдущий, если был, отозван):',
+      '',
+      `\`${key}\``,
+      '',
+      '⚠️ Ключ показывается один раз — сохрани его сейчас. Передавай в заголовке:',
+      '`Authorization: Bearer <ключ>`'
+    ].join('\n'),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+bot.action('apikey:revoke', async (ctx) => {
+  await ctx.answerCbQuery();
+  const ok = await apiKeys.revokeAll(ctx.from.id, nowISO());
+  await ctx.reply(ok ? '🗑 API-ключ отозван. Запросы с ним больше не принимаются.' : '⚠️ Не удалось отозвать ключ. Попробуй позже.', mainKeyboard());
+});
+
+/* =======================
+   Organizations: /org, /org_create, /org_invite, /org_role, /org_remove, /org_leave
+   Members share the organization's paid plan and its counters, check history and watchlist.
+   Invites: single-use links t.me/<bot>?start=join_<token>, valid ORG_INVITE_TTL_DAYS days.
+======================= */
+function orgPlan(org) {
+  return ACCESS[activePlanId(org)];
+}
+
+function memberLabel(m) {
+  const name = [m.first_name, m.last_name].filter(Boolean).join(' ');
+  return `${name || m.tg_user_id}${m.tg_username ? ` (@${m.tg_username})` : ''}`;
+}
+
+// members while the organization has room for one more
+async function orgHasRoom(org) {
+  const limit = orgPlan(org).limits.members;
+  if (limit === null) return true;
+  return (await orgs.listMembers(org.id)).length < limit;
+}
+
+bot.command('org', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!user.org) {
+    await ctx.reply(
+      '👥 Ты не состоишь в организации.\n\n' +
+      'Организация — общий тариф, лимиты, история проверок и отслеживание для команды.\n' +
+      'Создать: /org_create Название\n' +
+      'Или попроси у владельца ссылку-приглашение.',
+      mainKeyboard()
+    );
+    return;
+  }
+
+  const { org } = user;
+  const plan = orgPlan(org);
+  const members = await orgs.listMembers(org.id);
+  const limit = plan.limits.members;
+  const lines = [
+    `👥 Организация «${org.name}»`,
+    `Твоя роль: ${ORG_ROLES[org.role]}`,
+    `Тариф: ${plan.title}${plan.id !== 'free' && org.pro_until ? ` до ${new Date(org.pro_until).toLocaleDateString('ru-RU')}` : ''} (${formatLimits(plan)})`,
+    '',
+    `Участники (${members.length}${limit !== null ? `/${limit}` : ''}):`,
+    ...members.map((m) => `• ${memberLabel(m)} — ${ORG_ROLES[m.role]}`),
+    ''
+  ];
+  const roles = invitableRoles(org.role);
+  if (roles.length) lines.push(`Пригласить: /org_invite${roles.includes('admin') ? ' (администратора: /org_invite admin)' : ''}`);
+  if (org.role === 'owner') lines.push('Роль: /org_role @username admin|member');
+  if (org.role !== 'member') lines.push('Исключить: /org_remove @username');
+  if (org.role !== 'owner') lines.push('Выйти: /org_leave');
+
+  await ctx.reply(lines.join('\n'), mainKeyboard());
+});
+
+bot.command('org_create', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (user.org) {
+    await ctx.reply(`Ты уже в организации «${user.org.name}». Подробнее: /org`, mainKeyboard());
+    return;
+  }
+
+  const name = commandArgs(ctx).join(' ').trim().slice(0, ORG_NAME_MAX);
+  if (!name) {
+    await ctx.reply('Укажи название: /org_create ООО Ромашка', mainKeyboard());
+    return;
+  }
+
+  const now = nowISO();
+  const orgId = await orgs.insert({ name, owner_tg_user_id: user.tg_user_id, plan: 'free', pro_until: null, created_at: now, updated_at: now });
+  const ok = orgId && await orgs.addMember({ org_id: orgId, tg_user_id: user.tg_user_id, role: 'owner', created_at: now });
+  if (!ok) {
+    await ctx.reply('⚠️ Не удалось создать организацию. Попробуй позже.', mainKeyboard());
+    return;
+  }
+  await watchlist.moveToOrg(user.tg_user_id, orgId);
+  console.log('[INFO] org created:', orgId, user.tg_user_id);
+
+  await ctx.reply(
+    `✅ Организация «${name}» создана, ты — владелец.\n` +
+    `Твой список отслеживания стал общим. Новые проверки попадут в общую историю.\n\n` +
+    `Пригласить коллег: /org_invite\n` +
+    `PRO, оплаченный владельцем или администратором, действует для всех участников.`,
+    mainKeyboard()
+  );
+});
+
+bot.command('org_invite', async (ctx) => {
+  const user = await ensureUser(ctx);
+  const roles = user.org ? invitableRoles(user.org.role) : [];
+  if (!roles.length) {
+    await ctx.reply(user.org ? 'Приглашать могут владелец и администраторы.' : 'Сначала создай организацию: /org_create Название', mainKeyboard());
+    return;
+  }
+
+  const role = String(commandArgs(ctx)[0] || 'member').toLowerCase();
+  if (!roles.includes(role)) {
+    await ctx.reply(`Роль для приглашения: ${roles.join(' или ')}.`, mainKeyboard());
+    return;
+  }
+  if (!(await orgHasRoom(user.org))) {
+    await ctx.reply(`В организации нет мест по тарифу ${orgPlan(user.org).title}. Подключи PRO или исключи кого-нибудь.`, mainKeyboard());
+    return;
+  }
+
+  const { token, hash } = generateInviteToken();
+  const expiresAt = new Date(Date.now() + ORG_INVITE_TTL_DAYS * 24 * 3600 * 1000).toISOString();
+  const ok = await orgs.insertInvite({
+    org_id: user.org.id,
+    token_hash: hash,
+    role,
+    created_by_tg_user_id: user.tg_user_id,
+    created_at: nowISO(),
+    expires_at: expiresAt
+  });
+  if (!ok) {
+    await ctx.reply('⚠️ Не удалось создать приглашение. Попробуй позже.', mainKeyboard());
+    return;
+  }
+
+  await ctx.reply(
+    `✉️ Приглашение в «${user.org.name}» (${ORG_ROLES[role]}):\n${inviteLink(ctx.botInfo.username, token)}\n\n` +
+    `Ссылка одноразовая, действует ${ORG_INVITE_TTL_DAYS} дн. Перешли её коллеге.`,
+    mainKeyboard()
+  );
+});
+
+// start payload join_<token>
+async function joinOrg(ctx, user, token) {
+  const invite = await orgs.findInvite(hashInviteToken(token));
+  const org = invite ? await orgs.get(invite.org_id) : null;
+  if (!org || invite.used_at || new Date(invite.expires_at).getTime() <= Date.now()) {
+    await ctx.reply('Приглашение недействительно или устарело. Попроси новое у владельца организации.', mainKeyboard());
+    return;
+  }
+  if (user.org) {
+    await ctx.reply(
+      user.org.id === org.id
+        ? `Ты уже в организации «${org.name}».`
+        : `Ты уже состоишь в организации «${user.org.name}». Чтобы перейти, сначала выйди: /org_leave`,
+      mainKeyboard()
+    );
+    return;
+  }
+  if (!(await orgHasRoom(org))) {
+    await ctx.reply(`В организации «${org.name}» нет свободных мест. Напиши тому, кто тебя пригласил.`, mainKeyboard());
+    return;
+  }
+
+  // the invite is spent first: two people racing for one link can't both get in
+  if (!(await orgs.useInvite(invite.id, user.tg_user_id, nowISO()))) {
+    await ctx.reply('Приглашение уже использовано. Попроси новое у владельца организации.', mainKeyboard());
+    return;
+  }
+  if (!(await orgs.addMember({ org_id: org.id, tg_user_id: user.tg_user_id, role: invite.role, created_at: nowISO() }))) {
+    await ctx.reply('⚠️ Не удалось вступить в организацию. Попробуй позже.', mainKeyboard());
+    return;
+  }
+  await watchlist.moveToOrg(user.tg_user_id, org.id);
+  console.log('[INFO] org joined:', org.id, user.tg_user_id, invite.role);
+
+  await ctx.reply(
+    `✅ Ты в организации «${org.name}» (${ORG_ROLES[invite.role]}).\n` +
+    `Теперь у тебя общие с командой тариф, лимиты, история (/history) и отслеживание (/watchlist). Подробнее: /org`,
+    mainKeyboard()
+  );
+  await bot.telegram.sendMessage(
+    invite.created_by_tg_user_id,
+    `👥 ${memberLabel(user)} принял приглашение в «${org.name}» (${ORG_ROLES[invite.role]}).`
+  ).catch((e) => console.log('[WARN] org join notify failed:', invite.created_by_tg_user_id, e?.message || e));
+}
+
+// member of the actor's organization the actor may manage, or null (after replying why)
+async function orgTarget(ctx, actor, ref) {
+  const target = ref ? await findUserByRef(ref) : null;
+  if (!target || target.org?.id !== actor.org.id) {
+    await ctx.reply(`${ref || 'Пользователь'} не найден среди участников «${actor.org.name}». Список: /org`, mainKeyboard());
+    return null;
+  }
+  if (!canManage(actor.org.role, target.org.role)) {
+    await ctx.reply(`Недостаточно прав: ${ORG_ROLES[target.org.role]} — не твоя зона.`, mainKeyboard());
+    return null;
+  }
+  return target;
+}
+
+bot.command('org_role', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (user.org?.role !== 'owner') {
+    await ctx.reply('Менять роли может только владелец организации.', mainKeyboard());
+    return;
+  }
+
+  const [ref, roleArg] = commandArgs(ctx);
+  const role = String(roleArg || '').toLowerCase();
+  if (!['admin', 'member'].includes(role)) {
+    await ctx.reply('Формат: /org_role @username admin|member', mainKeyboard());
+    return;
+  }
+  const target = await orgTarget(ctx, user, ref);
+  if (!target) return;
+
+  const ok = await orgs.updateMember(user.org.id, target.tg_user_id, { role });
+  await ctx.reply(ok ? `✅ ${memberLabel(target)} — теперь ${ORG_ROLES[role]}.` : '⚠️ Не удалось сменить роль. Попробуй позже.', mainKeyboard());
+});
+
+bot.command('org_remove', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!user.org || user.org.role === 'member') {
+    await ctx.reply('Исключать участников могут владелец и администраторы.', mainKeyboard());
+    return;
+  }
+
+  const target = await orgTarget(ctx, user, commandArgs(ctx)[0]);
+  if (!target) return;
+
+  const ok = await orgs.removeMember(user.org.id, target.tg_user_id);
+  if (!ok) {
+    await ctx.reply('⚠️ Не удалось исключить участника. Попробуй позже.', mainKeyboard());
+    return;
+  }
+  await ctx.reply(`✅ ${memberLabel(target)} исключён из «${user.org.name}».`, mainKeyboard());
+  await bot.telegram.sendMessage(
+    target.tg_user_id,
+    `Тебя исключили из организации «${user.org.name}». Дальше проверки идут по твоему личному тарифу.`
+  ).catch((e) => console.log('[WARN] org remove notify failed:', target.tg_user_id, e?.message || e));
+});
+
+bot.command('org_leave', async (ctx) => {
+  const user = await ensureUser(ctx);
+  if (!user.org) {
+    await ctx.reply('Ты не состоишь в организации.', mainKeyboard());
+    return;
+  }
+  if (user.org.role === 'owner') {
+    await ctx.reply('Владелец не может выйти из своей организации.', mainKeyboard());
+    return;
+  }
+
+  const ok = await orgs.removeMember(user.org.id, user.tg_user_id);
+  await ctx.reply(
+    ok
+      ? `Ты вышел из «${user.org.name}». История и отслеживание остались у организации, дальше — твой личный тариф.`
+      : '⚠️ Не удалось выйти из организации. Попробуй позже.',
+    mainKeyboard()
+  );
+});
+
+/* =======================
+   Watchlist: "👁 Следить" on a report, /watchlist to manage
+======================= */
+bot.action(/^watch:(\d{10}|\d{12})$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  const inn = ctx.match[1];
+
+  const list = await watchlist.list(ownerOf(user));
+  if (list.some((w) => w.inn === inn)) {
+    await ctx.answerCbQuery('Уже отслеживается.');
+    return;
+  }
+  const limit = planOf(user).limits.watchlist; // null: no limit
+  if (limit !== null && list.length >= limit) {
+    await ctx.answerCbQuery(`Лимит отслеживания: ${limit}. Удали лишнее в /watchlist${isPro(user) ? '' : ' или подключи PRO'}.`, { show_alert: true });
+    return;
+  }
+
+  // the report was just built, so this is normally served from the cache
+  const res = await providerCache.fetchCompany(inn);
+  if (res.error) {
+    await ctx.answerCbQuery('Провайдер недоступен, попробуй позже.', { show_alert: true });
+    return;
+  }
+
+  const snapshot = makeSnapshot(res.company, scoreRisk(res.company, RISK_CONFIG));
+  const ok = await addToWatchlist({ tg_user_id: user.tg_user_id, org_id: user.org?.id, inn, name: res.company.name, snapshot });
+  await ctx.answerCbQuery(ok ? 'Добавлено в отслеживание.' : 'Не удалось сохранить, попробуй позже.');
+  if (ok) {
+    await ctx.reply(
+      `👁 Слежу за ${res.company.name || inn} (ИНН ${inn}).\n` +
+      `Проверяю раз в ${WATCH_EVERY_HOURS} ч и пришлю сообщение, если изменятся статус, адрес, КПП, наименование, руководитель или риск-флаги.\n` +
+      `Список: /watchlist`,
+      mainKeyboard()
+    );
+  }
+});
+
+bot.command('watchlist', async (ctx) => {
+  const user = await ensureUser(ctx);
+  const list = await watchlist.list(ownerOf(user));
+  if (!list.length) {
+    await ctx.reply('👁 Список отслеживания пуст. Нажми «👁 Следить» под отчётом по ИНН.', mainKeyboard());
+    return;
+  }
+
+  const lines = list.map((w, i) => `${i + 1}. ${w.name || '—'} — ИНН ${w.inn}`);
+  const buttons = list.map((w) => [Markup.button.callback(`✖️ Не следить: ${w.inn}`, `unwatch:${w.inn}`)]);
+  const title = user.org ? `👁 Отслеживаю для организации «${user.org.name}»` : '👁 Отслеживаю';
+  await ctx.reply(`${title} (${list.length}):\n${lines.join('\n')}`, Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^unwatch:(\d{10}|\d{12})$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  await watchlist.remove(ownerOf(user), ctx.match[1]);
+  await ctx.answerCbQuery('Убрано из отслеживания.');
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  await ctx.reply(`ИНН ${ctx.match[1]} больше не отслеживается.`, mainKeyboard());
+});
+
+// Scheduled: re-fetch due watched INNs (one provider call per INN), diff with snapshot, notify.
+// Changes on an organization's watch go to all its members, once per organization.
+async function runWatchJob() {
+  const before = new Date(Date.now() - WATCH_EVERY_HOURS * 3600 * 1000).toISOString();
+  const due = await watchlist.listDue(before, WATCH_BATCH);
+  if (!due.length) return;
+
+  const byInn = new Map();
+  due.forEach((w) => byInn.set(w.inn, [...(byInn.get(w.inn) || []), w]));
+
+  const membersByOrg = new Map();
+  const recipients = async (w) => {
+    if (!w.org_id) return [w.tg_user_id];
+    if (!membersByOrg.has(w.org_id)) membersByOrg.set(w.org_id, (await orgs.listMembers(w.org_id)).map((m) => m.tg_user_id));
+    return membersByOrg.get(w.org_id);
+  };
+
+  for (const [inn, watches] of byInn) {
+    const res = await providerCache.fetchCompany(inn, { forceRefresh: true });
+    if (res.error) {
+      console.log('[WARN] watch fetch failed:', inn, res.error);
+      // still stamp the attempt: listDue orders by last_checked_at, so failing INNs would starve the rest
+      for (const w of watches) await watchlist.update(w.id, { last_checked_at: nowISO() });
+      await sleep(WATCH_DELAY_MS);
+      continue;
+    }
+
+    const risk = scoreRisk(res.company, RISK_CONFIG);
+    const snapshot = makeSnapshot(res.company, risk);
+
+    // one history row per watch owner, under the member who added the watch (inn_checks.tg_user_id is NOT NULL)
+    const logged = new Set();
+    for (const w of watches) {
+      const audience = w.org_id ? `org:${w.org_id}` : `user:${w.tg_user_id}`;
+      if (logged.has(audience)) continue;
+      logged.add(audience);
+      await saveCheckLog({
+        tg_user_id: w.tg_user_id,
+        org_id: w.org_id,
+        inn,
+        kind: 'watch',
+        provider: res.provider,
+        result_summary: `${res.company.name || '—'}; ОГРН: ${res.company.ogrn || '—'}; КПП: ${res.company.kpp || '—'}`,
+        risk,
+        raw: res.raw,
+        fetched_at: res.fetched_at
+      });
+    }
+
+    const notified = new Set();
+    for (const w of watches) {
+      const changes = diffSnapshots(w.snapshot, snapshot);
+      const audience = w.org_id ? `org:${w.org_id}` : `user:${w.tg_user_id}`;
+      if (changes.length && !notified.has(audience)) {
+        notified.add(audience);
+        const text =
+          `👁 Изменения у ${snapshot.name || w.name || '—'} (ИНН ${inn}):\n\n` +
+          `${formatChanges(changes)}\n\n` +
+          `Полный отчёт — пришли ИНН ${inn}. Отписаться: /watchlist`;
+        for (const chatId of await recipients(w)) {
+          await bot.telegram.sendMessage(chatId, text).catch((e) => {
+            console.log('[WARN] watch notify failed:', chatId, e?.message || e);
+          });
+        }
+      }
+      await watchlist.update(w.id, { snapshot, name: snapshot.name || w.name, last_checked_at: nowISO() });
+    }
+
+    await sleep(WATCH_DELAY_MS);
+  }
+}
+
+/* =======================
+   Bulk: CSV / XLSX document with INNs -> results file
+   Runs in the background (webhook must be answered fast), one job per user at a time.
+======================= */
+const bulkInProgress = new Set();
+
+async function bulkCheckOne(user, item) {
+  const base = { input: item.input, inn: item.kind === 'inn' ? item.value : null };
+  if (!item.valid) return { ...base, error: item.reason };
+
+  const r = await quickCheck(user, item.value, 'bulk');
+  if (!r.ok) return { ...base, error: r.error, quotaExhausted: r.quotaExhausted };
+
+  const { company, risk } = r;
+  return {
+    ...base,
+    inn: r.inn,
+    name: company.name,
+    ogrn: company.ogrn,
+    kpp: company.kpp,
+    status: company.status,
+    address: company.address,
+    risk_level: risk.level,
+    risk_score: risk.score,
+    error: null
+  };
+}
+
+async function runBulkJob(ctx, user, items, format, filename) {
+  const chatId = ctx.chat.id;
+  const total = items.length;
+  const results = [];
+  let quotaHit = false;
+
+  const progress = await ctx.reply(`⏳ Пакетная проверка: 0 / ${total}`);
+  const setProgress = (text) =>
+    ctx.telegram.editMessageText(chatId, progress.message_id, undefined, text).catch(() => {});
+
+  for (let i = 0; i < total; i += BULK_BATCH_SIZE) {
+    for (const item of items.slice(i, i + BULK_BATCH_SIZE)) {
+      if (quotaHit) {
+        results.push({ input: item.input, inn: item.value, error: 'Лимит проверок исчерпан' });
+        continue;
+      }
+      const r = await bulkCheckOne(user, item);
+      if (r.quotaExhausted) quotaHit = true;
+      delete r.quotaExhausted;
+      results.push(r);
+      if (item.valid) await sleep(BULK_ITEM_DELAY_MS);
+    }
+
+    await setProgress(`⏳ Пакетная проверка: ${results.length} / ${total}${quotaHit ? ' (лимит исчерпан)' : ''}`);
+    if (!quotaHit && i + BULK_BATCH_SIZE < total) await sleep(BULK_BATCH_PAUSE_MS);
+  }
+
+  const ok = results.filter((r) => !r.error).length;
+  const file = await buildBulkResultFile(results, format);
+  const outName = `results_${filename.replace(/\.[^.]+$/, '')}.${format}`;
+
+  await setProgress(`✅ Пакетная проверка завершена: ${ok} из ${total} успешно.`);
+  await ctx.telegram.sendDocument(chatId, { source: file, filename: outName }, {
+    caption:
+      `Результаты: ${ok} из ${total} проверено.` +
+      (quotaHit ? '\n⛔️ Лимит проверок закончился — остальные строки помечены. В PRO — безлимит.' : '')
+  });
+}
+
+bot.on('document', async (ctx) => {
+  const user = await ensureUser(ctx);
+  const doc = ctx.message.document;
+  const format = formatFromFilename(doc.file_name);
+
+  if (!format) {
+    await ctx.reply('Для пакетной проверки пришли файл .csv или .xlsx: по одному ИНН в строке.', mainKeyboard());
+    return;
+  }
+  if (!can(user, 'bulk')) {
+    await ctx.reply('📥 Пакетная проверка файлом доступна в PRO. Жми «💎 Тариф PRO».', mainKeyboard());
+    return;
+  }
+  if (doc.file_size > BULK_MAX_FILE_BYTES) {
+    await ctx.reply(`Файл слишком большой (максимум ${BULK_MAX_FILE_BYTES / 1024 / 1024} МБ).`, mainKeyboard());
+    return;
+  }
+  if (bulkInProgress.has(user.tg_user_id)) {
+    await ctx.reply('⏳ Предыдущая пакетная проверка ещё идёт. Дождись файла с результатами.', mainKeyboard());
+    return;
+  }
+
+  let items;
+  try {
+    const link = await ctx.telegram.getFileLink(doc.file_id);
+    const r = await fetch(link.href);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    items = await readBulkFile(Buffer.from(await r.arrayBuffer()), format);
+  } catch (e) {
+    console.log('[WARN] bulk file read failed:', e?.message || e);
+    await ctx.reply('⚠️ Не удалось прочитать файл. Проверь, что это корректный CSV/XLSX.', mainKeyboard());
+    return;
+  }
+
+  if (!items.length) {
+    await ctx.reply('В файле не нашлось ни одного ИНН / ОГРН.', mainKeyboard());
+    return;
+  }
+  if (items.length > BULK_MAX_ROWS) {
+    await ctx.reply(`В файле ${items.length} номеров, за раз можно до ${BULK_MAX_ROWS}. Раздели файл на части.`, mainKeyboard());
+    return;
+  }
+
+  const allowed = await checkAllowance(user);
+  if (!allowed.ok) {
+    await ctx.reply(allowed.note, mainKeyboard());
+    return;
+  }
+
+  const invalid = items.filter((x) => !x.valid).length;
+  await ctx.reply(
+    `📥 Принял файл: ${items.length} номеров` + (invalid ? ` (с ошибкой в номере: ${invalid}, лимит на них не тратится)` : '') + '.\n' +
+    `Проверяю партиями по ${BULK_BATCH_SIZE}, пришлю файл с результатами.`,
+    mainKeyboard()
+  );
+
+  bulkInProgress.add(user.tg_user_id);
+  runBulkJob(ctx, user, items, format, doc.file_name || 'inn')
+    .catch(async (e) => {
+      console.log('[ERROR] bulk job failed:', e?.message || e);
+      await ctx.telegram.sendMessage(ctx.chat.id, '⚠️ Пакетная проверка прервалась с ошибкой. Попробуй ещё раз.').catch(() => {});
+    })
+    .finally(() => bulkInProgress.delete(user.tg_user_id));
+});
+
+/* =======================
+   WebApp: data sent with tg.sendData() (keyboard-launched mini-app)
+   Payload: { type: 'inn_check', inn }
+======================= */
+bot.on('web_app_data', async (ctx) => {
+  const user = await ensureUser(ctx);
+
+  let payload = null;
+  try {
+    payload = JSON.parse(ctx.message.web_app_data?.data || 'null');
+  } catch {
+    payload = null;
+  }
+  if (payload?.type !== 'inn_check') {
+    await ctx.reply('Не понял данные из мини-приложения. Пришли ИНН сообщением.', mainKeyboard());
+    return;
+  }
+
+  const id = parseIdentifiers(String(payload.inn || ''))[0];
+  if (!id || !id.valid || id.kind === 'kpp') {
+    await ctx.reply(`❗️${id?.reason || 'Нужен ИНН (10 или 12 цифр) или ОГРН.'} Лимит не списан.`, mainKeyboard());
+    return;
+  }
+
+  await runInnCheck(ctx, user, id.value, { label: KIND_LABELS[id.kind] });
+});
+
+/* =======================
+   Inline mode: "@bot 7707083893" in any chat -> compact card (name, status, risk)
+   Needs inline mode switched on in @BotFather (/setinline). The card uses the cached provider
+   data and counts as a check of the querying user; Telegram re-sends inline queries, so the same
+   INN within INLINE_REPEAT_MS is answered from memory without a second charge.
+   "Полный отчёт" deep-links into the bot (/start inn_<INN>): whoever opens it runs a normal check.
+======================= */
+const inlineCards = new Map(); // `${tg user id}:${query}` -> { result, at }
+
+function buildInlineCard({ inn, company, risk, fetchedAt }, botUsername) {
+  const lines = [
+    `🔎 *${mdEscape(safeText(company.name))}*`,
+    `ИНН ${inn}${company.ogrn ? ` · ОГРН ${company.ogrn}` : ''}`,
+    `Статус: ${mdEscape(safeText(company.status))}`,
+    `${riskEmoji(risk.level)} Риск: ${risk.level} (${risk.score}/100)` +
+      (risk.flags.length ? `, флагов: ${risk.flags.length}` : ', красных флагов нет')
+  ];
+  risk.flags.slice(0, 3).forEach((f) => lines.push(`• ${mdEscape(f.title)}`));
+  lines.push(`_Данные на ${new Date(fetchedAt || Date.now()).toLocaleDateString('ru-RU')}_`);
+
+  return {
+    type: 'article',
+    id: `inn:${inn}`,
+    title: safeText(company.name),
+    description: `ИНН ${inn} · ${safeText(company.status)} · ${riskEmoji(risk.level)} риск ${risk.level}`,
+    input_message_content: { message_text: lines.join('\n'), parse_mode: 'Markdown' },
+    reply_markup: Markup.inlineKeyboard([
+      [Markup.button.url('📄 Полный отчёт в боте', `https://t.me/${botUsername}?start=inn_${inn}`)]
+    ]).reply_markup
+  };
+}
+
+function rememberInlineCard(key, result) {
+  inlineCards.delete(key);
+  inlineCards.set(key, { result, at: Date.now() });
+  while (inlineCards.size > INLINE_MEMO_MAX) inlineCards.delete(inlineCards.keys().next().value);
+}
+
+bot.on('inline_query', async (ctx) => {
+  // no results + a button into the bot: hints, typos, exhausted quota
+  const hint = (text) => ctx.answerInlineQuery([], {
+    cache_time: 0,
+    is_personal: true,
+    button: { text: buttonLabel(text), start_parameter: 'inline' }
+  });
+
+  const id = parseIdentifiers(ctx.inlineQuery.query)[0];
+  if (!id || id.kind === 'unknown') {
+    await hint('Введи ИНН (10 или 12 цифр) или ОГРН');
+    return;
+  }
+  if (!id.valid) {
+    await hint(`❗️ ${id.reason}`);
+    return;
+  }
+  if (id.kind === 'kpp') {
+    await hint('Это КПП — введи ИНН или ОГРН');
+    return;
+  }
+
+  const user = await ensureUser(ctx);
+  const key = `${user.tg_user_id}:${id.value}`;
+  const memo = inlineCards.get(key);
+  if (memo && Date.now() - memo.at < INLINE_REPEAT_MS) {
+    await ctx.answerInlineQuery([memo.result], { cache_time: INLINE_CACHE_SEC, is_personal: true });
+    return;
+  }
+
+  const quota = await consumeCheck(user);
+  if (!quota.ok) {
+    await hint(quota.unavailable ? '⚠️ Лимит недоступен, попробуй позже' : '⛔️ Лимит проверок исчерпан — открыть бота');
+    return;
+  }
+
+  let res;
+  try {
+    res = await providerCache.fetchCompany(id.value);
+  } catch (e) {
+    await refundCheck(quota.ticket);
+    throw e;
+  }
+  if (res.error) {
+    await refundCheck(quota.ticket);
+    await hint('⚠️ Провайдеры данных недоступны, попробуй позже');
+    return;
+  }
+
+  const company = res.company;
+  const inn = company.inn || id.value;
+  const risk = scoreRisk(company, RISK_CONFIG);
+  await saveCheckLog({
+    tg_user_id: user.tg_user_id,
+    org_id: user.org?.id,
+    inn,
+    kind: 'inline',
+    provider: res.provider,
+    result_summary: `${company.name || '—'}; ОГРН: ${company.ogrn || '—'}; КПП: ${company.kpp || '—'}`,
+    risk,
+    raw: res.raw,
+    fetched_at: res.fetched_at
+  });
+
+  const result = buildInlineCard({ inn, company, risk, fetchedAt: res.fetched_at }, ctx.botInfo.username);
+  rememberInlineCard(key, result);
+  await ctx.answerInlineQuery([result], { cache_time: INLINE_CACHE_SEC, is_personal: true });
+});
+
+/* =======================
+   Name search: free text -> provider search -> inline list of companies
+   "Ромашка", "Иванов Иван Иванович", "Ромашка регион 66". Nothing is charged until a company
+   is opened: the pick:<inn> button runs the normal check (and consumes the quota there).
+======================= */
+const lastSearches = new Map(); // tg user id -> { query, region }, for the region filter buttons
+
+const SEARCH_STATUS_EMOJI = { active: '✅', liquidating: '⚠️', reorganizing: '⚠️', bankrupt: '⛔️', liquidated: '⛔️' };
+
+function searchItemRegion(c) {
+  return c.region_code || String(c.inn || '').slice(0, 2);
+}
+
+function searchItemLabel(c) {
+  const parts = [c.name || c.full_name || '—', c.inn, c.city].filter(Boolean).join(' · ');
+  return buttonLabel(`${SEARCH_STATUS_EMOJI[c.status_code] || '▫️'} ${parts}`);
+}
+
+async function runNameSearch(ctx, user, query, region) {
+  lastSearches.set(user.tg_user_id, { query, region });
+  const where = region ? ` (${regionName(region)})` : '';
+  const res = await providers.searchCompanies(query, { region, limit: SEARCH_LIMIT });
+
+  if (res.error) {
+    await ctx.reply(`⚠️ Поиск по названию сейчас недоступен: ${res.error}\nПришли ИНН или ОГРН — по ним проверка работает.`, mainKeyboard());
+    return;
+  }
+  if (!res.items.length) {
+    await ctx.reply(
+      `🔍 По запросу «${query}»${where} ничего не нашлось.\n` +
+      `Попробуй другое написание, без кавычек и ОПФ, или пришли ИНН.`,
+      mainKeyboard()
+    );
+    return;
+  }
+
+  const lines = res.items.map((c, i) =>
+    `${i + 1}. ${c.name || c.full_name || '—'} — ИНН ${c.inn}` +
+    `${c.city ? `, ${c.city}` : ''}${c.status ? `, ${c.status.toLowerCase()}` : ''}`
+  );
+  const buttons = res.items.map((c) => [Markup.button.callback(searchItemLabel(c), `pick:${c.inn}`)]);
+
+  // results from several regions: offer to narrow down (the four most frequent)
+  const counts = new Map();
+  res.items.map(searchItemRegion).filter((code) => regionName(code)).forEach((code) => counts.set(code, (counts.get(code) || 0) + 1));
+  const regions = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  if (!region && regions.length > 1) {
+    buttons.push(regions.slice(0, 4).map((code) => Markup.button.callback(`📍 ${code}`, `srch:${code}`)));
+  } else if (region) {
+    buttons.push([Markup.button.callback('📍 Все регионы', 'srch:all')]);
+  }
+
+  await ctx.reply(
+    `🔍 Нашёл по запросу «${query}»${where}:\n${lines.join('\n')}\n\n` +
+    `Выбери компанию — проверка спишется только при открытии.` +
+    (!region && regions.length > 1 ? `\nУточнить регион: кнопки 📍 или «${query} регион 66».` : ''),
+    Markup.inlineKeyboard(buttons)
+  );
+}
+
+bot.action(/^pick:(\d{10}|\d{12})$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  await ctx.answerCbQuery();
+  await runInnCheck(ctx, user, ctx.match[1]);
+});
+
+bot.action(/^srch:(\d{2}|all)$/, async (ctx) => {
+  const user = await ensureUser(ctx);
+  const last = lastSearches.get(user.tg_user_id);
+  if (!last) {
+    await ctx.answerCbQuery('Поиск устарел, пришли запрос заново.', { show_alert: true });
+    return;
+  }
+  await ctx.answerCbQuery();
+  await runNameSearch(ctx, user, last.query, ctx.match[1] === 'all' ? null : ctx.match[1]);
+});
+
+/* =======================
+   Main handler: INN / OGRN message, anything else with letters is a name search
+   Invalid numbers are rejected before any provider call, so no quota is spent on typos.
+======================= */
+bot.on('text', async (ctx) => {
+  const user = await ensureUser(ctx);
+
+  const ids = parseIdentifiers(ctx.message.text);
+  if (!ids.length) {
+    const { query, region, regionError } = splitRegionFilter(ctx.message.text);
+    if (regionError) {
+      await ctx.reply(`❗️Не знаю регион «${regionError}». Укажи код (например, 66) или название: «регион свердловская».`, mainKeyboard());
+      return;
+    }
+    if (query.length < SEARCH_MIN_LENGTH || !/\p{L}/u.test(query) || query.startsWith('/')) {
+      await ctx.reply('❗️Не нашёл в сообщении ИНН. Пришли ИНН (10 или 12 цифр), ОГРН/ОГРНИП или название компании.', mainKeyboard());
+      return;
+    }
+    await runNameSearch(ctx, user, query, region);
+    return;
+  }
+
+  const problems = [];
+  const checkable = [];
+  for (const id of ids) {
+    if (!id.valid) problems.push(`• ${id.value}: ${id.reason}`);
+    else if (id.kind === 'kpp') problems.push(`• ${id.value}: это КПП — он не уникален, по нему нельзя найти организацию. Пришли ИНН или ОГРН.`);
+    else checkable.push(id);
+  }
+
+  if (problems.length) {
+    await ctx.reply(`❗️Не могу проверить:\n${problems.join('\n')}\n\nЛимит проверок не списан.`, mainKeyboard());
+  }
+
+  if (checkable.length > MAX_IDS_PER_MESSAGE) {
+    await ctx.reply(`Проверю первые ${MAX_IDS_PER_MESSAGE} из ${checkable.length}. Остальные пришли следующим сообщением.`, mainKeyboard());
+  }
+
+  for (const id of checkable.slice(0, MAX_IDS_PER_MESSAGE)) {
+    await runInnCheck(ctx, user, id.value, { label: KIND_LABELS[id.kind] });
+  }
+});
+
+/* =======================
+   Express (Render webhook)
+======================= */
+const app = express();
+app.use(express.json());
+
+app.get('/', (req, res) => res.status(200).send('OK'));
+
+app.use('/webapp', express.static(PUBLIC_DIR));
+
+// sqlite backend keeps PDFs on disk; Supabase serves them from its own (signed) bucket URLs
+if (files.serveDir) {
+  app.use(
+    '/files',
+    (req, res, next) => {
+      let p = null;
+      try {
+        p = decodeURIComponent(req.path.replace(/^\//, ''));
+      } catch {
+        p = null;
+      }
+      if (!p || !files.checkSignature(p, req.query.exp, req.query.sig)) {
+        return res.status(403).type('text').send('Ссылка устарела. Запросите отчёт заново в боте (/history).');
+      }
+      return next();
+    },
+    express.static(files.serveDir, { index: false, dotfiles: 'deny' })
+  );
+}
+
+function webappError(res, status, code, message) {
+  return res.status(status).json({ ok: false, error: { code, message } });
+}
+
+// Mini-app asks here instead of closing itself: the result is rendered in place.
+// Body: { initData, inn } ; initData is Telegram.WebApp.initData (signed by Telegram)
+app.post('/api/webapp/check', async (req, res) => {
+  const auth = validateInitData(req.body?.initData, BOT_TOKEN);
+  if (!auth.ok) return webappError(res, 401, 'unauthorized', 'Откройте мини-приложение из Telegram.');
+
+  const id = parseIdentifiers(String(req.body?.inn || ''))[0];
+  if (!id || !id.valid || id.kind === 'kpp') {
+    return webappError(res, 400, 'invalid_inn', id?.reason || 'Нужен ИНН (10 или 12 цифр) или ОГРН.');
+  }
+
+  try {
+    const user = await ensureUser({ from: auth.user });
+    const r = await performCheck(user, id.value);
+
+    if (!r.ok && r.code === 'quota') return webappError(res, 429, 'quota_exceeded', r.message);
+    if (!r.ok && r.code === 'quota_unavailable') return webappError(res, 503, 'quota_unavailable', 'Не удалось учесть проверку в лимите, попробуйте позже.');
+    if (!r.ok) return webappError(res, 502, 'provider_unavailable', 'Провайдеры данных недоступны, попробуйте позже.');
+
+    return res.json({
+      ok: true,
+      result: {
+        inn: r.inn,
+        name: r.company.name,
+        ogrn: r.company.ogrn,
+        kpp: r.company.kpp,
+        status: r.company.status,
+        address: r.company.address,
+        director: r.company.director?.name || null,
+        risk: r.risk,
+        ai: r.analysis,
+        ai_text: analysisToText(r.analysis),
+        pdf_url: r.pdfUrl,
+        provider: r.provider,
+        fetched_at: r.fetchedAt,
+        cached: r.cached,
+        quota_note: r.quotaNote
+      }
+    });
+  } catch (e) {
+    console.log('[ERROR] webapp check:', e?.message || e);
+    return webappError(res, 500, 'internal', 'Внутренняя ошибка, попробуйте позже.');
+  }
+});
+
+app.use('/api/v1', createApiRouter({
+  findUserByApiKey,
+  performCheck,
+  getCheck: (user, id) => checks.get(ownerOf(user), id),
+  listChecks,
+  loadReportPdf,
+  buildCheckDocx,
+  reportFilename,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  timeZone: TZ
+}));
+app.use('/api', apiErrorHandler);
+
+// Public authenticity check, opened from the QR code on the PDF.
+// The stored file is re-hashed on every request, so a replaced file is reported too.
+app.get('/verify/:reportNo', async (req, res) => {
+  const reportNo = String(req.params.reportNo || '').toUpperCase();
+  res.set('Cache-Control', 'no-store');
+
+  if (!REPORT_NO_RE.test(reportNo)) {
+    return res.status(404).type('html').send(renderVerifyPage({ reportNo, found: false, timeZone: TZ }));
+  }
+
+  try {
+    const row = await checks.getByReportNo(reportNo);
+    if (!row) return res.status(404).type('html').send(renderVerifyPage({ reportNo, found: false, timeZone: TZ }));
+
+    const file = row.pdf_path ? await files.download(row.pdf_path) : null;
+    const hashMatches = file ? sha256Hex(file) === row.pdf_sha256 : null;
+
+    return res.type('html').send(renderVerifyPage({
+      reportNo,
+      found: true,
+      inn: row.inn,
+      summary: row.result_summary,
+      generatedAt: row.updated_at || row.created_at,
+      sha256: row.pdf_sha256,
+      hashMatches,
+      timeZone: TZ
+    }));
+  } catch (e) {
+    console.log('[ERROR] verify:', e?.message || e);
+    return res.status(500).type('html').send(renderVerifyPage({ reportNo, error: true, timeZone: TZ }));
+  }
+});
+
+// a handler error must not stop polling (Telegraf rethrows it by default); webhook updates get the same
+bot.catch((e, ctx) => {
+  console.log(`[ERROR] update ${ctx?.update?.update_id ?? '?'} (${ctx?.updateType || '?'}):`, e?.message || e);
+});
+
+if (PUBLIC_BASE_URL) {
+  app.post('/webhook', (req, res) => {
+    bot.handleUpdate(req.body, res).catch((e) => {
+      console.log('[ERROR] handleUpdate:', e?.message || e);
+      res.status(200).send('OK');
+    });
+  });
+}
 
 async function start() {
   // start express
   app.listen(APP_PORT, () => {
     console.log(`[INFO] Server started on port ${APP_PORT}`);
-    console.log('[INFO] Supabase: enabled');
+    console.log(`[INFO] Storage: ${storage.backend}`);
   });
 
   // webhook
@@ -741,9 +2976,15 @@ async function start() {
     await bot.telegram.setWebhook(hook);
     console.log('[INFO] Webhook set:', hook);
   } else {
-    console.log('[WARN] PUBLIC_BASE_URL missing, webhook setup skipped');
+    // local runs: no public URL -> long polling (Telegraf removes a webhook left from a deployment)
+    console.log('[WARN] PUBLIC_BASE_URL missing, webhook setup skipped, using long polling');
+    bot.launch().catch((e) => console.log('[ERROR] polling:', e?.message || e));
   }
 
+  every('watchlist', WATCH_TICK_MS, runWatchJob);
+  every('subscriptions', SUBSCRIPTIONS_TICK_MS, runSubscriptionsJob);
+  every('pdf-retention', PDF_CLEANUP_TICK_MS, runPdfRetentionJob);
+
   console.log('[INFO] Your service is live 🚀');
 }
 
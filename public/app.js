@@ -13,9 +13,50 @@ function setPill(text){
   if (el) el.textContent = text;
 }
 
+function esc(s){
+  return String(s ?? "—").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+const RISK_CLASS = { "низкий": "low", "средний": "medium", "высокий": "high" };
+
+function renderResult(el, r){
+  const rows = [
+    ["ИНН", r.inn],
+    ["ОГРН", r.ogrn],
+    ["КПП", r.kpp],
+    ["Статус", r.status],
+    ["Адрес", r.address],
+    ["Руководитель", r.director]
+  ].map(([k, v]) => `<div class="resRow"><div class="resK">${k}</div><div class="resV">${esc(v)}</div></div>`).join("");
+
+  const risk = r.risk || { level: "—", score: 0, flags: [] };
+  const flags = risk.flags.length
+    ? `<ul class="flags">${risk.flags.map((f) => `<li><b>${esc(f.title)}</b> — ${esc(f.details)}</li>`).join("")}</ul>`
+    : `<div class="resNote">Красных флагов по доступным данным не выявлено.</div>`;
+
+  const notes = [];
+  if (r.cached && r.fetched_at) notes.push(`Данные из кэша от ${new Date(r.fetched_at).toLocaleString("ru-RU")}.`);
+  if (r.quota_note) notes.push(esc(r.quota_note));
+
+  el.innerHTML =
+    `<div class="resName">${esc(r.name)}</div>` +
+    rows +
+    `<div class="risk ${RISK_CLASS[risk.level] || ""}">Риск: ${esc(risk.level)} (${risk.score}/100)</div>` +
+    flags +
+    (r.pdf_url ? `<a class="pdfLink" href="${esc(r.pdf_url)}" target="_blank" rel="noopener">📄 PDF-отчёт</a>` : "") +
+    (notes.length ? `<div class="resNote">${notes.join("<br>")}</div>` : "");
+  el.hidden = false;
+}
+
+function renderError(el, message){
+  el.innerHTML = `<div class="resError">${esc(message)}</div>`;
+  el.hidden = false;
+}
+
 document.addEventListener("DOMContentLoaded", () => {
   const innEl = document.getElementById("inn");
   const goEl = document.getElementById("go");
+  const resultEl = document.getElementById("result");
 
   if (tg){
     tg.ready();
@@ -29,25 +70,47 @@ document.addEventListener("DOMContentLoaded", () => {
     innEl.value = cleanInn(innEl.value);
   });
 
-  function submit(){
+  async function submit(){
     const inn = cleanInn(innEl.value);
     innEl.value = inn;
 
     if (!isInnValid(inn)){
       if (tg?.HapticFeedback) tg.HapticFeedback.notificationOccurred("error");
-      alert("ИНН должен быть 10 или 12 цифр.");
+      renderError(resultEl, "ИНН должен быть 10 или 12 цифр.");
       return;
     }
 
-    const payload = JSON.stringify({ type: "inn_check", inn });
+    if (!tg?.initData){
+      renderError(resultEl, "Откройте это внутри Telegram, чтобы проверить ИНН.");
+      return;
+    }
+
+    goEl.disabled = true;
+    goEl.textContent = "Проверяю…";
+    resultEl.hidden = true;
+
+    // Бот проверяет initData (подпись Telegram) и возвращает результат сюда же
+    try {
+      const r = await fetch("/api/webapp/check", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ initData: tg.initData, inn })
+      });
+      const j = await r.json().catch(() => null);
+
+      if (!r.ok || !j?.ok){
+        if (tg?.HapticFeedback) tg.HapticFeedback.notificationOccurred("error");
+        renderError(resultEl, j?.error?.message || `Ошибка сервера (${r.status}).`);
+        return;
+      }
 
-    // Отправляем данные в бота (в чат), чтобы бот уже отвечал сообщением
-    if (tg?.sendData){
-      tg.sendData(payload);
+      renderResult(resultEl, j.result);
       if (tg?.HapticFeedback) tg.HapticFeedback.notificationOccurred("success");
-      tg.close();
-    } else {
-      alert("Откройте это внутри Telegram, чтобы отправить ИНН боту.");
+    } catch (e) {
+      renderError(resultEl, "Нет связи с сервером. Попробуйте ещё раз.");
+    } finally {
+      goEl.disabled = false;
+      goEl.textContent = "Проверить";
     }
   }
 
@@ -0,0 +1,156 @@
+/* =======================
+   AI analysis of a counterparty: backend registry + cache
+   - AI_BACKEND: 'openai' | 'compatible' | 'stub' | 'off'
+       default: 'openai' when an API key is set, otherwise 'off'
+   - AI_API_KEY (or OPENAI_API_KEY), AI_MODEL (default gpt-4.1-mini for openai, required for compatible),
+     AI_BASE_URL (compatible: e.g. http://localhost:11434/v1), AI_TIMEOUT_MS (default 30000)
+
+   Backend contract:
+     name, model
+     isConfigured() -> boolean
+     complete({ system, user, input, signal }) -> { error: string|null, json, usage }
+       (input: the same data as `user`, unserialized — for backends that do not call a model)
+
+   The model gets the full canonical company and the risk flags and must answer with JSON
+   (see schema.js). Results are cached per INN + data version: a hash of the input data, prompt
+   version and model, so changed company data (or a new prompt) means a new analysis.
+   Cache layers: in-memory map + stored analyses (loadStored / saveStored, ai_analyses table).
+======================= */
+import crypto from 'node:crypto';
+import { createOpenAiBackend } from './openai.js';
+import { createStubBackend } from './stub.js';
+import { validateAnalysis } from './schema.js';
+
+export const AI_BACKENDS = ['openai', 'compatible', 'stub', 'off'];
+export const PROMPT_VERSION = 2; // bump when the prompt or the schema changes: cached analyses become stale
+const DEFAULT_OPENAI_MODEL = 'gpt-4.1-mini';
+const DEFAULT_TIMEOUT_MS = 30000;
+const MEMORY_ENTRIES = 200;
+
+const SYSTEM_PROMPT = `
+Ты — аналитик комплаенса. По данным о контрагенте из ЕГРЮЛ/ЕГРИП и найденным красным флагам
+подготовь внутреннее заключение на русском языке.
+Ответь строго JSON-объектом:
+- summary: краткая сводка, 1-3 предложения;
+- risks: потенциальные риски, у каждого title, details и severity (low | medium | high);
+- recommendations: что проверить или запросить у контрагента дополнительно.
+Опирайся только на переданные данные; null в данных означает «нет сведений», а не «нет нарушений».
+Не называй это юридическим заключением для суда/ФНС. Это внутренняя проверка.
+`.trim();
+
+function riskInput(risk) {
+  if (!risk) return null;
+  return {
+    level: risk.level,
+    score: risk.score,
+    flags: (risk.flags || []).map((f) => ({ id: f.id, title: f.title, details: f.details, weight: f.weight }))
+  };
+}
+
+export function dataVersion({ company, risk }, model) {
+  const payload = JSON.stringify({ v: PROMPT_VERSION, model, company, risk: riskInput(risk) });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+export function createAnalyst({
+  backend,
+  apiKey,
+  baseUrl,
+  model,
+  timeoutMs,
+  fetchImpl,
+  loadStored,
+  saveStored
+} = {}) {
+  const name = backend || (apiKey ? 'openai' : 'off');
+  let impl = null;
+
+  if (!AI_BACKENDS.includes(name)) {
+    console.log(`[WARN] Unknown AI_BACKEND: ${name}, AI analysis disabled`);
+  } else if (name === 'stub') {
+    impl = createStubBackend();
+  } else if (name !== 'off') {
+    impl = createOpenAiBackend({
+      name,
+      apiKey,
+      baseUrl,
+      model: model || (name === 'openai' ? DEFAULT_OPENAI_MODEL : null),
+      fetchImpl
+    });
+    if (!impl.isConfigured()) {
+      console.log(`[WARN] AI_BACKEND=${name} is not configured (${name === 'openai' ? 'API key' : 'AI_MODEL'} missing), AI analysis disabled`);
+      impl = null;
+    }
+  }
+
+  const memory = new Map(); // data_hash -> analysis
+  const ms = Number(timeoutMs || DEFAULT_TIMEOUT_MS);
+
+  function remember(hash, analysis) {
+    memory.delete(hash);
+    memory.set(hash, analysis);
+    while (memory.size > MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+  }
+
+  async function callModel(input) {
+    const ac = new AbortController();
+    const timer = setTimeout(() => ac.abort(), ms);
+    try {
+      return await impl.complete({ system: SYSTEM_PROMPT, user: JSON.stringify(input), input, signal: ac.signal });
+    } catch (e) {
+      if (e?.name === 'AbortError') return { error: `таймаут ${ms} мс`, json: null, usage: null };
+      return { error: `Network error: ${e?.message || e}`, json: null, usage: null };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // -> null when disabled | { analysis (null if the call failed), usage: { backend, model, cached, *_tokens } }
+  // usage is returned on failures too: the tokens may have been spent anyway
+  // cachedOnly: never call the model, answer from the cache or with analysis: null (re-renders of old checks)
+  async function analyze({ inn, company, risk }, { cachedOnly = false } = {}) {
+    if (!impl) return null;
+
+    const hash = dataVersion({ company, risk }, impl.model);
+    const usage = { backend: impl.name, model: impl.model, cached: true, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    const hit = memory.get(hash) || (loadStored ? (await loadStored(inn, hash))?.analysis : null);
+    if (hit) {
+      remember(hash, hit);
+      return { analysis: hit, usage };
+    }
+    if (cachedOnly) return { analysis: null, usage };
+
+    const res = await callModel({ company, risk: riskInput(risk) });
+    Object.assign(usage, { cached: false }, res.usage || {});
+    if (res.error) {
+      console.log('[WARN] AI analysis failed:', inn, res.error);
+      return { analysis: null, usage };
+    }
+
+    const v = validateAnalysis(res.json);
+    if (!v.ok) {
+      console.log('[WARN] AI analysis rejected by schema:', inn, v.error);
+      return { analysis: null, usage };
+    }
+
+    remember(hash, v.analysis);
+    if (saveStored) {
+      await saveStored({
+        inn,
+        data_hash: hash,
+        backend: impl.name,
+        model: impl.model,
+        analysis: v.analysis,
+        created_at: new Date().toISOString()
+      });
+    }
+    return { analysis: v.analysis, usage };
+  }
+
+  return {
+    backend: impl?.name || 'off',
+    enabled: Boolean(impl),
+    analyze
+  };
+}
@@ -0,0 +1,73 @@
+/* =======================
+   OpenAI-compatible chat completions backend
+   - 'openai':     api.openai.com, structured output via response_format json_schema
+   - 'compatible': any server with the same /chat/completions API (Ollama, vLLM, LM Studio, LocalAI ...);
+                   only json_object mode is assumed there, the schema goes into the prompt
+   Both return the parsed JSON; validation happens in src/ai/index.js.
+======================= */
+import fetch from 'node-fetch';
+import { ANALYSIS_JSON_SCHEMA } from './schema.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export function createOpenAiBackend({ name, apiKey, baseUrl, model, fetchImpl = fetch }) {
+  const url = `${String(baseUrl || OPENAI_BASE_URL).replace(/\/$/, '')}/chat/completions`;
+  const strictSchema = name === 'openai';
+
+  // -> { error: string|null, json, usage: { prompt_tokens, completion_tokens, total_tokens } | null }
+  async function complete({ system, user, signal }) {
+    const body = {
+      model,
+      temperature: 0.2,
+      messages: [
+        { role: 'system', content: strictSchema ? system : `${system}\n\nJSON Schema ответа:\n${JSON.stringify(ANALYSIS_JSON_SCHEMA)}` },
+        { role: 'user', content: user }
+      ],
+      response_format: strictSchema
+        ? { type: 'json_schema', json_schema: { name: 'counterparty_analysis', strict: true, schema: ANALYSIS_JSON_SCHEMA } }
+        : { type: 'json_object' }
+    };
+
+    const r = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    const j = await r.json().catch(() => null);
+    if (!r.ok) return { error: `${name} HTTP ${r.status}: ${j?.error?.message || 'no details'}`, json: null, usage: null };
+
+    const usage = j?.usage
+      ? {
+          prompt_tokens: Number(j.usage.prompt_tokens || 0),
+          completion_tokens: Number(j.usage.completion_tokens || 0),
+          total_tokens: Number(j.usage.total_tokens || 0)
+        }
+      : null;
+
+    const message = j?.choices?.[0]?.message;
+    if (message?.refusal) return { error: `${name}: отказ модели: ${message.refusal}`, json: null, usage };
+
+    const content = String(message?.content || '')
+      .trim()
+      // some local models wrap JSON in a markdown fence even in json mode
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '');
+    try {
+      return { error: null, json: JSON.parse(content), usage };
+    } catch {
+      return { error: `${name}: ответ не JSON`, json: null, usage };
+    }
+  }
+
+  return {
+    name,
+    model,
+    // a local endpoint may need no key; api.openai.com always does
+    isConfigured: () => Boolean(model) && (name !== 'openai' || Boolean(apiKey)),
+    complete
+  };
+}
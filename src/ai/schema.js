@@ -0,0 +1,97 @@
+/* =======================
+   AI analysis: output schema + validation
+   The model must answer with JSON of this shape; anything else is rejected, not "fixed up" into text.
+     {
+       summary          string, 1-3 sentences
+       risks            [{ title, details, severity: 'low' | 'medium' | 'high' }]
+       recommendations  [string]  (what to check / request from the counterparty)
+     }
+   Lengths are capped here, so renderers (Telegram, PDF, API) never have to cut text mid-sentence;
+   the caps keep the whole analysis within one Telegram message (4096 chars).
+======================= */
+
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+const MAX_SUMMARY = 600;
+const MAX_RISKS = 6;
+const MAX_RECOMMENDATIONS = 5;
+const MAX_TITLE = 100;
+const MAX_DETAILS = 250;
+const MAX_RECOMMENDATION = 200;
+
+// JSON Schema for structured-output capable backends (OpenAI "json_schema" response format)
+export const ANALYSIS_JSON_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'risks', 'recommendations'],
+  properties: {
+    summary: { type: 'string' },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'details', 'severity'],
+        properties: {
+          title: { type: 'string' },
+          details: { type: 'string' },
+          severity: { type: 'string', enum: SEVERITIES }
+        }
+      }
+    },
+    recommendations: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+function text(v, max) {
+  if (typeof v !== 'string') return null;
+  const t = v.replace(/\s+/g, ' ').trim();
+  if (!t) return null;
+  return t.length > max ? `${t.slice(0, max - 1).replace(/\s+\S*$/, '')}…` : t;
+}
+
+// -> { ok: true, analysis } | { ok: false, error }
+export function validateAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { ok: false, error: 'not an object' };
+
+  const summary = text(value.summary, MAX_SUMMARY);
+  if (!summary) return { ok: false, error: 'summary is missing' };
+  if (!Array.isArray(value.risks)) return { ok: false, error: 'risks must be an array' };
+  if (!Array.isArray(value.recommendations)) return { ok: false, error: 'recommendations must be an array' };
+
+  const risks = [];
+  for (const r of value.risks.slice(0, MAX_RISKS)) {
+    const title = text(r?.title, MAX_TITLE);
+    if (!title) return { ok: false, error: 'risk without title' };
+    if (!SEVERITIES.includes(r?.severity)) return { ok: false, error: `bad severity: ${r?.severity}` };
+    risks.push({ title, details: text(r.details, MAX_DETAILS) || '', severity: r.severity });
+  }
+
+  const recommendations = value.recommendations
+    .slice(0, MAX_RECOMMENDATIONS)
+    .map((s) => text(s, MAX_RECOMMENDATION))
+    .filter(Boolean);
+
+  return { ok: true, analysis: { summary, risks, recommendations } };
+}
+
+const SEVERITY_LABELS = { low: 'низкий', medium: 'средний', high: 'высокий' };
+
+export function severityLabel(severity) {
+  return SEVERITY_LABELS[severity] || severity;
+}
+
+// Plain-text rendering (API ai_text, logs)
+export function analysisToText(analysis) {
+  if (!analysis) return null;
+  const lines = [analysis.summary];
+  if (analysis.risks.length) {
+    lines.push('', 'Риски:');
+    analysis.risks.forEach((r) => lines.push(`- ${r.title} (${severityLabel(r.severity)})${r.details ? `: ${r.details}` : ''}`));
+  }
+  if (analysis.recommendations.length) {
+    lines.push('', 'Что проверить:');
+    analysis.recommendations.forEach((s) => lines.push(`- ${s}`));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,42 @@
+/* =======================
+   Stub backend: deterministic analysis built from the risk flags, no network
+   For local runs and tests (AI_BACKEND=stub); the output goes through the same validation.
+======================= */
+
+const SEVERITY_BY_WEIGHT = [
+  [35, 'high'],
+  [20, 'medium'],
+  [0, 'low']
+];
+
+function severity(weight) {
+  return SEVERITY_BY_WEIGHT.find(([min]) => Number(weight || 0) >= min)[1];
+}
+
+export function createStubBackend() {
+  async function complete({ input }) {
+    const { company, risk } = input;
+    const flags = risk?.flags || [];
+
+    return {
+      error: null,
+      json: {
+        summary: `${company?.name || 'Контрагент'}: уровень риска ${risk?.level || '—'} (${risk?.score ?? '—'}/100), ` +
+          (flags.length ? `выявлено красных флагов: ${flags.length}.` : 'красных флагов по доступным данным нет.'),
+        risks: flags.map((f) => ({ title: f.title, details: f.details, severity: severity(f.weight) })),
+        recommendations: [
+          'Запросить у контрагента выписку из ЕГРЮЛ/ЕГРИП и учредительные документы.',
+          ...(flags.length ? ['Получить письменные пояснения по выявленным красным флагам.'] : [])
+        ]
+      },
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  return {
+    name: 'stub',
+    model: 'stub',
+    isConfigured: () => true,
+    complete
+  };
+}
@@ -0,0 +1,209 @@
+/* =======================
+   Public REST API (/api/v1) for ERP / 1C integrations
+   - auth: "Authorization: Bearer pb_..." or "X-API-Key: pb_..."; keys are issued by /apikey in the bot
+   - only the SHA-256 of a key is stored, the key itself is shown to the user once
+   - checks run through the same pipeline (providers, risk, AI, PDF) and quotas as the bot
+   - errors: { ok: false, error: { code, message } }, the same shape as the WebApp endpoint
+   - OpenAPI description: GET /api/v1/openapi.json (src/openapi.js)
+======================= */
+import crypto from 'node:crypto';
+import express from 'express';
+import { parseIdentifiers } from './identifiers.js';
+import { buildOpenApiSpec } from './openapi.js';
+import { analysisToText } from './ai/schema.js';
+import { shiftDay, zonedDayStart } from './plans.js';
+
+export const API_KEY_PREFIX = 'pb_';
+
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// -> { key, hash, hint }; hint is what the bot shows later ("pb_AbC…xYz9")
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, hash: hashApiKey(key), hint: `${key.slice(0, 6)}…${key.slice(-4)}` };
+}
+
+function readApiKey(req) {
+  const auth = req.get('authorization') || '';
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  const key = m ? m[1] : req.get('x-api-key');
+  return key && key.startsWith(API_KEY_PREFIX) ? key : null;
+}
+
+export function apiError(res, status, code, message) {
+  return res.status(status).json({ ok: false, error: { code, message } });
+}
+
+// pdf_url of a stored check is the authenticated download below, never a permanent file link
+function checkRowToJson(row, apiBase) {
+  return {
+    id: row.id,
+    inn: row.inn,
+    kind: row.kind || 'inn',
+    provider: row.provider,
+    summary: row.result_summary,
+    risk: row.risk_level
+      ? { level: row.risk_level, score: row.risk_score, flags: row.risk_flags || [] }
+      : null,
+    report_no: row.report_no || null,
+    pdf_url: row.report_no ? `${apiBase}/checks/${row.id}/pdf` : null,
+    fetched_at: row.fetched_at || null,
+    created_at: row.created_at
+  };
+}
+
+// YYYY-MM-DD -> ISO of 00:00 of that day in the business timezone (as /history in the bot);
+// endOfDay: the next day's start, an exclusive upper bound
+function parseDay(s, timeZone, { endOfDay = false } = {}) {
+  const day = String(s);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || shiftDay(day, 0) !== day) return null;
+  return zonedDayStart(endOfDay ? shiftDay(day, 1) : day, timeZone).toISOString();
+}
+
+// Async handlers: Express 4 does not catch rejected promises by itself
+function handle(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+/*
+  deps:
+    findUserByApiKey(hash)          -> bot_users row (with .org) | null
+    performCheck(user, query)       -> see index.js
+    getCheck(user, id)              -> inn_checks row of the user (or the user's organization) | null
+    listChecks(user, opts)          -> { rows, total }
+    loadReportPdf(row)              -> { buffer } | { error }
+    buildCheckDocx(row, user)       -> { buffer } | { error }
+    reportFilename(row, ext)        -> string
+    publicBaseUrl                   -> for the OpenAPI "servers" entry and PDF download links
+    timeZone                        -> business timezone: /history from / to are its calendar days
+*/
+export function createApiRouter({
+  findUserByApiKey, performCheck, getCheck, listChecks, loadReportPdf, buildCheckDocx, reportFilename, publicBaseUrl, timeZone
+}) {
+  const router = express.Router();
+  const apiBase = publicBaseUrl ? `${publicBaseUrl.replace(/\/$/, '')}/api/v1` : '/api/v1';
+  const spec = buildOpenApiSpec({ serverUrl: apiBase, timeZone });
+
+  router.get('/openapi.json', (req, res) => res.json(spec));
+
+  router.use(handle(async (req, res, next) => {
+    const key = readApiKey(req);
+    if (!key) return apiError(res, 401, 'unauthorized', 'Нужен API-ключ: Authorization: Bearer <ключ>. Выпустить ключ — /apikey в боте.');
+
+    const user = await findUserByApiKey(hashApiKey(key));
+    if (!user) return apiError(res, 401, 'unauthorized', 'API-ключ недействителен или отозван.');
+
+    req.apiUser = user;
+    return next();
+  }));
+
+  // Body: { inn } — INN, OGRN or OGRNIP; { refresh: true } skips the provider cache
+  router.post('/check', handle(async (req, res) => {
+    const id = parseIdentifiers(String(req.body?.inn ?? ''))[0];
+    if (!id || !id.valid || id.kind === 'kpp') {
+      return apiError(res, 400, 'invalid_inn', id?.reason || 'Нужен ИНН (10 или 12 цифр), ОГРН или ОГРНИП.');
+    }
+
+    const r = await performCheck(req.apiUser, id.value, { forceRefresh: req.body?.refresh === true });
+    if (!r.ok && r.code === 'quota') return apiError(res, 429, 'quota_exceeded', r.message);
+    if (!r.ok && r.code === 'quota_unavailable') return apiError(res, 503, 'quota_unavailable', 'Не удалось учесть проверку в лимите, попробуйте позже.');
+    if (!r.ok) return apiError(res, 502, 'provider_unavailable', 'Провайдеры данных недоступны, попробуйте позже.');
+
+    return res.json({
+      ok: true,
+      check: {
+        id: r.checkId,
+        report_no: r.reportNo,
+        inn: r.inn,
+        company: r.company,
+        risk: r.risk,
+        ai: r.analysis,
+        ai_text: analysisToText(r.analysis),
+        pdf_url: r.pdfUrl,
+        provider: r.provider,
+        fetched_at: r.fetchedAt,
+        cached: r.cached,
+        quota_note: r.quotaNote
+      }
+    });
+  }));
+
+  router.get('/checks/:id', handle(async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+    const row = await getCheck(req.apiUser, req.params.id);
+    if (!row) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+    return res.json({ ok: true, check: checkRowToJson(row, apiBase) });
+  }));
+
+  router.get('/checks/:id/pdf', handle(async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+    const row = await getCheck(req.apiUser, req.params.id);
+    if (!row) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+
+    const pdf = await loadReportPdf(row);
+    if (pdf.error) return apiError(res, 404, 'pdf_unavailable', 'PDF для этой проверки недоступен.');
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${reportFilename(row)}"`);
+    return res.send(pdf.buffer);
+  }));
+
+  router.get('/checks/:id/docx', handle(async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+    const row = await getCheck(req.apiUser, req.params.id);
+    if (!row) return apiError(res, 404, 'not_found', 'Проверка не найдена.');
+
+    const docx = await buildCheckDocx(row, req.apiUser);
+    if (docx.error) return apiError(res, 404, 'docx_unavailable', 'DOCX для этой проверки недоступен.');
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.set('Content-Disposition', `attachment; filename="${reportFilename(row, 'docx')}"`);
+    return res.send(docx.buffer);
+  }));
+
+  // Query: inn, from, to (YYYY-MM-DD, calendar days in the business timezone, inclusive), limit (<= 100), offset
+  router.get('/history', handle(async (req, res) => {
+    const { inn, from, to } = req.query;
+    const limit = req.query.limit === undefined ? HISTORY_DEFAULT_LIMIT : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+      return apiError(res, 400, 'invalid_params', `limit — целое число от 1 до ${HISTORY_MAX_LIMIT}.`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) return apiError(res, 400, 'invalid_params', 'offset — целое неотрицательное число.');
+
+    const filter = {};
+    if (inn !== undefined) {
+      if (!/^\d{10}(\d{2})?$/.test(String(inn))) return apiError(res, 400, 'invalid_params', 'inn — 10 или 12 цифр.');
+      filter.inn = String(inn);
+    }
+    if (from !== undefined) {
+      filter.from = parseDay(from, timeZone);
+      if (!filter.from) return apiError(res, 400, 'invalid_params', 'from — дата в формате YYYY-MM-DD.');
+    }
+    if (to !== undefined) {
+      filter.to = parseDay(to, timeZone, { endOfDay: true });
+      if (!filter.to) return apiError(res, 400, 'invalid_params', 'to — дата в формате YYYY-MM-DD.');
+    }
+
+    const { rows, total } = await listChecks(req.apiUser, { filter, offset, limit });
+    return res.json({ ok: true, total, offset, limit, items: rows.map((r) => checkRowToJson(r, apiBase)) });
+  }));
+
+  router.use((req, res) => apiError(res, 404, 'not_found', 'Неизвестный метод API.'));
+
+  return router;
+}
+
+// Mounted after the router: bad JSON bodies (express.json) and unexpected failures
+export function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err?.type === 'entity.parse.failed') return apiError(res, 400, 'invalid_json', 'Тело запроса — не валидный JSON.');
+  console.log('[ERROR] api:', err?.message || err);
+  return apiError(res, 500, 'internal', 'Внутренняя ошибка, попробуйте позже.');
+}
@@ -0,0 +1,89 @@
+/* =======================
+   Bulk check files (CSV / XLSX)
+   - input: any sheet/CSV, one counterparty per row; the first cell that looks like
+     INN / OGRN / OGRNIP is taken, rows without one (headers, notes) are skipped
+   - output: one row per input INN, same format as the input file
+======================= */
+import ExcelJS from 'exceljs';
+import { validateIdentifier } from './identifiers.js';
+import { EXPORT_FORMATS, buildTableFile } from './export.js';
+
+export const BULK_FORMATS = EXPORT_FORMATS;
+
+export const RESULT_COLUMNS = [
+  { key: 'input', header: 'Исходное значение', width: 18 },
+  { key: 'inn', header: 'ИНН', width: 14 },
+  { key: 'name', header: 'Наименование', width: 40 },
+  { key: 'ogrn', header: 'ОГРН / ОГРНИП', width: 17 },
+  { key: 'kpp', header: 'КПП', width: 11 },
+  { key: 'status', header: 'Статус', width: 22 },
+  { key: 'address', header: 'Адрес', width: 50 },
+  { key: 'risk_level', header: 'Уровень риска', width: 14 },
+  { key: 'risk_score', header: 'Риск-балл', width: 10 },
+  { key: 'error', header: 'Ошибка', width: 40 }
+];
+
+const ID_LENGTHS = new Set([10, 12, 13, 15]);
+
+export function formatFromFilename(name) {
+  const ext = String(name || '').toLowerCase().split('.').pop();
+  return BULK_FORMATS.includes(ext) ? ext : null;
+}
+
+// Excel drops leading zeros of numeric cells: 0123456789 -> 123456789
+function cellToCandidate(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'object') v = v.result ?? v.text ?? v.richText?.map((t) => t.text).join('') ?? '';
+  const isNumeric = typeof v === 'number';
+  const s = String(v).trim();
+  if (!/^[\d\s-]+$/.test(s)) return null;
+
+  let digits = s.replace(/\D/g, '');
+  if (isNumeric && (digits.length === 9 || digits.length === 11)) digits = digits.padStart(digits.length + 1, '0');
+  return ID_LENGTHS.has(digits.length) ? { input: s, digits } : null;
+}
+
+function rowsToItems(rows) {
+  const items = [];
+  const seen = new Set();
+  for (const cells of rows) {
+    const hit = cells.map(cellToCandidate).find(Boolean);
+    if (!hit || seen.has(hit.digits)) continue;
+    seen.add(hit.digits);
+    items.push({ input: hit.input, ...validateIdentifier(hit.digits) });
+  }
+  return items;
+}
+
+function parseCsv(text) {
+  const body = text.replace(/^\uFEFF/, '');
+  const firstLine = body.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [';', '\t', ','].find((d) => firstLine.includes(d)) || ';';
+
+  return body
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => line.split(delimiter).map((c) => c.replace(/^"|"$/g, '').trim()));
+}
+
+// -> [{ input, kind, value, valid, reason }]
+export async function readBulkFile(buffer, format) {
+  if (format === 'csv') return rowsToItems(parseCsv(buffer.toString('utf8')));
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based with an empty slot at [0]
+    rows.push((row.values || []).slice(1));
+  });
+  return rowsToItems(rows);
+}
+
+// results: [{ input, inn, name, ogrn, kpp, status, address, risk_level, risk_score, error }]
+export async function buildBulkResultFile(results, format) {
+  return buildTableFile({ columns: RESULT_COLUMNS, rows: results, format, sheet: 'Результаты', textKeys: ['inn', 'ogrn', 'kpp', 'input'] });
+}
@@ -0,0 +1,126 @@
+/* =======================
+   Courts, enforcement proceedings (FSSP) and public contracts (44-FZ / 223-FZ)
+   - summary counters of the canonical company (providers/canonical.js) -> report blocks (Telegram, PDF, DOCX)
+   - RECORD_SECTIONS: paged lists of individual records behind "📂 Подробнее" (adapter.records())
+======================= */
+import { moneyShort } from './finance.js';
+
+export const RECORDS_PAGE_SIZE = 5;
+
+export const RECORD_SECTIONS = {
+  arbitration: 'Арбитражные дела',
+  enforcements: 'Исполнительные производства',
+  contracts44: 'Госконтракты по 44-ФЗ',
+  contracts223: 'Госконтракты по 223-ФЗ'
+};
+
+export const CASE_ROLES = {
+  plaintiff: 'истец',
+  defendant: 'ответчик',
+  third: 'третье лицо'
+};
+
+export function hasCases(company) {
+  return Boolean(company?.arbitration || company?.enforcements || company?.contracts);
+}
+
+// records known to exist per section (null = unknown, the section is still browsable)
+export function sectionCount(company, section) {
+  const c = company || {};
+  if (section === 'arbitration') {
+    const a = c.arbitration;
+    return a && (a.plaintiff_count !== null || a.defendant_count !== null) ? (a.plaintiff_count || 0) + (a.defendant_count || 0) : null;
+  }
+  if (section === 'enforcements') return c.enforcements?.count ?? null;
+  if (section === 'contracts44') return c.contracts?.count_44 ?? null;
+  if (section === 'contracts223') return c.contracts?.count_223 ?? null;
+  return null;
+}
+
+function date(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isFinite(d.getTime()) ? d.toLocaleDateString('ru-RU') : String(v);
+}
+
+// 12, 3400000 -> '12 на 3,4 млн ₽'
+function countSum(count, sum) {
+  if (count === null || count === undefined) return null;
+  return sum ? `${count} на ${moneyShort(sum)}` : String(count);
+}
+
+/*
+  -> [{ title, rows: [{ label, value, alert }] }] : one block per section the provider told us about
+  alert: cases as a defendant, enforcement debts still open
+*/
+export function caseBlocks(company) {
+  const c = company || {};
+  const blocks = [];
+
+  const a = c.arbitration;
+  if (a) {
+    blocks.push({
+      title: 'Арбитражные дела',
+      rows: [
+        { label: 'Истец', value: countSum(a.plaintiff_count, a.plaintiff_sum), alert: false },
+        { label: 'Ответчик', value: countSum(a.defendant_count, a.defendant_sum), alert: a.defendant_count > 0 }
+      ]
+    });
+  }
+
+  const e = c.enforcements;
+  if (e) {
+    blocks.push({
+      title: 'Исполнительные производства (ФССП)',
+      rows: [
+        { label: 'Всего', value: e.count === null ? null : String(e.count), alert: false },
+        { label: 'Незавершённые', value: countSum(e.open_count, e.open_sum), alert: e.open_count > 0 || e.open_sum > 0 }
+      ]
+    });
+  }
+
+  const k = c.contracts;
+  if (k) {
+    blocks.push({
+      title: 'Госзакупки (поставщик)',
+      rows: [
+        { label: 'Контрактов всего', value: countSum(k.count, k.sum), alert: false },
+        { label: '44-ФЗ', value: countSum(k.count_44, k.sum_44), alert: false },
+        { label: '223-ФЗ', value: countSum(k.count_223, k.sum_223), alert: false }
+      ]
+    });
+  }
+
+  return blocks
+    .map((b) => ({ ...b, rows: b.rows.filter((r) => r.value !== null) }))
+    .filter((b) => b.rows.length);
+}
+
+// one record of a section -> { title, details, alert, url } for the paged list
+export function recordItem(section, r) {
+  const title = [r.number ? `№ ${r.number}` : 'Без номера', r.date ? `от ${date(r.date)}` : null].filter(Boolean).join(' ');
+
+  if (section === 'arbitration') {
+    return {
+      title,
+      details: [CASE_ROLES[r.role], r.sum ? `иск ${moneyShort(r.sum)}` : null, r.court].filter(Boolean).join(' · '),
+      alert: r.role === 'defendant',
+      url: r.url
+    };
+  }
+  if (section === 'enforcements') {
+    const state = r.debt ? `остаток ${moneyShort(r.debt)}` : r.closed_at ? `окончено ${date(r.closed_at)}` : null;
+    return {
+      title,
+      details: [r.subject, r.sum ? `сумма ${moneyShort(r.sum)}` : null, state].filter(Boolean).join(' · '),
+      alert: r.debt > 0,
+      url: null
+    };
+  }
+  return {
+    title,
+    details: [r.customer, r.subject, moneyShort(r.sum)].filter(Boolean).join(' · '),
+    alert: false,
+    url: null
+  };
+}
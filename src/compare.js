@@ -0,0 +1,108 @@
+/* =======================
+   Counterparty comparison (/compare): 2–5 companies side by side
+   - one row per metric, one cell per company (canonical company + risk)
+   - the worst value of a row is marked when at least two companies have it and the values differ
+   - read by the chat message (index.js) and the PDF table (src/pdf.js)
+======================= */
+import { fmtDate, fmtMoney } from './report.js';
+import { latestFinance } from './finance.js';
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 5;
+
+function plural(n, [one, few, many]) {
+  const m10 = n % 10;
+  const m100 = n % 100;
+  if (m10 === 1 && m100 !== 11) return one;
+  if (m10 >= 2 && m10 <= 4 && (m100 < 12 || m100 > 14)) return few;
+  return many;
+}
+
+function ageMonths(registeredAt, now) {
+  const d = registeredAt ? new Date(registeredAt) : null;
+  if (!d || !Number.isFinite(d.getTime())) return null;
+  return (now.getFullYear() - d.getFullYear()) * 12 + (now.getMonth() - d.getMonth()) - (now.getDate() < d.getDate() ? 1 : 0);
+}
+
+// 150 -> '12 лет', 5 -> '5 мес.'
+export function ageText(months) {
+  if (months === null) return null;
+  if (months < 12) return `${Math.max(0, months)} мес.`;
+  const years = Math.floor(months / 12);
+  return `${years} ${plural(years, ['год', 'года', 'лет'])}`;
+}
+
+// amount of the last reporting year, with the year
+function finance(c, key) {
+  return latestFinance(c)?.[key] ?? null;
+}
+
+function financeText(c, key) {
+  const v = finance(c, key);
+  return v === null ? null : `${fmtMoney(v)} (${latestFinance(c).year})`;
+}
+
+// value: number to compare (null = unknown); worse: which end of the row is highlighted
+const ROWS = [
+  {
+    label: 'Статус',
+    value: (c) => (c.status_code ? Number(c.status_code !== 'active') : null),
+    text: (c) => c.status,
+    worse: 'higher'
+  },
+  {
+    label: 'Возраст',
+    value: (c, r, now) => ageMonths(c.registered_at, now),
+    text: (c, r, now) => {
+      const age = ageText(ageMonths(c.registered_at, now));
+      return age ? `${age}, с ${fmtDate(c.registered_at)}` : null;
+    },
+    worse: 'lower'
+  },
+  {
+    label: 'Адрес',
+    value: (c) => (c.address_mass === null && c.address_invalid === null ? null : Number(Boolean(c.address_mass || c.address_invalid))),
+    text: (c) => [c.address, c.address_mass ? '(массовый адрес)' : null, c.address_invalid ? '(недостоверен)' : null].filter(Boolean).join(' ') || null,
+    worse: 'higher'
+  },
+  { label: 'Уставный капитал', value: (c) => c.capital, text: (c) => fmtMoney(c.capital), worse: 'lower' },
+  { label: 'Выручка', value: (c) => finance(c, 'revenue'), text: (c) => financeText(c, 'revenue'), worse: 'lower' },
+  { label: 'Прибыль', value: (c) => finance(c, 'profit'), text: (c) => financeText(c, 'profit'), worse: 'lower' },
+  { label: 'Сотрудники', value: (c) => c.employees, text: (c) => (c.employees === null ? null : String(c.employees)), worse: 'lower' },
+  {
+    label: 'Риск-балл',
+    value: (c, r) => r?.score ?? null,
+    text: (c, r) => (r ? `${r.score}/100, ${r.level}` : null),
+    worse: 'higher'
+  },
+  {
+    label: 'Красные флаги',
+    value: (c, r) => (r ? r.flags.length : null),
+    text: (c, r) => (r ? (r.flags.length ? r.flags.map((f) => f.title).join('; ') : 'нет') : null),
+    worse: 'higher'
+  }
+];
+
+/*
+  entries: [{ company, risk }] ->
+  { names: [string], rows: [{ label, cells: [{ text, worst }] }] }
+  text is null when the provider did not tell us
+*/
+export function buildComparison(entries, now = new Date()) {
+  const names = entries.map((e) => e.company.name || e.company.inn);
+  const rows = ROWS.map((row) => {
+    const values = entries.map((e) => row.value(e.company, e.risk, now) ?? null);
+    const known = values.filter((v) => v !== null);
+    const differ = known.length >= 2 && known.some((v) => v !== known[0]);
+    const worst = differ ? (row.worse === 'higher' ? Math.max(...known) : Math.min(...known)) : null;
+
+    return {
+      label: row.label,
+      cells: entries.map((e, i) => ({
+        text: row.text(e.company, e.risk, now) ?? null,
+        worst: differ && values[i] === worst
+      }))
+    };
+  });
+  return { names, rows };
+}
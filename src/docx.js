@@ -0,0 +1,246 @@
+/* =======================
+   DOCX report generator (editable copy of the PDF report)
+   - same content and variants as src/pdf.js: both render src/report.js
+   - plain Word styles (headings, tables, bullets) so the text is easy to edit; no finance chart (the table has the same numbers)
+   - authenticity is checked only for the PDF: the DOCX names the PDF report number and its /verify link
+======================= */
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Footer,
+  HeadingLevel,
+  Packer,
+  PageNumber,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { RISK_LEVEL_HIGH, RISK_LEVEL_MEDIUM } from './risk.js';
+import { severityLabel } from './ai/schema.js';
+import {
+  REPORT_DISCLAIMER,
+  REPORT_SIGNATURE,
+  AI_NOTE,
+  safeText,
+  reportSubtitle,
+  requisiteRows,
+  reportFlags,
+  showsLinks,
+  linkBlocks,
+  showsFinance,
+  financeTable,
+  FINANCE_HEADING,
+  FINANCE_NOTE,
+  showsCases
+} from './report.js';
+import { caseBlocks } from './cases.js';
+
+// hex without '#', as Word wants it; the same palette as the PDF
+const BRAND = '1F5FBF';
+const MUTED = '6B7280';
+const LINE = 'E5E7EB';
+const ZEBRA = 'F5F7FB';
+const RISK_COLORS = { [RISK_LEVEL_HIGH]: 'D92D20', [RISK_LEVEL_MEDIUM]: 'E59F00', default: '12A150' };
+const FONT = 'Arial';
+
+function text(value, opts = {}) {
+  return new TextRun({ text: String(value), font: FONT, ...opts });
+}
+
+function para(children, opts = {}) {
+  return new Paragraph({ children: [].concat(children), spacing: { after: 80 }, ...opts });
+}
+
+function heading(title) {
+  return new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    spacing: { before: 240, after: 120 },
+    border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: BRAND, space: 2 } },
+    children: [text(title.toUpperCase(), { bold: true, color: BRAND, size: 24 })]
+  });
+}
+
+function bullet(children) {
+  return new Paragraph({ bullet: { level: 0 }, spacing: { after: 40 }, children });
+}
+
+// rows: [label, value, alert?]; alert values are red
+function requisitesTable(rows) {
+  const border = { style: BorderStyle.SINGLE, size: 4, color: LINE };
+  const borders = { top: border, bottom: border, left: border, right: border };
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: rows.map(([label, value, alert], i) => {
+      const shading = i % 2 === 0 ? { type: ShadingType.CLEAR, color: 'auto', fill: ZEBRA } : undefined;
+      return new TableRow({
+        children: [
+          new TableCell({ width: { size: 30, type: WidthType.PERCENTAGE }, borders, shading, children: [para(text(label, { color: MUTED }))] }),
+          new TableCell({ width: { size: 70, type: WidthType.PERCENTAGE }, borders, shading, children: [para(text(safeText(value), { bold: true, ...(alert ? { color: RISK_COLORS[RISK_LEVEL_HIGH] } : {}) }))] })
+        ]
+      });
+    })
+  });
+}
+
+// financeTable(): one column per reporting year
+function financeParagraphs(company) {
+  const { years, rows } = financeTable(company);
+  const border = { style: BorderStyle.SINGLE, size: 4, color: LINE };
+  const borders = { top: border, bottom: border, left: border, right: border };
+  const brand = { type: ShadingType.CLEAR, color: 'auto', fill: BRAND };
+  const cell = (children, opts = {}) => new TableCell({ borders, children: [para(children, { alignment: opts.align })], shading: opts.shading });
+
+  const table = new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: [
+          cell(text(FINANCE_HEADING, { bold: true, color: 'FFFFFF' }), { shading: brand }),
+          ...years.map((y) => cell(text(String(y), { bold: true, color: 'FFFFFF' }), { shading: brand, align: AlignmentType.RIGHT }))
+        ]
+      }),
+      ...rows.map((row, i) => {
+        const shading = i % 2 === 0 ? { type: ShadingType.CLEAR, color: 'auto', fill: ZEBRA } : undefined;
+        return new TableRow({
+          children: [
+            cell(text(row.label, { color: MUTED }), { shading }),
+            ...row.cells.map((c) => cell(
+              text(safeText(c.text), c.alert ? { bold: true, color: RISK_COLORS[RISK_LEVEL_HIGH] } : {}),
+              { shading, align: AlignmentType.RIGHT }
+            ))
+          ]
+        });
+      })
+    ]
+  });
+  return [table, para(text(FINANCE_NOTE, { color: MUTED, size: 16 }), { spacing: { before: 120, after: 80 } })];
+}
+
+// arbitration / FSSP / contracts counters, one small table per block (src/cases.js)
+function caseParagraphs(company) {
+  return caseBlocks(company).flatMap((block) => [
+    para(text(block.title, { bold: true }), { spacing: { before: 160, after: 60 } }),
+    requisitesTable(block.rows.map((r) => [r.label, r.value, r.alert]))
+  ]);
+}
+
+function riskParagraphs(risk, variant) {
+  if (!risk) return [para(text('Оценка риска недоступна.', { color: MUTED }))];
+
+  const out = [para(text(`Уровень риска: ${risk.level} · ${risk.score}/100`, { bold: true, size: 24, color: RISK_COLORS[risk.level] || RISK_COLORS.default }))];
+  const { flags, hidden } = reportFlags(risk, variant);
+  if (!flags.length) out.push(para(text('Красных флагов по доступным данным не выявлено.')));
+  flags.forEach((f) => out.push(bullet([text(f.title, { bold: true }), text(` — ${f.details}`, { color: MUTED })])));
+  if (hidden) out.push(para(text(`…и ещё ${hidden} — в полном отчёте.`, { color: MUTED, size: 18 })));
+  return out;
+}
+
+function linkParagraphs(company) {
+  const out = [];
+  for (const block of linkBlocks(company)) {
+    out.push(para(text(block.title, { bold: true }), { spacing: { before: 160, after: 60 } }));
+    if (block.note) out.push(para(text(block.note, { color: MUTED })));
+    block.items.forEach((item) => out.push(bullet([
+      text(item.title, { bold: true }),
+      ...(item.details ? [text(` — ${item.details}`, { color: MUTED })] : []),
+      ...(item.warnings.length ? [text(` (${item.warnings.join(' · ')})`, { bold: true, color: RISK_COLORS[RISK_LEVEL_HIGH] })] : [])
+    ])));
+    if (block.more) out.push(para(text(`…и ещё ${block.more}.`, { color: MUTED, size: 18 })));
+  }
+  return out;
+}
+
+// analysis: { summary, risks, recommendations } (src/ai/schema.js)
+function aiParagraphs(analysis) {
+  const out = [para(text(analysis.summary))];
+  if (analysis.risks.length) {
+    out.push(para(text('Риски', { bold: true }), { spacing: { before: 120, after: 60 } }));
+    analysis.risks.forEach((r) => out.push(bullet([
+      text(`${r.title} (${severityLabel(r.severity)})`, { bold: true }),
+      ...(r.details ? [text(` — ${r.details}`, { color: MUTED })] : [])
+    ])));
+  }
+  if (analysis.recommendations.length) {
+    out.push(para(text('Что проверить', { bold: true }), { spacing: { before: 120, after: 60 } }));
+    analysis.recommendations.forEach((line, i) => out.push(para([text(`${i + 1}. `, { color: BRAND }), text(line)])));
+  }
+  out.push(para(text(AI_NOTE, { color: MUTED, size: 16 })));
+  return out;
+}
+
+function footer(reportNo) {
+  return new Footer({
+    children: [
+      para(text(REPORT_DISCLAIMER, { color: MUTED, size: 14 })),
+      new Paragraph({
+        children: [
+          text(`${REPORT_SIGNATURE}${reportNo ? ` · ${reportNo}` : ''} · Стр. `, { color: MUTED, size: 14 }),
+          new TextRun({ children: [PageNumber.CURRENT], font: FONT, color: MUTED, size: 14 }),
+          text(' из ', { color: MUTED, size: 14 }),
+          new TextRun({ children: [PageNumber.TOTAL_PAGES], font: FONT, color: MUTED, size: 14 })
+        ]
+      })
+    ]
+  });
+}
+
+// reportNo / verifyUrl: the PDF report this document is a copy of (null when there is none)
+export async function buildReportDocx({
+  inn,
+  company,
+  risk,
+  analysis = null,
+  provider,
+  fetchedAt,
+  cached,
+  reportNo = null,
+  variant = 'full',
+  verifyUrl = null,
+  createdAt = new Date()
+}) {
+  const children = [
+    new Paragraph({
+      children: [text('ProverkaBiz', { bold: true, size: 32, color: BRAND }), text(`  ${reportSubtitle(variant)}`, { color: MUTED })]
+    }),
+    para(text(`${reportNo ? `К отчёту № ${reportNo} · ` : ''}${createdAt.toLocaleString('ru-RU')}`, { color: MUTED, size: 18 }), {
+      alignment: AlignmentType.RIGHT
+    }),
+    new Paragraph({ heading: HeadingLevel.HEADING_1, spacing: { before: 240, after: 60 }, children: [text(safeText(company?.name), { bold: true, size: 30 })] }),
+    para(text(`ИНН ${inn}`, { color: MUTED })),
+
+    heading('Реквизиты'),
+    requisitesTable(requisiteRows(company, variant, { provider, fetchedAt, cached })),
+
+    heading('Оценка риска'),
+    ...riskParagraphs(risk, variant)
+  ];
+
+  if (showsFinance(company, variant)) children.push(heading('Финансы'), ...financeParagraphs(company));
+  if (showsCases(company, variant)) children.push(heading('Суды, ФССП, госзакупки'), ...caseParagraphs(company));
+  if (showsLinks(company, variant)) children.push(heading('Связанные лица и организации'), ...linkParagraphs(company));
+  if (variant === 'full' && analysis) children.push(heading('Аналитическое резюме (ИИ)'), ...aiParagraphs(analysis));
+
+  if (reportNo) {
+    children.push(
+      para(text('Редактируемая копия. Подлинность подтверждается только PDF-версией отчёта'), { spacing: { before: 360, after: 60 } }),
+      para(verifyUrl
+        ? new ExternalHyperlink({ link: verifyUrl, children: [text(verifyUrl, { color: BRAND, underline: {} })] })
+        : text(`№ ${reportNo}`, { color: MUTED }))
+    );
+  }
+
+  const doc = new Document({
+    creator: 'ProverkaBiz',
+    title: `Отчёт${reportNo ? ` ${reportNo}` : ''} — ИНН ${inn}`,
+    styles: { default: { document: { run: { font: FONT, size: 20 } } } },
+    sections: [{ footers: { default: footer(reportNo) }, children }]
+  });
+  return Packer.toBuffer(doc);
+}
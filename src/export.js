@@ -0,0 +1,80 @@
+/* =======================
+   Table exports (CSV / XLSX): check history for auditors (/export), bulk results (src/bulk.js)
+   - CSV: ';'-separated UTF-8 with BOM, what Excel with the Russian locale opens as is
+   - XLSX: bold frozen header, id columns stored as text (leading zeros survive)
+======================= */
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const CHECK_KINDS = {
+  inn: 'разовая',
+  bulk: 'пакетная',
+  watch: 'отслеживание',
+  inline: 'inline',
+  compare: 'сравнение'
+};
+
+export const HISTORY_COLUMNS = [
+  { key: 'created_at', header: 'Дата проверки', width: 18 },
+  { key: 'inn', header: 'ИНН', width: 14 },
+  { key: 'name', header: 'Наименование', width: 40 },
+  { key: 'summary', header: 'Сводка', width: 60 },
+  { key: 'risk_level', header: 'Уровень риска', width: 14 },
+  { key: 'risk_score', header: 'Риск-балл', width: 10 },
+  { key: 'flags', header: 'Риск-флаги', width: 60 },
+  { key: 'kind', header: 'Способ', width: 14 },
+  { key: 'checked_by', header: 'Проверил', width: 22 },
+  { key: 'report_no', header: '№ отчёта', width: 22 },
+  { key: 'report_url', header: 'Ссылка на отчёт', width: 50 }
+];
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [{ key, header, width }], rows: objects by key; textKeys: columns kept as text in XLSX
+export async function buildTableFile({ columns, rows, format, sheet = 'Лист1', textKeys = [] }) {
+  if (format === 'csv') {
+    const lines = [columns.map((c) => c.header).join(';')];
+    rows.forEach((r) => lines.push(columns.map((c) => csvCell(r[c.key])).join(';')));
+    // BOM: Excel with Russian locale opens UTF-8 CSV correctly only with it
+    return Buffer.from('\uFEFF' + lines.join('\r\n'), 'utf8');
+  }
+
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet(sheet);
+  ws.columns = columns;
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  rows.forEach((r) => ws.addRow(r));
+
+  // keep INN / OGRN as text so Excel does not eat leading zeros
+  textKeys.forEach((k) => { ws.getColumn(k).numFmt = '@'; });
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/*
+  inn_checks rows -> history table file
+  reportUrl(row) -> permanent link to the report (the /verify page) | null
+  authorLabel(row) -> who ran the check (organization history) | null
+  timeZone: check times are written in it (the bot's business timezone)
+*/
+export async function buildHistoryExport(checks, format, { reportUrl = () => null, authorLabel = () => null, timeZone } = {}) {
+  const rows = checks.map((r) => ({
+    created_at: new Date(r.created_at).toLocaleString('ru-RU', { timeZone }),
+    inn: r.inn,
+    name: String(r.result_summary || '').split(';')[0].trim() || null,
+    summary: r.result_summary,
+    risk_level: r.risk_level,
+    risk_score: r.risk_score,
+    flags: (r.risk_flags || []).map((f) => f.title).join('; '),
+    kind: CHECK_KINDS[r.kind] || r.kind,
+    checked_by: authorLabel(r),
+    report_no: r.report_no,
+    report_url: reportUrl(r)
+  }));
+  return buildTableFile({ columns: HISTORY_COLUMNS, rows, format, sheet: 'История проверок', textKeys: ['inn'] });
+}
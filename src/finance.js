@@ -0,0 +1,83 @@
+/* =======================
+   Company finances: year-over-year dynamics and basic ratios
+   Reads canonical finance rows (providers/canonical.js): one row per reporting year, oldest first.
+   Shared by the Telegram "Финансы" block, the PDF / DOCX report (src/report.js), risk rules and /compare.
+   A ratio is null when one of its inputs is unknown or the divisor is not positive.
+======================= */
+
+export const FINANCE_YEARS = 5;
+
+// last `limit` reporting years, oldest first
+export function financeYears(company, limit = FINANCE_YEARS) {
+  const rows = company?.finance || [];
+  return rows.slice(-limit);
+}
+
+export function latestFinance(company) {
+  const rows = company?.finance || [];
+  return rows.length ? rows[rows.length - 1] : null;
+}
+
+function ratio(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined || b <= 0) return null;
+  return a / b;
+}
+
+// current ratio: current assets / short-term liabilities
+export function currentRatio(row) {
+  return ratio(row?.current_assets, row?.current_liabilities);
+}
+
+// share of equity in total assets, 0..1 (negative when the equity is)
+export function equityShare(row) {
+  return ratio(row?.equity, row?.assets);
+}
+
+// relative change to the previous year, 0.12 = +12%; null when the base is not positive
+export function yoy(cur, prev) {
+  if (cur === null || cur === undefined || prev === null || prev === undefined) return null;
+  return ratio(cur - prev, prev);
+}
+
+// -> [{ year, profit }] of the latest years in a row with a net loss (empty when the last year was not a loss)
+export function lossStreak(company) {
+  const streak = [];
+  for (const row of [...(company?.finance || [])].reverse()) {
+    if (row.profit === null || row.profit >= 0) break;
+    streak.unshift(row);
+  }
+  return streak;
+}
+
+/* ---------- formatting ---------- */
+
+const SCALES = [
+  [1e12, 'трлн'],
+  [1e9, 'млрд'],
+  [1e6, 'млн'],
+  [1e3, 'тыс.']
+];
+
+// 12345678 -> '12,3 млн ₽', -950 -> '−950 ₽'; currency: false for table cells under a '₽' heading
+export function moneyShort(n, { currency = true } = {}) {
+  if (n === null || n === undefined) return null;
+  const abs = Math.abs(n);
+  const sign = n < 0 ? '−' : '';
+  const scale = SCALES.find(([v]) => abs >= v);
+  const num = new Intl.NumberFormat('ru-RU', { maximumFractionDigits: scale && abs < scale[0] * 100 ? 1 : 0 })
+    .format(scale ? abs / scale[0] : abs);
+  return `${sign}${num}${scale ? ` ${scale[1]}` : ''}${currency ? ' ₽' : ''}`;
+}
+
+// 0.123 -> '+12%', -0.5 -> '−50%'
+export function percentText(v, { signed = true } = {}) {
+  if (v === null || v === undefined) return null;
+  const num = new Intl.NumberFormat('ru-RU', { maximumFractionDigits: Math.abs(v) < 0.1 ? 1 : 0 }).format(Math.abs(v) * 100);
+  const sign = v < 0 ? '−' : signed && v > 0 ? '+' : '';
+  return `${sign}${num}%`;
+}
+
+export function ratioText(v) {
+  if (v === null || v === undefined) return null;
+  return new Intl.NumberFormat('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(v);
+}
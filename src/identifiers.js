@@ -0,0 +1,128 @@
+/* =======================
+   INN / OGRN / OGRNIP / KPP recognition and control-digit validation
+   - INN 10 (юрлицо), INN 12 (ИП / физлицо), OGRN 13, OGRNIP 15, KPP 9
+   - accepts "ИНН 7707083893", "7707-083-893", "7707 083 893", KPP with letters "7736AB001",
+     several numbers per message (separated by newline, comma, ; or a space)
+======================= */
+
+const INN10_WEIGHTS = [2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN12_WEIGHTS_11 = [7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN12_WEIGHTS_12 = [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+
+const KIND_BY_LENGTH = { 9: 'kpp', 10: 'inn', 12: 'inn', 13: 'ogrn', 15: 'ogrnip' };
+const MIN_ID_LENGTH = Math.min(...Object.keys(KIND_BY_LENGTH).map(Number));
+
+export const KIND_LABELS = {
+  inn: 'ИНН',
+  ogrn: 'ОГРН',
+  ogrnip: 'ОГРНИП',
+  kpp: 'КПП',
+  unknown: 'номер'
+};
+
+function digitsOf(s) {
+  return String(s).split('').map(Number);
+}
+
+function weighted(digits, weights) {
+  return (weights.reduce((sum, w, i) => sum + w * digits[i], 0) % 11) % 10;
+}
+
+function mismatch(position, expected, actual) {
+  return `не сходится контрольная цифра (${position}): по алгоритму ФНС должна быть ${expected}, а указана ${actual}. Скорее всего, в номере опечатка.`;
+}
+
+// null when the INN is valid, otherwise a human-readable reason
+export function innError(inn) {
+  if (!/^\d+$/.test(inn)) return 'ИНН должен состоять только из цифр.';
+  if (inn.length !== 10 && inn.length !== 12) {
+    return `в ИНН ${inn.length} цифр, а должно быть 10 (организация) или 12 (ИП / физлицо).`;
+  }
+
+  const d = digitsOf(inn);
+  if (inn.length === 10) {
+    const c = weighted(d, INN10_WEIGHTS);
+    return c === d[9] ? null : mismatch('10-я цифра', c, d[9]);
+  }
+
+  const c11 = weighted(d, INN12_WEIGHTS_11);
+  if (c11 !== d[10]) return mismatch('11-я цифра', c11, d[10]);
+  const c12 = weighted(d, INN12_WEIGHTS_12);
+  return c12 === d[11] ? null : mismatch('12-я цифра', c12, d[11]);
+}
+
+// OGRN: (first 12 digits mod 11) mod 10; OGRNIP: (first 14 digits mod 13) mod 10
+export function ogrnError(ogrn) {
+  if (!/^\d{13}$/.test(ogrn) && !/^\d{15}$/.test(ogrn)) {
+    return 'ОГРН содержит 13 цифр, ОГРНИП — 15.';
+  }
+  const isIp = ogrn.length === 15;
+  const body = BigInt(ogrn.slice(0, -1));
+  const c = Number(body % (isIp ? 13n : 11n)) % 10;
+  const actual = Number(ogrn[ogrn.length - 1]);
+  return c === actual ? null : mismatch(`${ogrn.length}-я цифра`, c, actual);
+}
+
+export function kppError(kpp) {
+  // NNNN PP XXX, where PP may contain latin letters
+  return /^\d{4}[\dA-Z]{2}\d{3}$/.test(kpp) ? null : 'КПП должен быть в формате NNNNPPXXX (9 знаков).';
+}
+
+export function validateIdentifier(value) {
+  const kind = KIND_BY_LENGTH[value.length] || 'unknown';
+  let reason = null;
+
+  if (kind === 'inn') reason = innError(value);
+  else if (kind === 'ogrn' || kind === 'ogrnip') reason = ogrnError(value);
+  else if (kind === 'kpp') reason = kppError(value);
+  else reason = `${value.length} цифр — это не ИНН (10 или 12), не ОГРН (13) и не ОГРНИП (15).`;
+
+  return { kind, value, valid: !reason, reason };
+}
+
+// Splits a free-form message into identifier candidates and validates each.
+export function parseIdentifiers(text) {
+  const results = [];
+  const seen = new Set();
+  const push = (p) => {
+    if (p.length < 5 || seen.has(p)) return; // skip house numbers, dates etc.
+    seen.add(p);
+    results.push(validateIdentifier(p));
+  };
+
+  // hard separators: newlines and punctuation (labels like "ИНН:", "№"); inside a chunk words are split
+  // on whitespace only, so letters within a word survive (KPP with letters: "7736AB001")
+  for (const chunk of String(text || '').split(/[\n\r,;:№#()]+/)) {
+    // consecutive number words: "7707 083 893" is one number written in groups; only groups shorter than
+    // any identifier are joined, so "7707083893 123" stays the INN and "7707083893 7736207543" two INNs
+    let run = [];
+    const flush = () => {
+      const whole = run.join('');
+      if (run.length > 1 && run.every((p) => p.length < MIN_ID_LENGTH) && KIND_BY_LENGTH[whole.length]) push(whole);
+      else run.forEach(push);
+      run = [];
+    };
+
+    for (const word of chunk.split(/\s+/)) {
+      // "ИНН7707083893" -> label off, "7707-083-893" -> digits only, end of a sentence off
+      const w = word.replace(/^\D+(?=\d)/, '').replace(/\.+$/, '').replace(/(\d)-(?=\d)/g, '$1');
+      if (/^\d+$/.test(w)) {
+        run.push(w);
+        continue;
+      }
+      flush();
+      if (/^\d{4}[\dA-Z]{2}\d{3}$/.test(w)) push(w);
+      else (w.match(/\d+/g) || []).forEach(push); // "ИНН/КПП 7707083893/773601001"
+    }
+    flush();
+  }
+
+  return results;
+}
+
+// Backward-compatible single-INN check: returns the INN or null
+export function normalizeInn(text) {
+  const inn = String(text || '').replace(/[\s-]/g, '');
+  if (!/^\d{10}$/.test(inn) && !/^\d{12}$/.test(inn)) return null;
+  return innError(inn) ? null : inn;
+}
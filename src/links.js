@@ -0,0 +1,42 @@
+/* =======================
+   Company links: founders, director, affiliated companies, branches
+   Reads the canonical company (providers/canonical.js); shared by the "🔗 Связи" view and the PDF.
+   null lists mean "the provider did not tell us" and are shown as such, not as "none".
+======================= */
+
+export const FOUNDER_KINDS = {
+  person: 'физлицо',
+  company: 'юрлицо',
+  foreign: 'иностранное юрлицо',
+  public: 'публичное образование',
+  fund: 'ПИФ'
+};
+
+export const AFFILIATE_VIA = {
+  founder: 'через учредителей',
+  director: 'через руководителя'
+};
+
+export function isInactive(a) {
+  return ['liquidated', 'liquidating', 'bankrupt'].includes(a?.status_code);
+}
+
+export function hasLinks(company) {
+  const c = company || {};
+  return Boolean(c.founders?.length || c.affiliates?.length || c.branches?.length);
+}
+
+// '50%', '50% · 5 000 ₽', null
+export function formatShare(f) {
+  const parts = [];
+  if (f.share_percent !== null && f.share_percent !== undefined) {
+    parts.push(`${new Intl.NumberFormat('ru-RU', { maximumFractionDigits: 2 }).format(f.share_percent)}%`);
+  }
+  if (f.share_amount) parts.push(`${new Intl.NumberFormat('ru-RU').format(f.share_amount)} ₽`);
+  return parts.length ? parts.join(' · ') : null;
+}
+
+export function affiliateStats(company) {
+  const list = company?.affiliates || [];
+  return { total: list.length, inactive: list.filter(isInactive).length };
+}
@@ -0,0 +1,364 @@
+/* =======================
+   OpenAPI 3.0 description of the public REST API (src/api.js)
+   Served at GET /api/v1/openapi.json; paste the URL into Swagger UI / Postman.
+======================= */
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+export function buildOpenApiSpec({ serverUrl, timeZone }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'ProverkaBiz API',
+      version: '1.0.0',
+      description:
+        'Проверка контрагентов по ИНН / ОГРН для интеграций (1С, ERP). ' +
+        'Ключ выпускается командой /apikey в Telegram-боте. ' +
+        'Каждая проверка списывается с лимитов владельца ключа так же, как в боте.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+      '/check': {
+        post: {
+          summary: 'Проверить контрагента',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['inn'],
+                  properties: {
+                    inn: { type: 'string', description: 'ИНН (10/12 цифр), ОГРН или ОГРНИП', example: '7707083893' },
+                    refresh: { type: 'boolean', description: 'Не брать данные из кэша провайдеров', default: false }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'Результат проверки',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { ok: { type: 'boolean', example: true }, check: { $ref: '#/components/schemas/CheckResult' } }
+                  }
+                }
+              }
+            },
+            400: errorResponse('invalid_inn, invalid_json'),
+            401: errorResponse('unauthorized'),
+            429: errorResponse('quota_exceeded'),
+            502: errorResponse('provider_unavailable'),
+            503: errorResponse('quota_unavailable')
+          }
+        }
+      },
+      '/checks/{id}': {
+        get: {
+          summary: 'Проверка из истории',
+          parameters: [{ $ref: '#/components/parameters/CheckId' }],
+          responses: {
+            200: {
+              description: 'Проверка',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: { ok: { type: 'boolean', example: true }, check: { $ref: '#/components/schemas/Check' } }
+                  }
+                }
+              }
+            },
+            401: errorResponse('unauthorized'),
+            404: errorResponse('not_found')
+          }
+        }
+      },
+      '/checks/{id}/pdf': {
+        get: {
+          summary: 'PDF-отчёт проверки',
+          description: 'Если сохранённый файл недоступен, отчёт собирается заново по сохранённым данным.',
+          parameters: [{ $ref: '#/components/parameters/CheckId' }],
+          responses: {
+            200: { description: 'PDF', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } },
+            401: errorResponse('unauthorized'),
+            404: errorResponse('not_found, pdf_unavailable')
+          }
+        }
+      },
+      '/checks/{id}/docx': {
+        get: {
+          summary: 'DOCX-отчёт проверки (редактируемая копия PDF)',
+          description: 'Собирается по сохранённым данным проверки, содержание — как у PDF. Подлинность подтверждается только PDF-версией.',
+          parameters: [{ $ref: '#/components/parameters/CheckId' }],
+          responses: {
+            200: { description: 'DOCX', content: { 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { schema: { type: 'string', format: 'binary' } } } },
+            401: errorResponse('unauthorized'),
+            404: errorResponse('not_found, docx_unavailable')
+          }
+        }
+      },
+      '/history': {
+        get: {
+          summary: 'История проверок (новые сверху)',
+          parameters: [
+            { name: 'inn', in: 'query', schema: { type: 'string', pattern: '^\\d{10}(\\d{2})?$' } },
+            { name: 'from', in: 'query', description: `С даты включительно (сутки по ${timeZone})`, schema: { type: 'string', format: 'date' } },
+            { name: 'to', in: 'query', description: `По дату включительно (сутки по ${timeZone})`, schema: { type: 'string', format: 'date' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+            { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+          ],
+          responses: {
+            200: {
+              description: 'Страница истории',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      ok: { type: 'boolean', example: true },
+                      total: { type: 'integer' },
+                      offset: { type: 'integer' },
+                      limit: { type: 'integer' },
+                      items: { type: 'array', items: { $ref: '#/components/schemas/Check' } }
+                    }
+                  }
+                }
+              }
+            },
+            400: errorResponse('invalid_params'),
+            401: errorResponse('unauthorized')
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer pb_...' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      parameters: {
+        CheckId: { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            ok: { type: 'boolean', example: false },
+            error: {
+              type: 'object',
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: [
+                    'unauthorized', 'invalid_inn', 'invalid_params', 'invalid_json', 'quota_exceeded',
+                    'provider_unavailable', 'quota_unavailable', 'not_found', 'pdf_unavailable', 'docx_unavailable', 'internal'
+                  ]
+                },
+                message: { type: 'string' }
+              }
+            }
+          }
+        },
+        Risk: {
+          type: 'object',
+          properties: {
+            level: { type: 'string', enum: ['низкий', 'средний', 'высокий'] },
+            score: { type: 'integer', minimum: 0, maximum: 100 },
+            flags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  title: { type: 'string' },
+                  weight: { type: 'integer' },
+                  details: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        Company: {
+          type: 'object',
+          description: 'Нормализованная карточка (src/providers/canonical.js), поля могут быть null',
+          properties: {
+            inn: { type: 'string' },
+            ogrn: { type: 'string' },
+            kpp: { type: 'string' },
+            type: { type: 'string', enum: ['ul', 'ip'] },
+            name: { type: 'string' },
+            full_name: { type: 'string' },
+            status: { type: 'string' },
+            status_code: { type: 'string' },
+            registered_at: { type: 'string' },
+            liquidated_at: { type: 'string' },
+            address: { type: 'string' },
+            director: { type: 'object', properties: { name: { type: 'string' }, inn: { type: 'string' }, post: { type: 'string' } } },
+            okved: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } },
+            capital: { type: 'number' },
+            employees: { type: 'integer' },
+            tax_debt: { type: 'number' },
+            finance: {
+              type: 'array',
+              nullable: true,
+              description: 'Бухгалтерская отчётность по годам, ₽, от старых к новым (если провайдер её передаёт)',
+              items: {
+                type: 'object',
+                properties: {
+                  year: { type: 'integer' },
+                  revenue: { type: 'number', nullable: true },
+                  profit: { type: 'number', nullable: true, description: 'Чистая прибыль, убыток со знаком минус' },
+                  assets: { type: 'number', nullable: true },
+                  current_assets: { type: 'number', nullable: true },
+                  equity: { type: 'number', nullable: true },
+                  liabilities: { type: 'number', nullable: true, description: 'Долгосрочные и краткосрочные обязательства' },
+                  current_liabilities: { type: 'number', nullable: true }
+                }
+              }
+            },
+            arbitration: {
+              type: 'object',
+              nullable: true,
+              description: 'Арбитражные дела: количество и суммы исков, ₽',
+              properties: {
+                plaintiff_count: { type: 'integer', nullable: true },
+                plaintiff_sum: { type: 'number', nullable: true },
+                defendant_count: { type: 'integer', nullable: true },
+                defendant_sum: { type: 'number', nullable: true }
+              }
+            },
+            enforcements: {
+              type: 'object',
+              nullable: true,
+              description: 'Исполнительные производства ФССП; open_sum — непогашенный остаток, ₽',
+              properties: {
+                count: { type: 'integer', nullable: true },
+                open_count: { type: 'integer', nullable: true },
+                open_sum: { type: 'number', nullable: true }
+              }
+            },
+            contracts: {
+              type: 'object',
+              nullable: true,
+              description: 'Госконтракты в роли поставщика (44-ФЗ и 223-ФЗ), ₽',
+              properties: {
+                count: { type: 'integer', nullable: true },
+                sum: { type: 'number', nullable: true },
+                count_44: { type: 'integer', nullable: true },
+                sum_44: { type: 'number', nullable: true },
+                count_223: { type: 'integer', nullable: true },
+                sum_223: { type: 'number', nullable: true }
+              }
+            },
+            founders: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object',
+                properties: {
+                  kind: { type: 'string', enum: ['person', 'company', 'foreign', 'public', 'fund'] },
+                  name: { type: 'string' },
+                  inn: { type: 'string' },
+                  ogrn: { type: 'string' },
+                  share_percent: { type: 'number' },
+                  share_amount: { type: 'number' },
+                  mass: { type: 'boolean', description: 'Массовый учредитель' }
+                }
+              }
+            },
+            affiliates: {
+              type: 'array',
+              nullable: true,
+              description: 'Организации, связанные через учредителей или руководителя',
+              items: {
+                type: 'object',
+                properties: {
+                  via: { type: 'string', enum: ['founder', 'director'] },
+                  inn: { type: 'string' },
+                  ogrn: { type: 'string' },
+                  name: { type: 'string' },
+                  status: { type: 'string' },
+                  status_code: { type: 'string' },
+                  liquidated_at: { type: 'string' },
+                  region_code: { type: 'string' }
+                }
+              }
+            },
+            branches: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object',
+                properties: {
+                  kind: { type: 'string', enum: ['branch', 'office'] },
+                  name: { type: 'string' },
+                  kpp: { type: 'string' },
+                  address: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        Analysis: {
+          type: 'object',
+          description: 'ИИ-анализ (src/ai/schema.js); внутренняя аналитика, не юридическое заключение',
+          properties: {
+            summary: { type: 'string' },
+            risks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  details: { type: 'string' },
+                  severity: { type: 'string', enum: ['low', 'medium', 'high'] }
+                }
+              }
+            },
+            recommendations: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        CheckResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', nullable: true },
+            report_no: { type: 'string', nullable: true, example: 'PB-20261019-7F3A9C0B1E' },
+            inn: { type: 'string' },
+            company: { $ref: '#/components/schemas/Company' },
+            risk: { $ref: '#/components/schemas/Risk' },
+            ai: { allOf: [{ $ref: '#/components/schemas/Analysis' }], nullable: true },
+            ai_text: { type: 'string', nullable: true, description: 'То же, что ai, одним текстом' },
+            pdf_url: { type: 'string', nullable: true, description: 'Временная ссылка на PDF (действует PDF_LINK_TTL_MINUTES, по умолчанию 60 мин). Постоянный доступ — GET /checks/{id}/pdf.' },
+            provider: { type: 'string' },
+            fetched_at: { type: 'string', format: 'date-time' },
+            cached: { type: 'boolean' },
+            quota_note: { type: 'string', nullable: true }
+          }
+        },
+        Check: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            inn: { type: 'string' },
+            kind: { type: 'string', enum: ['inn', 'watch', 'bulk', 'inline', 'compare'] },
+            provider: { type: 'string' },
+            summary: { type: 'string' },
+            risk: { allOf: [{ $ref: '#/components/schemas/Risk' }], nullable: true },
+            report_no: { type: 'string', nullable: true },
+            pdf_url: { type: 'string', nullable: true, description: 'GET /checks/{id}/pdf этой проверки (тот же API-ключ); null, если PDF не формировался.' },
+            fetched_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  };
+}
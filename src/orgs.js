@@ -0,0 +1,45 @@
+/* =======================
+   Organizations (team workspaces): roles and invite tokens
+   - owner: created the organization; pays, manages roles, can't leave it
+   - admin: pays, invites members, removes members
+   - member: checks on the shared plan, sees the shared history and watchlist
+   Invites are single-use deep links t.me/<bot>?start=join_<token>; only the SHA-256 of a token is stored.
+======================= */
+import crypto from 'node:crypto';
+
+export const ORG_ROLES = {
+  owner: 'владелец',
+  admin: 'администратор',
+  member: 'участник'
+};
+
+export const INVITE_PREFIX = 'join_';
+export const INVITE_PAYLOAD_RE = /^join_([A-Za-z0-9_-]{16,40})$/;
+
+export function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// -> { token, hash }; the token goes into the start payload (64 chars max, [A-Za-z0-9_-])
+export function generateInviteToken() {
+  const token = crypto.randomBytes(16).toString('base64url');
+  return { token, hash: hashInviteToken(token) };
+}
+
+export function inviteLink(botUsername, token) {
+  return `https://t.me/${botUsername}?start=${INVITE_PREFIX}${token}`;
+}
+
+// roles an actor may hand out in invites
+export function invitableRoles(actorRole) {
+  if (actorRole === 'owner') return ['member', 'admin'];
+  if (actorRole === 'admin') return ['member'];
+  return [];
+}
+
+// the owner manages everyone else, an admin manages members only
+export function canManage(actorRole, targetRole) {
+  if (targetRole === 'owner') return false;
+  if (actorRole === 'owner') return true;
+  return actorRole === 'admin' && targetRole === 'member';
+}
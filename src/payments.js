@@ -0,0 +1,91 @@
+/* =======================
+   PRO plans + Telegram Payments helpers
+   - PAYMENT_PROVIDER_TOKEN set  -> invoices in RUB via the payment provider (ЮKassa, Stripe ...)
+   - no token                    -> invoices in Telegram Stars (XTR), no provider needed
+   - PRO_PLANS (optional JSON) overrides the default single plan:
+       [{"id": "pro30", "title": "PRO на 30 дней", "days": 30, "price": 490},
+        {"id": "pro365", "title": "PRO на год", "days": 365, "price": 3990},
+        {"id": "team30", "title": "TEAM на 30 дней", "days": 30, "price": 2990, "access": "team"}]
+     price is in RUB (or in stars for XTR); Telegram wants minor units, we convert.
+     access: access plan the payment switches on (src/plans.js), default "pro".
+======================= */
+
+export const INVOICE_PAYLOAD_PREFIX = 'pro';
+
+function minorUnits(price, currency) {
+  // XTR has no fractional part, RUB has kopecks
+  return currency === 'XTR' ? Math.round(price) : Math.round(price * 100);
+}
+
+export function parsePlans({ plansJson, providerToken, defaultDays, defaultPriceRub, defaultPriceStars }) {
+  const currency = providerToken ? 'RUB' : 'XTR';
+  let list = null;
+
+  if (plansJson) {
+    try {
+      const v = JSON.parse(plansJson);
+      if (Array.isArray(v) && v.length) list = v;
+      else console.log('[WARN] PRO_PLANS must be a non-empty JSON array, defaults used');
+    } catch (e) {
+      console.log('[WARN] PRO_PLANS is not valid JSON, defaults used:', e?.message || e);
+    }
+  }
+
+  if (!list) {
+    list = [{
+      id: `pro${defaultDays}`,
+      title: `PRO на ${defaultDays} дней`,
+      days: defaultDays,
+      price: currency === 'XTR' ? defaultPriceStars : defaultPriceRub
+    }];
+  }
+
+  return list
+    .filter((p) => p && /^[a-z0-9_]{1,20}$/i.test(String(p.id)) && Number(p.days) > 0 && Number(p.price) > 0)
+    .map((p) => ({
+      id: String(p.id),
+      title: String(p.title || `PRO на ${p.days} дней`),
+      days: Number(p.days),
+      price: Number(p.price),
+      access: String(p.access || 'pro').toLowerCase(),
+      currency,
+      amount: minorUnits(Number(p.price), currency)
+    }));
+}
+
+export function formatPrice(plan) {
+  if (plan.currency === 'XTR') return `${plan.price} ⭐️`;
+  return `${new Intl.NumberFormat('ru-RU').format(plan.price)} ₽`;
+}
+
+// payload is echoed back by Telegram in pre_checkout_query and successful_payment
+export function invoicePayload(plan, tg_user_id) {
+  return `${INVOICE_PAYLOAD_PREFIX}:${plan.id}:${tg_user_id}`;
+}
+
+export function parseInvoicePayload(payload) {
+  const [prefix, planId, uid] = String(payload || '').split(':');
+  if (prefix !== INVOICE_PAYLOAD_PREFIX || !planId || !uid) return null;
+  return { planId, tg_user_id: Number(uid) };
+}
+
+// -> null when OK, otherwise a message for the user (shown by Telegram)
+export function validatePayment({ payload, currency, total_amount, from_id }, plans) {
+  const p = parseInvoicePayload(payload);
+  if (!p) return 'Некорректный счёт. Запроси новый через «💎 Тариф PRO».';
+
+  const plan = plans.find((x) => x.id === p.planId);
+  if (!plan) return 'Этот тариф больше недоступен. Запроси новый счёт.';
+  if (p.tg_user_id !== from_id) return 'Счёт выставлен другому пользователю.';
+  if (currency !== plan.currency || Number(total_amount) !== plan.amount) {
+    return 'Цена тарифа изменилась. Запроси новый счёт.';
+  }
+  return null;
+}
+
+// new pro_until: paid days are added on top of the remaining PRO period
+export function extendedUntil(currentProUntil, days, now = Date.now()) {
+  const cur = currentProUntil ? new Date(currentProUntil).getTime() : 0;
+  const base = Number.isFinite(cur) && cur > now ? cur : now;
+  return new Date(base + days * 24 * 3600 * 1000).toISOString();
+}
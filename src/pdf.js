@@ -0,0 +1,569 @@
+/* =======================
+   PDF report generator
+   - DejaVu Sans embedded (PDFKit built-in Helvetica has no Cyrillic glyphs)
+   - header with logo + report number, two-column requisites table,
+     colored risk badge with flags, finances (table + revenue / profit chart), courts / FSSP / contracts,
+     AI section, footer with page numbers
+   - variant 'short': one page (key requisites, top flags, no AI)
+     variant 'full':  everything, as many pages as needed
+   - verifyUrl (optional): QR code + link to the public /verify/:reportNo page
+   - content (rows, flags, links, texts) comes from src/report.js, shared with the DOCX
+   - buildComparePdf: /compare table (src/compare.js), landscape, worst values highlighted
+======================= */
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { RISK_LEVEL_HIGH, RISK_LEVEL_MEDIUM } from './risk.js';
+import { severityLabel } from './ai/schema.js';
+import {
+  REPORT_VARIANTS,
+  REPORT_DISCLAIMER,
+  REPORT_SIGNATURE,
+  AI_NOTE,
+  safeText,
+  reportSubtitle,
+  requisiteRows,
+  reportFlags,
+  showsLinks,
+  linkBlocks,
+  showsFinance,
+  financeTable,
+  FINANCE_HEADING,
+  showsCases,
+  FINANCE_NOTE,
+  verificationText
+} from './report.js';
+import { financeYears, moneyShort } from './finance.js';
+import { caseBlocks } from './cases.js';
+
+const require = createRequire(import.meta.url);
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONT_REGULAR = path.join(FONT_DIR, 'DejaVuSans.ttf');
+const FONT_BOLD = path.join(FONT_DIR, 'DejaVuSans-Bold.ttf');
+
+const BRAND = '#1F5FBF';
+const INK = '#111827';
+const MUTED = '#6B7280';
+const LINE = '#E5E7EB';
+const ZEBRA = '#F5F7FB';
+
+const RISK_COLORS = {
+  [RISK_LEVEL_HIGH]: '#D92D20',
+  [RISK_LEVEL_MEDIUM]: '#E59F00',
+  default: '#12A150'
+};
+
+const TONE_COLORS = {
+  brand: BRAND,
+  ok: RISK_COLORS.default,
+  alert: RISK_COLORS[RISK_LEVEL_HIGH],
+  muted: MUTED
+};
+
+const MARGIN = 50;
+const FOOTER_H = 46;
+
+export const PDF_VARIANTS = REPORT_VARIANTS;
+
+// PB-20261019-7F3A9C0B1E; the number is the key of the public /verify page,
+// so the random part must not be guessable
+export function makeReportNo(date = new Date()) {
+  const d = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  return `PB-${d}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+export const REPORT_NO_RE = /^PB-\d{8}-[0-9A-F]{6,10}$/;
+
+export function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function createLayout(doc) {
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - MARGIN - FOOTER_H;
+
+  function ensureSpace(h) {
+    if (doc.y + h > bottom()) {
+      doc.addPage();
+      doc.y = MARGIN;
+    }
+  }
+
+  function sectionTitle(text) {
+    ensureSpace(40);
+    doc.moveDown(0.8);
+    doc.font('Bold').fontSize(12).fillColor(BRAND).text(text.toUpperCase(), MARGIN, doc.y, { characterSpacing: 0.5 });
+    const y = doc.y + 3;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(1).strokeColor(BRAND).stroke();
+    doc.y = y + 8;
+    doc.fillColor(INK);
+  }
+
+  return { width, bottom, ensureSpace, sectionTitle };
+}
+
+// reportNo is null for documents that are not registered reports (comparison)
+function drawHeader(doc, { subtitle, reportNo, createdAt }) {
+  const width = doc.page.width - MARGIN * 2;
+  const top = MARGIN - 10;
+
+  // logo: rounded square with "ИНН", like the WebApp
+  doc.roundedRect(MARGIN, top, 44, 44, 10).fill(BRAND);
+  doc.font('Bold').fontSize(13).fillColor('#FFFFFF').text('ИНН', MARGIN, top + 15, { width: 44, align: 'center' });
+
+  doc.font('Bold').fontSize(18).fillColor(INK).text('ProverkaBiz', MARGIN + 56, top + 3);
+  doc.font('Regular').fontSize(10).fillColor(MUTED).text(subtitle, MARGIN + 56, top + 26);
+
+  if (reportNo) doc.font('Bold').fontSize(10).fillColor(INK).text(`№ ${reportNo}`, MARGIN, top + 6, { width, align: 'right' });
+  doc.font('Regular').fontSize(9).fillColor(MUTED).text(createdAt.toLocaleString('ru-RU'), MARGIN, top + 22, { width, align: 'right' });
+
+  const y = top + 56;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(2).strokeColor(BRAND).stroke();
+  doc.y = y + 14;
+  doc.fillColor(INK);
+}
+
+// rows: [label, value, alert?]; alert values are red
+function drawRequisites(doc, layout, rows) {
+  const labelW = 150;
+  const valueW = layout.width - labelW;
+  const pad = 6;
+
+  rows.forEach(([label, value, alert], i) => {
+    doc.font('Bold').fontSize(10);
+    const v = safeText(value);
+    const h = Math.max(
+      doc.heightOfString(label, { width: labelW - pad * 2 }),
+      doc.font('Regular').heightOfString(v, { width: valueW - pad * 2 })
+    ) + pad * 2;
+
+    layout.ensureSpace(h);
+    const y = doc.y;
+
+    if (i % 2 === 0) doc.rect(MARGIN, y, layout.width, h).fill(ZEBRA);
+    doc.moveTo(MARGIN, y + h).lineTo(MARGIN + layout.width, y + h).lineWidth(0.5).strokeColor(LINE).stroke();
+
+    doc.font('Regular').fontSize(10).fillColor(MUTED).text(label, MARGIN + pad, y + pad, { width: labelW - pad * 2 });
+    doc.font('Bold').fontSize(10).fillColor(alert ? RISK_COLORS[RISK_LEVEL_HIGH] : INK).text(v, MARGIN + labelW + pad, y + pad, { width: valueW - pad * 2 });
+    doc.y = y + h;
+  });
+}
+
+function drawRisk(doc, layout, risk, variant) {
+  if (!risk) {
+    doc.font('Regular').fontSize(10).fillColor(MUTED).text('Оценка риска недоступна.', MARGIN, doc.y);
+    return;
+  }
+
+  const color = RISK_COLORS[risk.level] || RISK_COLORS.default;
+  const label = `Уровень риска: ${risk.level}  ·  ${risk.score}/100`;
+
+  layout.ensureSpace(40);
+  doc.font('Bold').fontSize(11);
+  const badgeW = doc.widthOfString(label) + 28;
+  const y = doc.y;
+  doc.roundedRect(MARGIN, y, badgeW, 26, 13).fill(color);
+  doc.fillColor('#FFFFFF').text(label, MARGIN + 14, y + 7);
+
+  // score bar
+  const barX = MARGIN + badgeW + 16;
+  const barW = Math.max(60, layout.width - badgeW - 16);
+  doc.roundedRect(barX, y + 9, barW, 8, 4).fill(LINE);
+  doc.roundedRect(barX, y + 9, Math.max(8, (barW * Math.min(100, risk.score)) / 100), 8, 4).fill(color);
+
+  doc.y = y + 38;
+
+  const { flags, hidden } = reportFlags(risk, variant);
+  if (!flags.length) {
+    doc.font('Regular').fontSize(10).fillColor(INK).text('Красных флагов по доступным данным не выявлено.', MARGIN, doc.y);
+    return;
+  }
+
+  flags.forEach((f) => {
+    doc.font('Regular').fontSize(9.5);
+    const h = doc.heightOfString(f.details, { width: layout.width - 18 }) + 16;
+    layout.ensureSpace(h);
+    const fy = doc.y;
+    doc.circle(MARGIN + 4, fy + 6, 3.5).fill(color);
+    doc.font('Bold').fontSize(10).fillColor(INK).text(f.title, MARGIN + 14, fy, { width: layout.width - 18 });
+    doc.font('Regular').fontSize(9.5).fillColor(MUTED).text(f.details, MARGIN + 14, doc.y + 1, { width: layout.width - 18 });
+    doc.y += 6;
+  });
+
+  if (hidden) {
+    doc.font('Regular').fontSize(9).fillColor(MUTED).text(`…и ещё ${hidden} — в полном отчёте.`, MARGIN + 14, doc.y);
+  }
+}
+
+// one entry of the links section: marker dot, bold title, muted details line, red warnings
+function drawLinkItem(doc, layout, { title, details, warnings, tone }) {
+  const textW = layout.width - 18;
+  const warn = warnings.join(' · ');
+  doc.font('Regular').fontSize(9.5);
+  layout.ensureSpace(doc.heightOfString(`${title}\n${details || ''}\n${warn}`, { width: textW }) + 6);
+
+  const y = doc.y;
+  doc.circle(MARGIN + 4, y + 6, 3).fill(TONE_COLORS[tone] || MUTED);
+  doc.font('Bold').fontSize(10).fillColor(INK).text(title, MARGIN + 14, y, { width: textW });
+  if (details) doc.font('Regular').fontSize(9).fillColor(MUTED).text(details, MARGIN + 14, doc.y + 1, { width: textW });
+  if (warn) doc.font('Bold').fontSize(9).fillColor(RISK_COLORS[RISK_LEVEL_HIGH]).text(warn, MARGIN + 14, doc.y + 1, { width: textW });
+  doc.y += 4;
+}
+
+// founders with shares, director, affiliated companies, branches (src/report.js)
+function drawLinks(doc, layout, company) {
+  for (const block of linkBlocks(company)) {
+    layout.ensureSpace(40);
+    doc.font('Bold').fontSize(10).fillColor(INK).text(block.title, MARGIN, doc.y + 4);
+    doc.moveDown(0.3);
+
+    if (block.note) doc.font('Regular').fontSize(9.5).fillColor(MUTED).text(block.note, MARGIN, doc.y);
+    block.items.forEach((item) => drawLinkItem(doc, layout, item));
+    if (block.more) doc.font('Regular').fontSize(9).fillColor(MUTED).text(`…и ещё ${block.more}.`, MARGIN + 14, doc.y);
+  }
+  doc.y += 4;
+}
+
+// financeTable(): one column per reporting year, red values for losses / negative equity / falling revenue
+function drawFinanceTable(doc, layout, { years, rows }) {
+  const labelW = 140;
+  const colW = (layout.width - labelW) / years.length;
+  const pad = 5;
+  const headH = 22;
+
+  layout.ensureSpace(headH * 3);
+  let y = doc.y;
+  doc.rect(MARGIN, y, layout.width, headH).fill(BRAND);
+  doc.font('Bold').fontSize(9.5).fillColor('#FFFFFF').text(FINANCE_HEADING, MARGIN + pad, y + pad + 1, { width: labelW - pad * 2, lineBreak: false });
+  years.forEach((year, i) => {
+    doc.font('Bold').fontSize(10).fillColor('#FFFFFF').text(String(year), MARGIN + labelW + colW * i + pad, y + pad, { width: colW - pad * 2, align: 'right' });
+  });
+  doc.y = y + headH;
+
+  rows.forEach((row, r) => {
+    const h = doc.font('Regular').fontSize(9.5).heightOfString(row.label, { width: labelW - pad * 2 }) + pad * 2 + 2;
+    layout.ensureSpace(h);
+    y = doc.y;
+    if (r % 2 === 0) doc.rect(MARGIN, y, layout.width, h).fill(ZEBRA);
+    doc.moveTo(MARGIN, y + h).lineTo(MARGIN + layout.width, y + h).lineWidth(0.5).strokeColor(LINE).stroke();
+
+    doc.font('Regular').fontSize(9.5).fillColor(MUTED).text(row.label, MARGIN + pad, y + pad + 1, { width: labelW - pad * 2 });
+    row.cells.forEach((c, i) => {
+      doc.font(c.alert ? 'Bold' : 'Regular').fontSize(9).fillColor(c.alert ? RISK_COLORS[RISK_LEVEL_HIGH] : INK)
+        .text(safeText(c.text), MARGIN + labelW + colW * i + pad, y + pad + 1, { width: colW - pad * 2, align: 'right', lineBreak: false });
+    });
+    doc.y = y + h;
+  });
+}
+
+// grouped bars per year: revenue (brand) and net profit (green, red for a loss) around the zero line
+function drawFinanceChart(doc, layout, company) {
+  const years = financeYears(company).filter((r) => r.revenue !== null || r.profit !== null);
+  if (!years.length) return;
+
+  const chartH = 150;
+  const legendH = 18;
+  const labelH = 16;
+  layout.ensureSpace(legendH + chartH + labelH + 12);
+  doc.y += 12;
+
+  const values = years.flatMap((r) => [r.revenue, r.profit]).filter((v) => v !== null);
+  const top = Math.max(0, ...values);
+  const bottom = Math.min(0, ...values);
+  const span = top - bottom || 1;
+
+  const x0 = MARGIN + 60;
+  const plotW = layout.width - 60;
+  const y0 = doc.y + legendH;
+  const zeroY = y0 + (chartH * top) / span;
+  const yOf = (v) => zeroY - (chartH * v) / span;
+
+  // legend
+  const profitColor = RISK_COLORS.default;
+  const ly = doc.y;
+  [['Выручка', BRAND, 0], ['Чистая прибыль', profitColor, 70], ['Убыток', RISK_COLORS[RISK_LEVEL_HIGH], 172]].forEach(([label, color, dx]) => {
+    doc.rect(x0 + dx, ly + 2, 8, 8).fill(color);
+    doc.font('Regular').fontSize(8.5).fillColor(MUTED).text(label, x0 + dx + 12, ly + 1, { lineBreak: false });
+  });
+
+  // axis labels: the extremes and zero
+  doc.font('Regular').fontSize(7.5).fillColor(MUTED);
+  doc.text(moneyShort(top), MARGIN, yOf(top) - 4, { width: 54, align: 'right', lineBreak: false });
+  if (bottom < 0) doc.text(moneyShort(bottom), MARGIN, yOf(bottom) - 4, { width: 54, align: 'right', lineBreak: false });
+  doc.text('0', MARGIN, zeroY - 4, { width: 54, align: 'right', lineBreak: false });
+  doc.moveTo(x0, y0).lineTo(x0 + plotW, y0).lineWidth(0.5).strokeColor(LINE).stroke();
+  doc.moveTo(x0, y0 + chartH).lineTo(x0 + plotW, y0 + chartH).lineWidth(0.5).strokeColor(LINE).stroke();
+
+  const groupW = plotW / years.length;
+  const barW = Math.min(36, groupW / 3);
+  years.forEach((r, i) => {
+    const gx = x0 + groupW * i + (groupW - barW * 2 - 4) / 2;
+    const bar = (v, x, color) => {
+      if (v === null) return;
+      const h = Math.max(1, Math.abs(yOf(v) - zeroY));
+      doc.rect(x, v >= 0 ? zeroY - h : zeroY, barW, h).fill(color);
+    };
+    bar(r.revenue, gx, BRAND);
+    bar(r.profit, gx + barW + 4, r.profit !== null && r.profit < 0 ? RISK_COLORS[RISK_LEVEL_HIGH] : profitColor);
+    doc.font('Regular').fontSize(8.5).fillColor(INK).text(String(r.year), x0 + groupW * i, y0 + chartH + 4, { width: groupW, align: 'center', lineBreak: false });
+  });
+  doc.moveTo(x0, zeroY).lineTo(x0 + plotW, zeroY).lineWidth(1).strokeColor(MUTED).stroke();
+
+  doc.y = y0 + chartH + labelH;
+  doc.fillColor(INK);
+}
+
+function drawFinance(doc, layout, company) {
+  drawFinanceTable(doc, layout, financeTable(company));
+  drawFinanceChart(doc, layout, company);
+  doc.font('Regular').fontSize(8).fillColor(MUTED).text(FINANCE_NOTE, MARGIN, doc.y + 6, { width: layout.width });
+  doc.y += 4;
+}
+
+// arbitration / FSSP / contracts counters, one small table per block (src/cases.js)
+function drawCases(doc, layout, company) {
+  for (const block of caseBlocks(company)) {
+    layout.ensureSpace(60);
+    doc.font('Bold').fontSize(10).fillColor(INK).text(block.title, MARGIN, doc.y + 4);
+    doc.moveDown(0.3);
+    drawRequisites(doc, layout, block.rows.map((r) => [r.label, r.value, r.alert]));
+  }
+  doc.y += 4;
+}
+
+const SEVERITY_COLORS = { high: RISK_COLORS[RISK_LEVEL_HIGH], medium: RISK_COLORS[RISK_LEVEL_MEDIUM], low: RISK_COLORS.default };
+
+// analysis: { summary, risks, recommendations } (src/ai/schema.js)
+function drawAi(doc, layout, analysis) {
+  const pad = 10;
+  const textW = layout.width - 18;
+
+  doc.font('Regular').fontSize(9.5);
+  const h = doc.heightOfString(analysis.summary, { width: layout.width - pad * 2 }) + pad * 2;
+  layout.ensureSpace(h);
+  const y = doc.y;
+  doc.rect(MARGIN, y, layout.width, h).fill('#F3F6FD');
+  doc.fillColor(INK).text(analysis.summary, MARGIN + pad, y + pad, { width: layout.width - pad * 2 });
+  doc.y = y + h + 8;
+
+  if (analysis.risks.length) {
+    layout.ensureSpace(40);
+    doc.font('Bold').fontSize(10).fillColor(INK).text('Риски', MARGIN, doc.y);
+    doc.moveDown(0.3);
+    analysis.risks.forEach((r) => {
+      doc.font('Regular').fontSize(9.5);
+      layout.ensureSpace(doc.heightOfString(r.details || ' ', { width: textW }) + 16);
+      const ry = doc.y;
+      doc.circle(MARGIN + 4, ry + 6, 3.5).fill(SEVERITY_COLORS[r.severity] || MUTED);
+      doc.font('Bold').fontSize(10).fillColor(INK).text(`${r.title} (${severityLabel(r.severity)})`, MARGIN + 14, ry, { width: textW });
+      if (r.details) doc.font('Regular').fontSize(9.5).fillColor(MUTED).text(r.details, MARGIN + 14, doc.y + 1, { width: textW });
+      doc.y += 5;
+    });
+  }
+
+  if (analysis.recommendations.length) {
+    layout.ensureSpace(40);
+    doc.font('Bold').fontSize(10).fillColor(INK).text('Что проверить', MARGIN, doc.y + 4);
+    doc.moveDown(0.3);
+    analysis.recommendations.forEach((line, i) => {
+      doc.font('Regular').fontSize(9.5);
+      layout.ensureSpace(doc.heightOfString(line, { width: textW }) + 6);
+      const ly = doc.y;
+      doc.fillColor(BRAND).text(`${i + 1}.`, MARGIN, ly, { width: 14 });
+      doc.fillColor(INK).text(line, MARGIN + 14, ly, { width: textW });
+      doc.y += 3;
+    });
+  }
+  doc.y += 4;
+}
+
+function drawVerification(doc, layout, { qrPng, verifyUrl, reportNo }) {
+  const size = 84;
+  layout.ensureSpace(size + 30);
+  doc.moveDown(1);
+  const y = doc.y;
+
+  doc.rect(MARGIN, y, layout.width, size + 16).lineWidth(0.8).strokeColor(LINE).stroke();
+  doc.image(qrPng, MARGIN + 8, y + 8, { width: size, height: size });
+
+  const tx = MARGIN + size + 22;
+  const tw = layout.width - size - 30;
+  doc.font('Bold').fontSize(10.5).fillColor(INK).text('Проверка подлинности', tx, y + 12, { width: tw });
+  doc.font('Regular').fontSize(9).fillColor(MUTED).text(verificationText(reportNo), tx, doc.y + 3, { width: tw });
+  doc.font('Regular').fontSize(8.5).fillColor(BRAND).text(verifyUrl, tx, doc.y + 4, { width: tw, link: verifyUrl });
+  doc.y = y + size + 16;
+  doc.fillColor(INK);
+}
+
+function drawFooters(doc, { reportNo }) {
+  const range = doc.bufferedPageRange();
+  const width = doc.page.width - MARGIN * 2;
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // writing below the bottom margin would otherwise add a page
+    const oldBottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - MARGIN - FOOTER_H + 10;
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).lineWidth(0.5).strokeColor(LINE).stroke();
+    doc.font('Regular').fontSize(7.5).fillColor(MUTED).text(REPORT_DISCLAIMER, MARGIN, y + 6, { width: width - 90 });
+    doc.text(REPORT_SIGNATURE, MARGIN, y + 26, { width: width - 90 });
+    doc.font('Bold').fontSize(8.5).fillColor(INK).text(`Стр. ${i - range.start + 1} из ${range.count}`, MARGIN, y + 6, { width, align: 'right' });
+    if (reportNo) doc.font('Regular').fontSize(7.5).fillColor(MUTED).text(reportNo, MARGIN, y + 20, { width, align: 'right' });
+
+    doc.page.margins.bottom = oldBottom;
+  }
+}
+
+export async function buildReportPdf({
+  inn,
+  company,
+  risk,
+  analysis = null,
+  provider,
+  fetchedAt,
+  cached,
+  reportNo = makeReportNo(),
+  variant = 'full',
+  verifyUrl = null
+}) {
+  const qrPng = verifyUrl ? await QRCode.toBuffer(verifyUrl, { margin: 0, width: 240, errorCorrectionLevel: 'M' }) : null;
+
+  return renderPdf({ title: `Отчёт ${reportNo} — ИНН ${inn}` }, (doc) => {
+    const layout = createLayout(doc);
+    const createdAt = new Date();
+
+    drawHeader(doc, { subtitle: reportSubtitle(variant), reportNo, createdAt });
+
+    doc.font('Bold').fontSize(15).fillColor(INK).text(safeText(company?.name), MARGIN, doc.y, { width: layout.width });
+    doc.font('Regular').fontSize(10).fillColor(MUTED).text(`ИНН ${inn}`, MARGIN, doc.y + 2);
+
+    layout.sectionTitle('Реквизиты');
+    drawRequisites(doc, layout, requisiteRows(company, variant, { provider, fetchedAt, cached }));
+
+    layout.sectionTitle('Оценка риска');
+    drawRisk(doc, layout, risk, variant);
+
+    if (showsFinance(company, variant)) {
+      layout.sectionTitle('Финансы');
+      drawFinance(doc, layout, company);
+    }
+
+    if (showsCases(company, variant)) {
+      layout.sectionTitle('Суды, ФССП, госзакупки');
+      drawCases(doc, layout, company);
+    }
+
+    if (showsLinks(company, variant)) {
+      layout.sectionTitle('Связанные лица и организации');
+      drawLinks(doc, layout, company);
+    }
+
+    if (variant === 'full' && analysis) {
+      layout.sectionTitle('Аналитическое резюме (ИИ)');
+      drawAi(doc, layout, analysis);
+      doc.font('Regular').fontSize(8).fillColor(MUTED).text(AI_NOTE, MARGIN, doc.y);
+    }
+
+    if (qrPng) drawVerification(doc, layout, { qrPng, verifyUrl, reportNo });
+
+    drawFooters(doc, { reportNo });
+  });
+}
+
+// comparison: { names, rows: [{ label, cells: [{ text, worst }] }] } (src/compare.js)
+function drawCompareTable(doc, layout, { names, rows }) {
+  const labelW = 130;
+  const colW = (layout.width - labelW) / names.length;
+  const pad = 6;
+
+  const drawHead = () => {
+    doc.font('Bold').fontSize(10);
+    const h = Math.max(...names.map((n) => doc.heightOfString(safeText(n), { width: colW - pad * 2 }))) + pad * 2;
+    layout.ensureSpace(h + 30);
+    const y = doc.y;
+    doc.rect(MARGIN, y, layout.width, h).fill(BRAND);
+    names.forEach((n, i) => {
+      doc.font('Bold').fontSize(10).fillColor('#FFFFFF').text(safeText(n), MARGIN + labelW + colW * i + pad, y + pad, { width: colW - pad * 2 });
+    });
+    doc.y = y + h;
+  };
+
+  drawHead();
+  rows.forEach((row, r) => {
+    doc.font('Regular').fontSize(9.5);
+    const h = Math.max(
+      doc.heightOfString(row.label, { width: labelW - pad * 2 }),
+      ...row.cells.map((c) => doc.font(c.worst ? 'Bold' : 'Regular').heightOfString(safeText(c.text), { width: colW - pad * 2 }))
+    ) + pad * 2;
+
+    if (doc.y + h > layout.bottom()) {
+      doc.addPage();
+      doc.y = MARGIN;
+      drawHead();
+    }
+    const y = doc.y;
+
+    if (r % 2 === 0) doc.rect(MARGIN, y, layout.width, h).fill(ZEBRA);
+    row.cells.forEach((c, i) => {
+      if (c.worst) doc.rect(MARGIN + labelW + colW * i, y, colW, h).fill('#FDECEA');
+    });
+    doc.moveTo(MARGIN, y + h).lineTo(MARGIN + layout.width, y + h).lineWidth(0.5).strokeColor(LINE).stroke();
+
+    doc.font('Regular').fontSize(9.5).fillColor(MUTED).text(row.label, MARGIN + pad, y + pad, { width: labelW - pad * 2 });
+    row.cells.forEach((c, i) => {
+      doc.font(c.worst ? 'Bold' : 'Regular').fontSize(9.5).fillColor(c.worst ? RISK_COLORS[RISK_LEVEL_HIGH] : INK)
+        .text(safeText(c.text), MARGIN + labelW + colW * i + pad, y + pad, { width: colW - pad * 2 });
+    });
+    doc.y = y + h;
+  });
+}
+
+// entries: [{ inn }] in the column order; not a registered report: no number, no QR
+export async function buildComparePdf({ entries, comparison, createdAt = new Date() }) {
+  return renderPdf({ layout: 'landscape', title: `Сравнение контрагентов — ${entries.map((e) => e.inn).join(', ')}` }, (doc) => {
+    const layout = createLayout(doc);
+    drawHeader(doc, { subtitle: 'Сравнение контрагентов', reportNo: null, createdAt });
+
+    doc.font('Bold').fontSize(15).fillColor(INK).text(`Сравнение: ${entries.length} ${entries.length < 5 ? 'компании' : 'компаний'}`, MARGIN, doc.y);
+    doc.font('Regular').fontSize(10).fillColor(MUTED).text(`ИНН: ${entries.map((e) => e.inn).join(', ')}`, MARGIN, doc.y + 2);
+    doc.moveDown(0.8);
+
+    drawCompareTable(doc, layout, comparison);
+
+    doc.moveDown(0.6);
+    doc.font('Regular').fontSize(8.5).fillColor(MUTED).text(
+      'Красным отмечено худшее значение строки среди компаний, по которым оно известно. «—»: провайдер не передал данные.',
+      MARGIN, doc.y, { width: layout.width }
+    );
+
+    drawFooters(doc, { reportNo: null });
+  });
+}
+
+// A4 document with the fonts registered; draw(doc) fills it, resolves with the file bytes
+function renderPdf({ layout = 'portrait', title }, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout,
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: title, Author: 'ProverkaBiz' }
+    });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('Regular', FONT_REGULAR);
+    doc.registerFont('Bold', FONT_BOLD);
+    doc.font('Regular');
+
+    draw(doc);
+    doc.end();
+  });
+}
@@ -0,0 +1,188 @@
+/* =======================
+   Access plans + quota periods
+   - a plan = check limits per period + feature permissions:
+       limits:   daily / monthly / lifetime checks (null = no limit), watchlist size (null = no limit),
+                 pdf_days: how long report PDFs are kept (null = PDF_TTL_DAYS),
+                 members: organization size under this plan (null = no limit)
+       features: pdf, pdf_full (full PDF instead of the one-page one), ai, bulk, history, refresh (bypass cache),
+                 links (browse founders / affiliated companies),
+                 cases (page through court cases, enforcement proceedings, contracts)
+   - ACCESS_PLANS (optional JSON) is merged over the defaults, plan by plan:
+       {"free": {"limits": {"daily": 5}}, "team": {"limits": {"monthly": 10000}}}
+   - periods are counted in the business timezone (BUSINESS_TZ, default Europe/Moscow),
+     so "daily" resets at midnight Moscow time whatever the server TZ is;
+     date ranges in the bot (/stats days, /history and /export periods) use the same days (zonedDayStart)
+   - bot_users.plan / organizations.plan hold the plan id; paid plans end at pro_until (see index.js)
+======================= */
+
+export const DEFAULT_BUSINESS_TZ = 'Europe/Moscow';
+export const QUOTA_KINDS = ['daily', 'monthly', 'lifetime'];
+
+export const DEFAULT_ACCESS_PLANS = {
+  free: {
+    title: 'FREE',
+    limits: { daily: 3, monthly: null, lifetime: null, watchlist: 3, pdf_days: null, members: 3 },
+    features: { pdf: true, pdf_full: false, ai: true, bulk: true, history: false, refresh: false, links: true, cases: true }
+  },
+  pro: {
+    title: 'PRO',
+    limits: { daily: null, monthly: null, lifetime: null, watchlist: 100, pdf_days: 180, members: 5 },
+    features: { pdf: true, pdf_full: true, ai: true, bulk: true, history: true, refresh: true, links: true, cases: true }
+  },
+  team: {
+    title: 'TEAM',
+    limits: { daily: null, monthly: null, lifetime: null, watchlist: 1000, pdf_days: 365, members: null },
+    features: { pdf: true, pdf_full: true, ai: true, bulk: true, history: true, refresh: true, links: true, cases: true }
+  }
+};
+
+function limitOrNull(v) {
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export function parseAccessPlans(json) {
+  let overrides = {};
+  if (json) {
+    try {
+      const v = JSON.parse(json);
+      if (v && typeof v === 'object' && !Array.isArray(v)) overrides = v;
+      else console.log('[WARN] ACCESS_PLANS must be a JSON object, defaults used');
+    } catch (e) {
+      console.log('[WARN] ACCESS_PLANS is not valid JSON, defaults used:', e?.message || e);
+    }
+  }
+
+  const plans = {};
+  const ids = new Set([...Object.keys(DEFAULT_ACCESS_PLANS), ...Object.keys(overrides)]);
+  for (const id of ids) {
+    if (!/^[a-z0-9_]{1,20}$/.test(id)) {
+      console.log(`[WARN] ACCESS_PLANS: bad plan id "${id}", skipped`);
+      continue;
+    }
+    // new plans start from "pro" (paid) defaults
+    const base = DEFAULT_ACCESS_PLANS[id] || DEFAULT_ACCESS_PLANS.pro;
+    const o = overrides[id] || {};
+    const limits = { ...base.limits, ...(o.limits || {}) };
+
+    plans[id] = {
+      id,
+      title: String(o.title || base.title || id.toUpperCase()),
+      limits: {
+        daily: limitOrNull(limits.daily),
+        monthly: limitOrNull(limits.monthly),
+        lifetime: limitOrNull(limits.lifetime),
+        watchlist: limitOrNull(limits.watchlist),
+        pdf_days: limitOrNull(limits.pdf_days),
+        members: limitOrNull(limits.members)
+      },
+      features: Object.fromEntries(
+        Object.entries({ ...base.features, ...(o.features || {}) }).map(([k, v]) => [k, Boolean(v)])
+      )
+    };
+  }
+  return plans;
+}
+
+// -> { day: 'YYYY-MM-DD', month: 'YYYY-MM' } in the given timezone
+export function periodKeys(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, month: `${parts.year}-${parts.month}` };
+}
+
+// 'YYYY-MM-DD' + n days -> 'YYYY-MM-DD' (calendar arithmetic, no timezone involved)
+export function shiftDay(day, n) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// offset of the timezone from UTC at the given instant, ms (Moscow: +3 h)
+function zoneOffsetMs(date, timeZone) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    })
+      .formatToParts(date)
+      .map((x) => [x.type, Number(x.value)])
+  );
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 'YYYY-MM-DD' -> Date of 00:00 of that day in the timezone (start of a periodKeys() day)
+export function zonedDayStart(day, timeZone) {
+  const [y, m, d] = day.split('-').map(Number);
+  const utcMidnight = Date.UTC(y, m - 1, d);
+  const guess = utcMidnight - zoneOffsetMs(new Date(utcMidnight), timeZone);
+  // the offset may differ at the day start itself (DST switch between the two instants)
+  return new Date(utcMidnight - zoneOffsetMs(new Date(guess), timeZone));
+}
+
+function periodFor(kind, keys) {
+  if (kind === 'daily') return `d:${keys.day}`;
+  if (kind === 'monthly') return `m:${keys.month}`;
+  return 'life';
+}
+
+// Counters a check of this plan consumes: [{ kind, period, limit }]; unlimited kinds are not counted
+export function quotaBuckets(plan, date, timeZone) {
+  const keys = periodKeys(date, timeZone);
+  return QUOTA_KINDS
+    .filter((kind) => plan.limits[kind] !== null)
+    .map((kind) => ({ kind, period: periodFor(kind, keys), limit: plan.limits[kind] }));
+}
+
+// All current counters regardless of the plan (admin reset / usage display)
+export function allPeriods(date, timeZone) {
+  const keys = periodKeys(date, timeZone);
+  return QUOTA_KINDS.map((kind) => ({ kind, period: periodFor(kind, keys) }));
+}
+
+function plural(n, one, few, many) {
+  const m10 = n % 10;
+  const m100 = n % 100;
+  if (m10 === 1 && m100 !== 11) return one;
+  if (m10 >= 2 && m10 <= 4 && (m100 < 12 || m100 > 14)) return few;
+  return many;
+}
+
+export function checksWord(n) {
+  return `${n} ${plural(n, 'проверка', 'проверки', 'проверок')}`;
+}
+
+const KIND_SUFFIX = { daily: 'в день', monthly: 'в месяц', lifetime: 'всего' };
+
+// "3 проверки в день" / "безлимит"
+export function formatLimits(plan) {
+  const parts = QUOTA_KINDS
+    .filter((kind) => plan.limits[kind] !== null)
+    .map((kind) => `${checksWord(plan.limits[kind])} ${KIND_SUFFIX[kind]}`);
+  return parts.length ? parts.join(', ') : 'безлимит';
+}
+
+// smallest remainder over the counted buckets; used: { period: n } after the check
+export function remainingAfter(buckets, used) {
+  let best = null;
+  for (const b of buckets) {
+    const left = Math.max(0, b.limit - Number(used?.[b.period] || 0));
+    if (!best || left < best.left) best = { kind: b.kind, left };
+  }
+  return best;
+}
+
+// "по Москве" for the default business timezone, "(Asia/Yekaterinburg)" otherwise
+export function timeZoneLabel(timeZone) {
+  return timeZone === DEFAULT_BUSINESS_TZ ? 'по Москве' : `(${timeZone})`;
+}
+
+export function exceededNote(plan, kind, timeZone) {
+  const tzLabel = timeZoneLabel(timeZone);
+  const limit = plan.limits[kind];
+  if (kind === 'daily') return `⛔️ Дневной лимит исчерпан (${checksWord(limit)} в день). Новые проверки — после 00:00 ${tzLabel}.`;
+  if (kind === 'monthly') return `⛔️ Месячный лимит исчерпан (${checksWord(limit)} в месяц). Новые проверки — с 1-го числа.`;
+  return `⛔️ Лимит исчерпан (${checksWord(limit)} на тарифе ${plan.title}).`;
+}
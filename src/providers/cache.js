@@ -0,0 +1,70 @@
+/* =======================
+   Provider response cache
+   Key: provider + INN (OGRN queries are cached in memory under both keys). Two layers:
+   1) in-memory map (per process, bounded)
+   2) stored raw payloads (inn_checks.raw with fetched_at) via loadStored()
+   An entry is fresh while fetched_at + ttl > now. ttlMs = 0 disables caching.
+======================= */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+export function createProviderCache({ providers, ttlMs, loadStored, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  const memory = new Map(); // `${provider}:${inn}` -> { provider, raw, fetched_at }
+
+  function isFresh(fetchedAt) {
+    const t = new Date(fetchedAt).getTime();
+    return Number.isFinite(t) && Date.now() - t < ttlMs;
+  }
+
+  function remember(provider, inn, raw, fetched_at) {
+    const key = `${provider}:${inn}`;
+    memory.delete(key);
+    memory.set(key, { provider, raw, fetched_at });
+    // Map keeps insertion order: drop the oldest
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  function memoryHit(inn) {
+    for (const name of providers.chain) {
+      const hit = memory.get(`${name}:${inn}`);
+      if (hit && isFresh(hit.fetched_at)) return hit;
+    }
+    return null;
+  }
+
+  async function storedHit(inn) {
+    if (!loadStored) return null;
+    const since = new Date(Date.now() - ttlMs).toISOString();
+    const rows = await loadStored(inn, providers.chain, since);
+    // prefer providers in priority order, then newest
+    for (const name of providers.chain) {
+      const row = (rows || []).find((r) => r.provider === name && r.raw && isFresh(r.fetched_at));
+      if (row) return { provider: row.provider, raw: row.raw, fetched_at: row.fetched_at };
+    }
+    return null;
+  }
+
+  async function fetchCompany(inn, { forceRefresh = false } = {}) {
+    if (ttlMs > 0 && !forceRefresh) {
+      const hit = memoryHit(inn) || await storedHit(inn);
+      if (hit) {
+        const company = providers.normalize(hit.provider, hit.raw);
+        if (company) {
+          remember(hit.provider, inn, hit.raw, hit.fetched_at);
+          return { provider: hit.provider, company, raw: hit.raw, error: null, attempts: [], cached: true, fetched_at: hit.fetched_at };
+        }
+      }
+    }
+
+    const res = await providers.fetchCompany(inn);
+    const fetched_at = new Date().toISOString();
+    if (!res.error && ttlMs > 0) {
+      remember(res.provider, inn, res.raw, fetched_at);
+      if (res.company?.inn && res.company.inn !== inn) remember(res.provider, res.company.inn, res.raw, fetched_at);
+    }
+
+    return { ...res, cached: false, fetched_at };
+  }
+
+  return { fetchCompany };
+}
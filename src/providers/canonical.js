@@ -0,0 +1,126 @@
+/* =======================
+   Canonical company schema
+   Every provider adapter maps its own payload into this shape,
+   so the rest of the bot (report, PDF, risk scoring) never looks at raw data.
+
+   {
+     inn, ogrn, kpp           string | null
+     type                     'ul' | 'ip' | null
+     name, full_name          string | null
+     status                   string | null   (as the provider spells it)
+     status_code              'active' | 'liquidating' | 'liquidated' | 'bankrupt' | 'reorganizing' | null
+     registered_at            'YYYY-MM-DD' | null
+     liquidated_at            'YYYY-MM-DD' | null
+     address, city            string | null
+     region_code              string | null   ('66', '77' ...)
+     address_mass             boolean | null  (mass-registration address)
+     address_invalid          boolean | null  (FNS "недостоверность")
+     director                 { name, inn, post, disqualified, mass } | null
+     okved                    { code, name } | null
+     capital                  number | null   (authorized capital, RUB)
+     employees                number | null
+     tax_debt                 number | null   (RUB)
+     finance                  [{ year, revenue, profit, assets, current_assets, equity, liabilities, current_liabilities }] | null
+                                RUB, one row per reporting year, oldest first; profit: net profit (negative = loss),
+                                liabilities: long- plus short-term, current_liabilities: short-term only
+     arbitration              { plaintiff_count, plaintiff_sum, defendant_count, defendant_sum } | null   (claim sums, RUB)
+     enforcements             { count, open_count, open_sum } | null   (FSSP proceedings; open_sum: debt still owed, RUB)
+     contracts                { count, sum, count_44, sum_44, count_223, sum_223 } | null
+                                public procurement as a supplier, 44-FZ + 223-FZ (RUB)
+     unreliable_supplier      boolean | null  (РНП)
+     founders                 [{ kind, name, inn, ogrn, share_percent, share_amount, mass }] | null
+                                kind: 'person' | 'company' | 'foreign' | 'public' | 'fund'
+     affiliates               [{ via, inn, ogrn, name, status, status_code, liquidated_at, region_code }] | null
+                                companies linked through the founders (via 'founder') or the director (via 'director')
+     branches                 [{ kind, name, kpp, address }] | null   (kind: 'branch' | 'office')
+   }
+
+   null always means "provider did not tell us", not "no".
+
+   Individual records (adapter.records(), paged; src/cases.js lists the sections):
+     arbitration              { number, date, role, sum, court, url }   role: 'plaintiff' | 'defendant' | 'third' | null
+     enforcements             { number, date, subject, sum, debt, closed_at }   (debt: still owed, 0 when closed)
+     contracts44, contracts223  { number, date, customer, subject, sum }
+======================= */
+
+export function emptyCompany() {
+  return {
+    inn: null,
+    ogrn: null,
+    kpp: null,
+    type: null,
+    name: null,
+    full_name: null,
+    status: null,
+    status_code: null,
+    registered_at: null,
+    liquidated_at: null,
+    address: null,
+    city: null,
+    region_code: null,
+    address_mass: null,
+    address_invalid: null,
+    director: null,
+    okved: null,
+    capital: null,
+    employees: null,
+    tax_debt: null,
+    finance: null,
+    arbitration: null,
+    enforcements: null,
+    contracts: null,
+    unreliable_supplier: null,
+    founders: null,
+    affiliates: null,
+    branches: null
+  };
+}
+
+/* ---------- shared mapping helpers ---------- */
+
+export function asArray(v) {
+  if (!v) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+export function str(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  return s.length ? s : null;
+}
+
+export function toNumber(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(String(v).replace(/\s/g, '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+
+export function toBool(v) {
+  if (v === null || v === undefined) return null;
+  return Boolean(v);
+}
+
+// accepts 'YYYY-MM-DD', 'DD.MM.YYYY', ISO strings and epoch ms
+export function toDateKey(v) {
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number') {
+    const d = new Date(v);
+    return Number.isFinite(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+  }
+  const s = String(v).trim();
+  const m = s.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? new Date(t).toISOString().slice(0, 10) : null;
+}
+
+export function statusCodeFromText(text) {
+  const s = String(text || '').toLowerCase();
+  if (!s) return null;
+  if (/банкрот|несостоят/.test(s)) return 'bankrupt';
+  if (/в (процессе|стадии) ликвидац|ликвидируется/.test(s)) return 'liquidating';
+  if (/ликвид|прекрат|прекращ|исключ/.test(s)) return 'liquidated';
+  if (/реорганиз/.test(s)) return 'reorganizing';
+  if (/действ/.test(s)) return 'active';
+  return null;
+}
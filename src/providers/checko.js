@@ -0,0 +1,312 @@
+/* =======================
+   Checko adapter (api.checko.ru v2)
+   - INN 10 / OGRN 13 -> /company, INN 12 / OGRNIP 15 -> /entrepreneur
+   - free-text search -> /search (by=name), organisations and entrepreneurs
+   - Учред / СвязУчред / СвязРуковод / Подразд -> founders, affiliates, branches
+   - Финансы (RSBU statement lines by year) -> finance
+   - Арбитраж / ИспПроизв / Госзакуп -> arbitration, enforcements, contracts (counters);
+     /legal-cases, /enforcements, /contracts -> records() pages of individual cases
+   NOTE: If your Checko plan/endpoint differs, adapt mapping in normalize().
+======================= */
+import fetch from 'node-fetch';
+import { emptyCompany, asArray, str, toNumber, toBool, toDateKey, statusCodeFromText } from './canonical.js';
+
+const BASE_URL = 'https://api.checko.ru/v2';
+
+// RSBU line codes: balance sheet (1xxx) and income statement (2xxx)
+const FIN_LINES = {
+  revenue: '2110',
+  profit: '2400',
+  assets: '1600',
+  current_assets: '1200',
+  equity: '1300',
+  long_liabilities: '1400',
+  current_liabilities: '1500'
+};
+
+// records() section -> endpoint + fixed params (contracts: as a supplier, per law)
+const RECORD_ENDPOINTS = {
+  arbitration: { path: 'legal-cases', params: {} },
+  enforcements: { path: 'enforcements', params: {} },
+  contracts44: { path: 'contracts', params: { law: '44', role: 'supplier' } },
+  contracts223: { path: 'contracts', params: { law: '223', role: 'supplier' } }
+};
+
+export function createCheckoAdapter({ apiKey, fetchImpl = fetch } = {}) {
+  async function fetchRaw(query, { signal } = {}) {
+    const q = String(query);
+    const endpoint = q.length === 12 || q.length === 15 ? 'entrepreneur' : 'company';
+    const param = q.length >= 13 ? 'ogrn' : 'inn';
+    const url = `${BASE_URL}/${endpoint}?key=${encodeURIComponent(apiKey)}&${param}=${encodeURIComponent(q)}`;
+
+    const r = await fetchImpl(url, { method: 'GET', signal });
+    const raw = await r.json().catch(() => null);
+
+    if (!r.ok) return { error: `Checko HTTP ${r.status}`, raw };
+    if (!raw || raw.error) return { error: raw?.error || 'Unknown error', raw };
+    if (raw.meta?.status && raw.meta.status !== 'ok') {
+      return { error: raw.meta.message || `Checko status: ${raw.meta.status}`, raw };
+    }
+    const data = raw.data || null;
+    if (!data || !Object.keys(data).length) return { error: 'Checko: организация не найдена', raw };
+
+    return { error: null, raw };
+  }
+
+  // one /search row -> canonical company (only requisites: search rows carry no risk markers)
+  function fromSearchRow(row, isIp) {
+    const c = emptyCompany();
+    c.type = isIp ? 'ip' : 'ul';
+    c.inn = str(row.ИНН);
+    c.ogrn = str(row.ОГРН || row.ОГРНИП);
+    c.kpp = str(row.КПП);
+    const fio = typeof row.ФИО === 'string' ? row.ФИО : row.ФИО?.Полное || null;
+    c.name = str(row.НаимСокр || (fio ? `ИП ${fio}` : null) || row.НаимПолн);
+    c.full_name = str(row.НаимПолн || c.name);
+    const status = row.Статус?.Наим ?? row.Статус;
+    c.status = typeof status === 'string' ? str(status) : null;
+    c.status_code = statusCodeFromText(c.status);
+    c.registered_at = toDateKey(row.ДатаРег);
+    c.address = str(typeof row.ЮрАдрес === 'string' ? row.ЮрАдрес : row.ЮрАдрес?.АдресРФ);
+    c.city = str(row.ЮрАдрес?.НасПункт || row.НасПункт);
+    c.region_code = str(row.РегионКод || row.Регион?.Код);
+    return c.inn ? c : null;
+  }
+
+  // Учред: { ФЛ, РосОрг, ИнОрг, ПИФ, РФ } -> canonical founders
+  function founders(u) {
+    if (!u || typeof u !== 'object') return null;
+    const share = (f) => ({ share_percent: toNumber(f.Доля?.Процент), share_amount: toNumber(f.Доля?.Номинал) });
+    return [
+      ...asArray(u.ФЛ).map((f) => ({ kind: 'person', name: str(f.ФИО), inn: str(f.ИНН), ogrn: null, ...share(f), mass: asArray(f.МассУчред).length > 0 })),
+      ...asArray(u.РосОрг).map((f) => ({ kind: 'company', name: str(f.НаимСокр || f.НаимПолн), inn: str(f.ИНН), ogrn: str(f.ОГРН), ...share(f), mass: null })),
+      ...asArray(u.ИнОрг).map((f) => ({ kind: 'foreign', name: str(f.НаимПолн || f.Наим), inn: str(f.ИНН), ogrn: null, ...share(f), mass: null })),
+      ...asArray(u.ПИФ).map((f) => ({ kind: 'fund', name: str(f.Наим), inn: null, ogrn: null, ...share(f), mass: null })),
+      ...asArray(u.РФ).map((f) => ({ kind: 'public', name: str(f.Наим || f.Тип), inn: null, ogrn: null, ...share(f), mass: null }))
+    ];
+  }
+
+  // СвязУчред / СвязРуковод rows -> canonical affiliates
+  function affiliate(row, via) {
+    const status = row.Статус?.Наим ?? row.Статус;
+    const text = typeof status === 'string' ? str(status) : null;
+    return {
+      via,
+      inn: str(row.ИНН),
+      ogrn: str(row.ОГРН),
+      name: str(row.НаимСокр || row.НаимПолн),
+      status: text,
+      status_code: row.ДатаЛикв ? 'liquidated' : statusCodeFromText(text),
+      liquidated_at: toDateKey(row.ДатаЛикв),
+      region_code: str(row.РегионКод)
+    };
+  }
+
+  // Финансы: { 'YYYY': { '2110': 1000, ... } } -> canonical finance rows, oldest first
+  function finances(f) {
+    if (!f || typeof f !== 'object') return null;
+    const rows = Object.entries(f)
+      .filter(([year, lines]) => /^\d{4}$/.test(year) && lines && typeof lines === 'object')
+      .map(([year, lines]) => {
+        const line = (key) => toNumber(lines[FIN_LINES[key]]);
+        const long = line('long_liabilities');
+        const short = line('current_liabilities');
+        return {
+          year: Number(year),
+          revenue: line('revenue'),
+          profit: line('profit'),
+          assets: line('assets'),
+          current_assets: line('current_assets'),
+          equity: line('equity'),
+          liabilities: long === null && short === null ? null : (long ?? 0) + (short ?? 0),
+          current_liabilities: short
+        };
+      })
+      .sort((a, b) => a.year - b.year);
+    return rows.length ? rows : null;
+  }
+
+  // { Количество, Сумма } | number -> { count, sum }
+  function counter(v) {
+    if (v === null || v === undefined) return { count: null, sum: null };
+    if (typeof v !== 'object') return { count: toNumber(v), sum: null };
+    return { count: toNumber(v.Количество), sum: toNumber(v.Сумма) };
+  }
+
+  // Госзакуп.Поставщ: { '44': { Количество, Сумма }, '223': { ... } }
+  function contracts(g) {
+    const supplier = g?.Поставщ;
+    if (!supplier || typeof supplier !== 'object') return null;
+    const fz44 = counter(supplier['44']);
+    const fz223 = counter(supplier['223']);
+    const known = [fz44, fz223].filter((x) => x.count !== null);
+    return {
+      count: known.length ? known.reduce((s, x) => s + x.count, 0) : null,
+      sum: known.length ? known.reduce((s, x) => s + (x.sum || 0), 0) : null,
+      count_44: fz44.count,
+      sum_44: fz44.sum,
+      count_223: fz223.count,
+      sum_223: fz223.sum
+    };
+  }
+
+  const RECORD_MAPPERS = {
+    arbitration: (row, inn) => {
+      const has = (list) => asArray(list).some((p) => str(p.ИНН) === inn);
+      return {
+        number: str(row.Номер),
+        date: toDateKey(row.Дата),
+        role: has(row.Ист) ? 'plaintiff' : has(row.Ответ) ? 'defendant' : has(row.Трет) ? 'third' : null,
+        sum: toNumber(row.СуммИск),
+        court: str(row.Суд),
+        url: str(row.СтрКАД)
+      };
+    },
+    enforcements: (row) => ({
+      number: str(row.ИспПрНомер),
+      date: toDateKey(row.ИспПрДата),
+      subject: str(row.ПредмИсп),
+      sum: toNumber(row.СумДолг),
+      debt: toNumber(row.ОстЗадолж),
+      closed_at: toDateKey(row.ДатаОконч)
+    }),
+    contracts44: (row) => ({
+      number: str(row.РегНомер),
+      date: toDateKey(row.Дата),
+      customer: str(row.Заказ?.НаимСокр || row.Заказ?.НаимПолн),
+      subject: str(asArray(row.Объекты)[0]?.Наим),
+      sum: toNumber(row.Цена)
+    })
+  };
+  RECORD_MAPPERS.contracts223 = RECORD_MAPPERS.contracts44;
+
+  // one page of individual records (see canonical.js) -> { error, total, items }; total: null when Checko does not report it
+  async function records(inn, section, { page = 1, limit = 5, signal } = {}) {
+    const ep = RECORD_ENDPOINTS[section];
+    if (!ep) return { error: `раздел ${section} не поддерживается`, total: null, items: [] };
+
+    const params = new URLSearchParams({ key: apiKey, inn: String(inn), page: String(page), limit: String(limit), ...ep.params });
+    const r = await fetchImpl(`${BASE_URL}/${ep.path}?${params}`, { method: 'GET', signal });
+    const raw = await r.json().catch(() => null);
+    if (!r.ok) return { error: `Checko HTTP ${r.status}`, total: null, items: [] };
+    if (raw?.meta?.status && raw.meta.status !== 'ok') return { error: raw.meta.message || `Checko status: ${raw.meta.status}`, total: null, items: [] };
+
+    const rows = asArray(raw?.data?.Записи);
+    return {
+      error: null,
+      total: toNumber(raw?.data?.ОбщКолич),
+      items: rows.slice(0, limit).map((row) => RECORD_MAPPERS[section](row, String(inn)))
+    };
+  }
+
+  // free text: organisation name or FIO of an entrepreneur; region: two-digit subject code
+  async function search(text, { region = null, limit = 10, signal } = {}) {
+    const run = async (obj) => {
+      const params = new URLSearchParams({ key: apiKey, by: 'name', obj, query: String(text), limit: String(limit) });
+      if (region) params.set('region', region);
+      const r = await fetchImpl(`${BASE_URL}/search?${params}`, { method: 'GET', signal });
+      const raw = await r.json().catch(() => null);
+      if (!r.ok) return { error: `Checko HTTP ${r.status}`, rows: [] };
+      if (raw?.meta?.status && raw.meta.status !== 'ok') return { error: raw.meta.message || `Checko status: ${raw.meta.status}`, rows: [] };
+      return { error: null, rows: asArray(raw?.data?.Записи).map((row) => fromSearchRow(row, obj === 'ent')).filter(Boolean) };
+    };
+
+    const [orgs, ents] = await Promise.all([run('org'), run('ent')]);
+    if (orgs.error && ents.error) return { error: orgs.error, items: [] };
+    return { error: null, items: [...orgs.rows, ...ents.rows].slice(0, limit) };
+  }
+
+  function normalize(raw) {
+    // Checko returns { data: { ... }, meta: { ... } }
+    const d = raw?.data || raw?.result || null;
+    if (!d || typeof d !== 'object') return null;
+
+    const c = emptyCompany();
+    const isIp = Boolean(d.ОГРНИП || d.ФИО);
+
+    c.type = isIp ? 'ip' : 'ul';
+    c.inn = str(d.ИНН || d.inn);
+    c.ogrn = str(d.ОГРН || d.ОГРНИП || d.ogrn);
+    c.kpp = str(d.КПП || d.kpp);
+
+    const fio = typeof d.ФИО === 'string' ? d.ФИО : d.ФИО?.Полное || null;
+    c.name = str(d.НаимСокр || d.short_name || (fio ? `ИП ${fio}` : null) || d.НаимПолн || d.name);
+    c.full_name = str(d.НаимПолн || d.full_name || c.name);
+
+    const status = d.Статус?.Наим ?? d.Статус ?? d.status;
+    c.status = typeof status === 'string' ? str(status) : null;
+    c.status_code = d.Ликвид ? 'liquidated' : statusCodeFromText(c.status);
+    c.registered_at = toDateKey(d.ДатаРег);
+    c.liquidated_at = toDateKey(d.Ликвид?.Дата || d.ДатаПрекрац);
+
+    const addr = d.ЮрАдрес || {};
+    c.address = str(addr.АдресРФ || (typeof d.address === 'string' ? d.address : null));
+    c.city = str(addr.НасПункт || d.НасПункт);
+    c.region_code = str(d.Регион?.Код || addr.КодРегион);
+    c.address_mass = d.ЮрАдрес ? asArray(addr.МассАдрес).length > 0 : null;
+    c.address_invalid = d.ЮрАдрес ? Boolean(addr.Недост) : null;
+
+    const dir = asArray(d.Руковод)[0];
+    if (dir) {
+      c.director = {
+        name: str(dir.ФИО),
+        inn: str(dir.ИНН),
+        post: str(dir.НаимДолжн || dir.ВидДолжн),
+        disqualified: Boolean(dir.ДисквЛицо),
+        mass: asArray(dir.МассРуковод).length > 0
+      };
+    } else if (isIp && fio) {
+      c.director = { name: fio, inn: c.inn, post: 'Индивидуальный предприниматель', disqualified: null, mass: null };
+    }
+
+    if (d.ОКВЭД) c.okved = { code: str(d.ОКВЭД.Код), name: str(d.ОКВЭД.Наим) };
+    c.capital = toNumber(d.УстКап?.Сумма);
+    c.employees = toNumber(d.СЧР);
+    c.tax_debt = d.Налоги ? toNumber(d.Налоги.СумНедоим) ?? 0 : null;
+
+    if (d.Арбитраж) {
+      const plaintiff = counter(d.Арбитраж.Истец);
+      const defendant = counter(d.Арбитраж.Ответчик);
+      c.arbitration = {
+        plaintiff_count: plaintiff.count,
+        plaintiff_sum: plaintiff.sum,
+        defendant_count: defendant.count,
+        defendant_sum: defendant.sum
+      };
+    }
+    if (d.ИспПроизв) {
+      const open = counter(d.ИспПроизв.Незаверш);
+      c.enforcements = { count: toNumber(d.ИспПроизв.Количество), open_count: open.count, open_sum: open.sum };
+    }
+    c.contracts = contracts(d.Госзакуп);
+    c.unreliable_supplier = 'НедобПост' in d ? toBool(d.НедобПост) : null;
+    c.finance = finances(d.Финансы);
+
+    if (!isIp) {
+      c.founders = founders(d.Учред);
+      if ('СвязУчред' in d || 'СвязРуковод' in d) {
+        c.affiliates = [
+          ...asArray(d.СвязУчред).map((row) => affiliate(row, 'founder')),
+          ...asArray(d.СвязРуковод).map((row) => affiliate(row, 'director'))
+        ].filter((a) => a.inn && a.inn !== c.inn);
+      }
+      if (d.Подразд) {
+        c.branches = [
+          ...asArray(d.Подразд.Филиал).map((b) => ({ kind: 'branch', name: str(b.Наим), kpp: str(b.КПП), address: str(b.Адрес) })),
+          ...asArray(d.Подразд.Представ).map((b) => ({ kind: 'office', name: str(b.Наим), kpp: str(b.КПП), address: str(b.Адрес) }))
+        ];
+      }
+    }
+
+    return c;
+  }
+
+  return {
+    name: 'checko',
+    isConfigured: () => Boolean(apiKey),
+    fetchRaw,
+    search,
+    records,
+    normalize
+  };
+}
@@ -0,0 +1,165 @@
+/* =======================
+   DaData adapter (suggestions API, findById/party)
+   Needs DADATA_API_KEY. Finance / disqualification fields depend on the DaData plan.
+   Founders come with the party card; affiliated companies and the list of branches do not
+   (separate paid methods), so affiliates / branches stay null.
+======================= */
+import fetch from 'node-fetch';
+import { emptyCompany, str, toNumber, toDateKey } from './canonical.js';
+
+const BASE_URL = 'https://suggestions.dadata.ru/suggestions/api/4_1/rs';
+
+const STATUS = {
+  ACTIVE: { code: 'active', text: 'Действующая' },
+  LIQUIDATING: { code: 'liquidating', text: 'В процессе ликвидации' },
+  LIQUIDATED: { code: 'liquidated', text: 'Ликвидирована' },
+  BANKRUPT: { code: 'bankrupt', text: 'Банкротство' },
+  REORGANIZING: { code: 'reorganizing', text: 'В процессе реорганизации' }
+};
+
+export function createDadataAdapter({ apiKey, fetchImpl = fetch } = {}) {
+  // query: INN or OGRN/OGRNIP — findById accepts both
+  async function fetchRaw(query, { signal } = {}) {
+    const r = await fetchImpl(`${BASE_URL}/findById/party`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ query: String(query), branch_type: 'MAIN' }),
+      signal
+    });
+    const raw = await r.json().catch(() => null);
+
+    if (!r.ok) return { error: `DaData HTTP ${r.status}`, raw };
+    if (!raw?.suggestions?.length) return { error: 'DaData: организация не найдена', raw };
+
+    // keep only the first suggestion: it is what normalize() reads
+    return { error: null, raw: { suggestions: [raw.suggestions[0]] } };
+  }
+
+  // free text: name, FIO of an IP or of a director, address words; region: two-digit subject code
+  async function search(text, { region = null, limit = 10, signal } = {}) {
+    const r = await fetchImpl(`${BASE_URL}/suggest/party`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({
+        query: String(text).slice(0, 300),
+        count: limit,
+        branch_type: ['MAIN'],
+        ...(region ? { locations: [{ kladr_id: region }] } : {})
+      }),
+      signal
+    });
+    const raw = await r.json().catch(() => null);
+    if (!r.ok) return { error: `DaData HTTP ${r.status}`, items: [] };
+
+    const items = (raw?.suggestions || []).map((s) => normalize({ suggestions: [s] })).filter(Boolean);
+    return { error: null, items };
+  }
+
+  // share: { type: 'PERCENT', value } | { type: 'DECIMAL', value } | { type: 'FRACTION', numerator, denominator }
+  function sharePercent(share) {
+    if (!share) return null;
+    if (share.type === 'PERCENT') return toNumber(share.value);
+    if (share.type === 'DECIMAL') return share.value === null || share.value === undefined ? null : toNumber(share.value) * 100;
+    if (share.type === 'FRACTION' && Number(share.denominator)) return (Number(share.numerator) / Number(share.denominator)) * 100;
+    return null;
+  }
+
+  function fioText(fio) {
+    return fio ? [fio.surname, fio.name, fio.patronymic].filter(Boolean).join(' ') || null : null;
+  }
+
+  function normalize(raw) {
+    const s = raw?.suggestions?.[0];
+    const d = s?.data;
+    if (!d) return null;
+
+    const c = emptyCompany();
+    c.type = d.type === 'INDIVIDUAL' ? 'ip' : 'ul';
+    c.inn = str(d.inn);
+    c.ogrn = str(d.ogrn);
+    c.kpp = str(d.kpp);
+    c.name = str(d.name?.short_with_opf || s.value);
+    c.full_name = str(d.name?.full_with_opf || c.name);
+
+    const st = STATUS[d.state?.status] || null;
+    c.status = st?.text || str(d.state?.status);
+    c.status_code = st?.code || null;
+    c.registered_at = toDateKey(d.state?.registration_date ?? d.ogrn_date);
+    c.liquidated_at = toDateKey(d.state?.liquidation_date);
+
+    const a = d.address || {};
+    c.address = str(a.unrestricted_value || a.value);
+    c.city = str(a.data?.city || a.data?.settlement);
+    c.region_code = a.data?.region_kladr_id ? String(a.data.region_kladr_id).slice(0, 2) : null;
+    // DaData marks unreliable address via address.invalidity / data.invalid
+    c.address_invalid = a.invalidity ? true : null;
+
+    if (d.management?.name) {
+      c.director = {
+        name: str(d.management.name),
+        inn: null,
+        post: str(d.management.post),
+        disqualified: d.management.disqualified === undefined ? null : Boolean(d.management.disqualified),
+        mass: null
+      };
+      // managers[] carries the INN the management block lacks
+      const manager = (d.managers || []).find((m) => fioText(m.fio) === c.director.name);
+      c.director.inn = str(manager?.inn);
+    } else if (c.type === 'ip' && d.fio) {
+      c.director = { name: fioText(d.fio), inn: c.inn, post: 'Индивидуальный предприниматель', disqualified: null, mass: null };
+    }
+
+    if (c.type === 'ul' && Array.isArray(d.founders)) {
+      c.founders = d.founders.map((f) => ({
+        kind: f.type === 'LEGAL' ? 'company' : 'person',
+        name: str(f.type === 'LEGAL' ? f.name : fioText(f.fio) || f.name),
+        inn: str(f.inn),
+        ogrn: str(f.ogrn),
+        share_percent: sharePercent(f.share),
+        share_amount: null,
+        mass: null
+      }));
+    }
+
+    if (d.okved) c.okved = { code: str(d.okved), name: null };
+    c.capital = toNumber(d.capital?.value);
+    c.employees = toNumber(d.employee_count);
+    c.tax_debt = d.finance ? toNumber(d.finance.debt) : null;
+
+    // last reporting year only, no balance sheet; profit is income minus expense, as in the tax statements
+    const income = toNumber(d.finance?.income);
+    const expense = toNumber(d.finance?.expense);
+    const revenue = toNumber(d.finance?.revenue);
+    const year = toNumber(d.finance?.year);
+    if (year !== null && (revenue !== null || income !== null)) {
+      c.finance = [{
+        year,
+        revenue,
+        profit: income !== null && expense !== null ? income - expense : null,
+        assets: null,
+        current_assets: null,
+        equity: null,
+        liabilities: null,
+        current_liabilities: null
+      }];
+    }
+
+    return c;
+  }
+
+  return {
+    name: 'dadata',
+    isConfigured: () => Boolean(apiKey),
+    fetchRaw,
+    search,
+    normalize
+  };
+}
@@ -0,0 +1,103 @@
+/* =======================
+   FNS EGRUL open data adapter (egrul.nalog.ru)
+   No key required. Two steps: POST query -> token, GET search-result/<token>.
+   Gives only basic requisites (no risk markers), so it is the last resort in the default order.
+======================= */
+import fetch from 'node-fetch';
+import { emptyCompany, str, toDateKey, statusCodeFromText } from './canonical.js';
+
+const BASE_URL = 'https://egrul.nalog.ru';
+const POLL_ATTEMPTS = 3;
+const POLL_DELAY_MS = 700;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+export function createEgrulAdapter({ fetchImpl = fetch } = {}) {
+  // form: { query, region? } -> { error, rows }
+  async function runQuery(form, signal) {
+    const r1 = await fetchImpl(`${BASE_URL}/`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
+      body: new URLSearchParams(form).toString(),
+      signal
+    });
+    const j1 = await r1.json().catch(() => null);
+
+    if (!r1.ok) return { error: `EGRUL HTTP ${r1.status}`, raw: j1, rows: [] };
+    if (j1?.captchaRequired) return { error: 'EGRUL: требуется капча', raw: j1, rows: [] };
+    if (!j1?.t) return { error: 'EGRUL: не получен токен поиска', raw: j1, rows: [] };
+
+    for (let i = 0; i < POLL_ATTEMPTS; i++) {
+      const r2 = await fetchImpl(`${BASE_URL}/search-result/${encodeURIComponent(j1.t)}?r=${Date.now()}`, { method: 'GET', signal });
+      const j2 = await r2.json().catch(() => null);
+
+      if (!r2.ok) return { error: `EGRUL HTTP ${r2.status}`, raw: j2, rows: [] };
+      if (j2?.status === 'wait') {
+        await sleep(POLL_DELAY_MS);
+        continue;
+      }
+      return { error: null, raw: j2, rows: Array.isArray(j2?.rows) ? j2.rows : [] };
+    }
+
+    return { error: 'EGRUL: результат поиска не готов', raw: null, rows: [] };
+  }
+
+  // query: INN or OGRN/OGRNIP
+  async function fetchRaw(query, { signal } = {}) {
+    const q = String(query);
+    const res = await runQuery({ query: q }, signal);
+    if (res.error) return { error: res.error, raw: res.raw };
+
+    // several rows are possible (e.g. old records for an IP) — prefer the one without end date
+    const same = (x) => x.i === q || x.o === q;
+    const row = res.rows.find((x) => same(x) && !x.e) || res.rows.find(same) || res.rows[0];
+    if (!row) return { error: 'EGRUL: организация не найдена', raw: res.raw };
+
+    return { error: null, raw: { rows: [row] } };
+  }
+
+  // free text: name of an organisation or full name of an IP; region: two-digit subject code
+  async function search(text, { region = null, limit = 10, signal } = {}) {
+    const res = await runQuery({ query: String(text), ...(region ? { region } : {}) }, signal);
+    if (res.error) return { error: res.error, items: [] };
+    return { error: null, items: res.rows.slice(0, limit).map((row) => normalize({ rows: [row] })).filter(Boolean) };
+  }
+
+  function normalize(raw) {
+    const row = raw?.rows?.[0];
+    if (!row) return null;
+
+    const c = emptyCompany();
+    c.type = row.k === 'fl' ? 'ip' : 'ul';
+    c.inn = str(row.i);
+    c.ogrn = str(row.o);
+    c.kpp = str(row.p);
+    c.name = str(row.c || row.n);
+    c.full_name = str(row.n || row.c);
+    c.registered_at = toDateKey(row.r);
+    c.liquidated_at = toDateKey(row.e);
+    c.status = row.e ? `Прекращена ${row.e}` : 'Действующая';
+    c.status_code = statusCodeFromText(c.status);
+    c.address = str(row.a);
+
+    // g: "ГЕНЕРАЛЬНЫЙ ДИРЕКТОР: Иванов Иван Иванович"
+    if (row.g) {
+      const [post, name] = String(row.g).includes(':') ? String(row.g).split(/:\s*/, 2) : [null, row.g];
+      c.director = { name: str(name), inn: null, post: str(post), disqualified: null, mass: null };
+    } else if (c.type === 'ip') {
+      c.director = { name: str(row.n), inn: c.inn, post: 'Индивидуальный предприниматель', disqualified: null, mass: null };
+    }
+
+    return c;
+  }
+
+  return {
+    name: 'egrul',
+    isConfigured: () => true,
+    fetchRaw,
+    search,
+    normalize
+  };
+}
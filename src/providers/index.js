@@ -0,0 +1,205 @@
+/* =======================
+   Data providers: registry + fallback chain
+   - PROVIDER_ORDER: comma list, default 'checko,dadata,egrul'
+   - providers without a key are skipped, errors / timeouts fall through to the next one
+   - PROVIDER_TIMEOUT_MS: default timeout per provider call
+   - PROVIDER_TIMEOUTS: JSON per provider, e.g. {"egrul": 15000}
+
+   Adapter contract:
+     name
+     isConfigured() -> boolean
+     fetchRaw(query, { signal }) -> { error: string|null, raw }   (query: INN, OGRN or OGRNIP)
+     normalize(raw) -> canonical company (see canonical.js) | null
+     search(text, { region, limit, signal }) -> { error: string|null, items: [canonical company] }
+       (optional: free-text search by name / FIO; region is a two-digit subject code)
+     records(inn, section, { page, limit, signal }) -> { error: string|null, total, items: [record] }
+       (optional: court cases, enforcement proceedings, contracts page by page; sections in src/cases.js;
+        total: number of records | null when unknown — then a full page means there may be more)
+   fetchImpl is injectable, so adapters run against recorded fixtures without network.
+   onError(provider, query, error) is called for every failed call (for stats / alerting).
+======================= */
+import { createCheckoAdapter } from './checko.js';
+import { createDadataAdapter } from './dadata.js';
+import { createEgrulAdapter } from './egrul.js';
+
+export const DEFAULT_PROVIDER_ORDER = ['checko', 'dadata', 'egrul'];
+const DEFAULT_TIMEOUT_MS = 8000;
+
+function parseOrder(order) {
+  if (!order) return DEFAULT_PROVIDER_ORDER;
+  const list = String(order).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  return list.length ? list : DEFAULT_PROVIDER_ORDER;
+}
+
+function parseTimeouts(json) {
+  if (!json) return {};
+  try {
+    const v = JSON.parse(json);
+    return v && typeof v === 'object' ? v : {};
+  } catch (e) {
+    console.log('[WARN] PROVIDER_TIMEOUTS is not valid JSON, ignored:', e?.message || e);
+    return {};
+  }
+}
+
+async function withTimeout(ms, fn) {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), ms);
+  try {
+    return await fn(ac.signal);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function createProviders({
+  checkoApiKey,
+  dadataApiKey,
+  order,
+  timeoutMs,
+  timeoutsJson,
+  fetchImpl,
+  onError
+} = {}) {
+  const adapters = {
+    checko: createCheckoAdapter({ apiKey: checkoApiKey, fetchImpl }),
+    dadata: createDadataAdapter({ apiKey: dadataApiKey, fetchImpl }),
+    egrul: createEgrulAdapter({ fetchImpl })
+  };
+
+  const chain = parseOrder(order).filter((name) => {
+    if (adapters[name]) return true;
+    console.log(`[WARN] Unknown provider in PROVIDER_ORDER: ${name}`);
+    return false;
+  });
+
+  const defaultTimeout = Number(timeoutMs || DEFAULT_TIMEOUT_MS);
+  const timeouts = parseTimeouts(timeoutsJson);
+
+  async function fetchFrom(adapter, query) {
+    const ms = Number(timeouts[adapter.name] || defaultTimeout);
+    try {
+      const res = await withTimeout(ms, (signal) => adapter.fetchRaw(query, { signal }));
+      if (res.error) return { error: res.error, raw: res.raw, company: null };
+
+      const company = adapter.normalize(res.raw);
+      if (!company) return { error: 'не удалось нормализовать ответ (формат данных изменился)', raw: res.raw, company: null };
+      return { error: null, raw: res.raw, company };
+    } catch (e) {
+      if (e?.name === 'AbortError') return { error: `таймаут ${ms} мс`, raw: null, company: null };
+      return { error: `Network error: ${e?.message || e}`, raw: null, company: null };
+    }
+  }
+
+  // Walks the chain until one provider returns a usable company.
+  async function fetchCompany(query) {
+    const attempts = [];
+
+    for (const name of chain) {
+      const adapter = adapters[name];
+      if (!adapter.isConfigured()) {
+        attempts.push({ provider: name, error: 'ключ не задан' });
+        continue;
+      }
+
+      const res = await fetchFrom(adapter, query);
+      if (!res.error) {
+        return { provider: name, company: res.company, raw: res.raw, error: null, attempts };
+      }
+
+      console.log(`[WARN] provider ${name} failed for ${query}:`, res.error);
+      attempts.push({ provider: name, error: res.error });
+      if (onError) Promise.resolve(onError(name, query, res.error)).catch(() => {});
+    }
+
+    const error = attempts.length
+      ? attempts.map((a) => `${a.provider}: ${a.error}`).join('; ')
+      : 'не настроен ни один провайдер';
+    return { provider: null, company: null, raw: null, error, attempts };
+  }
+
+  // Free-text search along the same chain: the first provider that finds something wins.
+  // -> { provider, items, error } ; items may be partial cards (requisites only), open them with fetchCompany()
+  async function searchCompanies(text, { region = null, limit = 10 } = {}) {
+    const attempts = [];
+
+    for (const name of chain) {
+      const adapter = adapters[name];
+      if (!adapter.search || !adapter.isConfigured()) continue;
+
+      const ms = Number(timeouts[name] || defaultTimeout);
+      let res;
+      try {
+        res = await withTimeout(ms, (signal) => adapter.search(text, { region, limit, signal }));
+      } catch (e) {
+        res = { error: e?.name === 'AbortError' ? `таймаут ${ms} мс` : `Network error: ${e?.message || e}`, items: [] };
+      }
+
+      if (res.error) {
+        console.log(`[WARN] provider ${name} search failed:`, res.error);
+        attempts.push({ provider: name, error: res.error });
+        if (onError) Promise.resolve(onError(name, `search:${text}`, res.error)).catch(() => {});
+        continue;
+      }
+      if (res.items.length) return { provider: name, items: res.items, error: null };
+      attempts.push({ provider: name, error: 'ничего не найдено' });
+    }
+
+    // "nothing found" everywhere is an answer, not an error
+    const failed = attempts.filter((a) => a.error !== 'ничего не найдено');
+    const error = attempts.length && failed.length === attempts.length
+      ? failed.map((a) => `${a.provider}: ${a.error}`).join('; ')
+      : (attempts.length ? null : 'не настроен ни один провайдер с поиском');
+    return { provider: null, items: [], error };
+  }
+
+  // Individual records of a section (src/cases.js), page by page (1-based), from the first provider that has them.
+  // -> { provider, total (null = unknown), items, error }
+  async function fetchRecords(inn, section, { page = 1, limit = 5 } = {}) {
+    const attempts = [];
+
+    for (const name of chain) {
+      const adapter = adapters[name];
+      if (!adapter.records || !adapter.isConfigured()) continue;
+
+      const ms = Number(timeouts[name] || defaultTimeout);
+      let res;
+      try {
+        res = await withTimeout(ms, (signal) => adapter.records(inn, section, { page, limit, signal }));
+      } catch (e) {
+        res = { error: e?.name === 'AbortError' ? `таймаут ${ms} мс` : `Network error: ${e?.message || e}`, total: null, items: [] };
+      }
+
+      if (!res.error) return { provider: name, total: res.total, items: res.items, error: null };
+      console.log(`[WARN] provider ${name} records ${section} failed for ${inn}:`, res.error);
+      attempts.push({ provider: name, error: res.error });
+      if (onError) Promise.resolve(onError(name, `${section}:${inn}`, res.error)).catch(() => {});
+    }
+
+    const error = attempts.length
+      ? attempts.map((a) => `${a.provider}: ${a.error}`).join('; ')
+      : 'не настроен ни один провайдер с делами и контрактами';
+    return { provider: null, total: null, items: [], error };
+  }
+
+  // Re-normalizes a stored raw payload (e.g. inn_checks.raw) of a given provider.
+  function normalize(providerName, raw) {
+    const adapter = adapters[providerName];
+    if (!adapter || !raw) return null;
+    try {
+      return adapter.normalize(raw);
+    } catch (e) {
+      console.log(`[WARN] normalize ${providerName} failed:`, e?.message || e);
+      return null;
+    }
+  }
+
+  return {
+    chain,
+    adapters,
+    fetchCompany,
+    searchCompanies,
+    fetchRecords,
+    normalize
+  };
+}
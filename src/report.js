@@ -0,0 +1,203 @@
+/* =======================
+   Report content shared by the renderers (src/pdf.js, src/docx.js)
+   - what goes into a report of each variant: requisites, risk flags, links, finances, courts / FSSP / contracts, texts
+   - renderers only lay it out, so the PDF and the DOCX of one check say the same
+======================= */
+import { FOUNDER_KINDS, AFFILIATE_VIA, formatShare, isInactive, hasLinks, affiliateStats } from './links.js';
+import { financeYears, yoy, currentRatio, equityShare, moneyShort, percentText, ratioText } from './finance.js';
+import { hasCases } from './cases.js';
+
+export const REPORT_VARIANTS = ['short', 'full'];
+
+const SHORT_MAX_FLAGS = 3;
+const MAX_AFFILIATES = 30;
+const MAX_BRANCHES = 20;
+
+export const REPORT_DISCLAIMER =
+  'Отчёт носит информационный характер и предназначен для внутренней проверки. ' +
+  'Не является документом ФНС и не гарантирует отсутствие рисков.';
+export const REPORT_SIGNATURE = 'Проверено автоматически системой ProverkaBiz';
+export const AI_NOTE = 'Сформировано языковой моделью по данным выше, требует проверки специалистом.';
+export const FINANCE_NOTE =
+  'По данным бухгалтерской отчётности (РСБУ) на конец года. Текущая ликвидность — оборотные активы / краткосрочные обязательства, ' +
+  'ниже 1 — краткосрочные долги не покрыты оборотными активами. Красным — убыток, падение выручки, отрицательный капитал.';
+
+export function safeText(s) {
+  if (s === null || s === undefined) return '—';
+  const t = String(s).trim();
+  return t.length ? t : '—';
+}
+
+export function fmtDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isFinite(d.getTime()) ? d.toLocaleDateString('ru-RU') : String(v);
+}
+
+export function fmtMoney(n) {
+  if (n === null || n === undefined) return null;
+  return `${new Intl.NumberFormat('ru-RU').format(n)} ₽`;
+}
+
+function present(v) {
+  return v !== null && v !== undefined && v !== '';
+}
+
+export function reportSubtitle(variant) {
+  return variant === 'short' ? 'Краткий отчёт о проверке контрагента' : 'Отчёт о проверке контрагента';
+}
+
+// core rows are always printed (with '—'), optional ones only when known
+export function requisiteRows(company, variant, { provider, fetchedAt, cached }) {
+  const c = company || {};
+  const dir = c.director ? [c.director.name, c.director.post].filter(Boolean).join(', ') : null;
+
+  const core = [
+    ['Наименование', c.name],
+    ['ИНН', c.inn],
+    [c.type === 'ip' ? 'ОГРНИП' : 'ОГРН', c.ogrn],
+    ['КПП', c.kpp],
+    ['Статус', c.status],
+    ['Дата регистрации', fmtDate(c.registered_at)],
+    ['Руководитель', dir],
+    ['Адрес', c.address]
+  ];
+  if (variant === 'short') return core;
+
+  const optional = [
+    ['Полное наименование', c.full_name !== c.name ? c.full_name : null],
+    ['Основной ОКВЭД', c.okved ? [c.okved.code, c.okved.name].filter(Boolean).join(' — ') : null],
+    ['Уставный капитал', fmtMoney(c.capital)],
+    ['Численность сотрудников', c.employees],
+    ['Недоимка по налогам', fmtMoney(c.tax_debt)],
+    ['Источник данных', provider],
+    ['Данные актуальны на', fetchedAt ? `${new Date(fetchedAt).toLocaleString('ru-RU')}${cached ? ' (кэш)' : ''}` : null]
+  ].filter(([, v]) => present(v));
+
+  return [...core, ...optional];
+}
+
+// -> { flags, hidden }: the short variant lists the top flags only
+export function reportFlags(risk, variant) {
+  const all = risk?.flags || [];
+  const flags = variant === 'short' ? all.slice(0, SHORT_MAX_FLAGS) : all;
+  return { flags, hidden: all.length - flags.length };
+}
+
+export function showsLinks(company, variant) {
+  return variant === 'full' && company?.type === 'ul' && (hasLinks(company) || Boolean(company.director));
+}
+
+/*
+  founders with shares, director, affiliated companies (liquidated ones flagged), branches ->
+  [{ title, note, items: [{ title, details, warnings, tone }], more }]
+  note: text instead of items ("not provided"); tone: 'brand' | 'ok' | 'alert' | 'muted'
+*/
+export function linkBlocks(company) {
+  const c = company;
+  const blocks = [];
+
+  if (c.director) {
+    const alert = c.director.mass || c.director.disqualified;
+    blocks.push({
+      title: 'Руководитель',
+      items: [{
+        title: safeText(c.director.name),
+        details: [c.director.post, c.director.inn ? `ИНН ${c.director.inn}` : null].filter(Boolean).join(' · '),
+        warnings: [c.director.mass ? 'массовый руководитель' : null, c.director.disqualified ? 'дисквалифицирован' : null].filter(Boolean),
+        tone: alert ? 'alert' : 'brand'
+      }],
+      more: 0
+    });
+  }
+
+  blocks.push({
+    title: 'Учредители',
+    note: !c.founders ? 'Провайдер не передал сведения об учредителях.' : !c.founders.length ? 'Учредители не указаны.' : null,
+    items: (c.founders || []).map((f) => ({
+      title: safeText(f.name),
+      details: [FOUNDER_KINDS[f.kind], f.inn ? `ИНН ${f.inn}` : null, formatShare(f)].filter(Boolean).join(' · '),
+      warnings: f.mass ? ['массовый учредитель'] : [],
+      tone: f.mass ? 'alert' : 'brand'
+    })),
+    more: 0
+  });
+
+  if (c.affiliates) {
+    const { total, inactive } = affiliateStats(c);
+    blocks.push({
+      title: `Связанные организации: ${total}${inactive ? `, из них ликвидированы / банкроты: ${inactive}` : ''}`,
+      items: c.affiliates.slice(0, MAX_AFFILIATES).map((a) => ({
+        title: safeText(a.name),
+        details: [`ИНН ${a.inn}`, a.status, AFFILIATE_VIA[a.via]].filter(Boolean).join(' · '),
+        warnings: isInactive(a) ? [`${a.status_code === 'bankrupt' ? 'банкротство' : 'ликвидирована'}${a.liquidated_at ? ` ${fmtDate(a.liquidated_at)}` : ''}`] : [],
+        tone: isInactive(a) ? 'alert' : 'ok'
+      })),
+      more: Math.max(0, total - MAX_AFFILIATES)
+    });
+  }
+
+  if (c.branches?.length) {
+    blocks.push({
+      title: `Филиалы и представительства: ${c.branches.length}`,
+      items: c.branches.slice(0, MAX_BRANCHES).map((b) => ({
+        title: `${b.kind === 'office' ? 'Представительство' : 'Филиал'}${b.name ? ` «${b.name}»` : ''}`,
+        details: [b.kpp ? `КПП ${b.kpp}` : null, b.address].filter(Boolean).join(' · '),
+        warnings: [],
+        tone: 'muted'
+      })),
+      more: Math.max(0, c.branches.length - MAX_BRANCHES)
+    });
+  }
+
+  return blocks;
+}
+
+// counters only (src/cases.js): individual cases are browsed in the bot
+export function showsCases(company, variant) {
+  return variant === 'full' && hasCases(company);
+}
+
+export function showsFinance(company, variant) {
+  return variant === 'full' && Boolean(company?.finance?.length);
+}
+
+/*
+  last reporting years side by side ->
+  { years: [2021, 2022, 2023], rows: [{ label, cells: [{ text, alert }] }] }
+  amounts go without '₽' (the table heading carries it); rows the provider told nothing about are dropped;
+  alert: a value worth a red mark
+*/
+export const FINANCE_HEADING = 'Показатель, ₽';
+
+export function financeTable(company) {
+  const all = company?.finance || [];
+  const years = financeYears(company);
+  // the year before the first column counts for its dynamics too
+  const prevOf = (r) => all.find((p) => p.year === r.year - 1);
+  const row = (label, value, format, alert = () => false) => ({
+    label,
+    cells: years.map((r) => {
+      const v = value(r, prevOf(r)) ?? null;
+      return { text: v === null ? null : format(v), alert: v !== null && alert(v) };
+    })
+  });
+
+  const money = (v) => moneyShort(v, { currency: false });
+  const rows = [
+    row('Выручка', (r) => r.revenue, money),
+    row('Выручка к прошлому году', (r, prev) => yoy(r.revenue, prev?.revenue), percentText, (v) => v < 0),
+    row('Чистая прибыль (убыток)', (r) => r.profit, money, (v) => v < 0),
+    row('Активы', (r) => r.assets, money),
+    row('Собственный капитал', (r) => r.equity, money, (v) => v < 0),
+    row('Обязательства', (r) => r.liabilities, money),
+    row('Текущая ликвидность', currentRatio, ratioText, (v) => v < 1),
+    row('Доля собственного капитала', equityShare, (v) => percentText(v, { signed: false }), (v) => v < 0)
+  ];
+  return { years: years.map((r) => r.year), rows: rows.filter((r) => r.cells.some((c) => c.text !== null)) };
+}
+
+export function verificationText(reportNo) {
+  return `Отсканируйте QR-код или откройте ссылку: сервис покажет, выдавался ли отчёт № ${reportNo}, ` +
+    'для какого ИНН и когда, и совпадает ли его содержимое с оригиналом.';
+}
@@ -0,0 +1,248 @@
+/* =======================
+   Risk scoring
+   Rule-based red flags over the canonical company (providers/canonical.js).
+
+   Every rule has an id, a default weight and a test() that returns
+   null (not triggered) or a short explanation in Russian.
+   Weights / params / on-off are configurable via RISK_RULES env (JSON):
+     {"young_company": {"weight": 20, "months": 6}, "tax_debt": {"enabled": false}}
+   Level thresholds via RISK_THRESHOLDS env (JSON): {"medium": 25, "high": 60}
+======================= */
+import { lossStreak, latestFinance, moneyShort } from './finance.js';
+
+export const RISK_LEVEL_LOW = 'низкий';
+export const RISK_LEVEL_MEDIUM = 'средний';
+export const RISK_LEVEL_HIGH = 'высокий';
+
+const DEFAULT_THRESHOLDS = { medium: 25, high: 60 };
+const MAX_SCORE = 100;
+
+function parseDate(v) {
+  if (!v) return null;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? new Date(t) : null;
+}
+
+/* ---------- rules (read the canonical company, see providers/canonical.js) ---------- */
+
+export const RISK_RULES = [
+  {
+    id: 'liquidated',
+    title: 'Ликвидация / прекращение деятельности',
+    weight: 100,
+    test: (c) => {
+      if (c.status_code === 'liquidated' || c.status_code === 'liquidating' || c.liquidated_at) {
+        return `Статус в ЕГРЮЛ: «${c.status || 'ликвидирована'}».`;
+      }
+      return null;
+    }
+  },
+  {
+    id: 'bankruptcy',
+    title: 'Банкротство',
+    weight: 80,
+    test: (c) => (c.status_code === 'bankrupt' ? 'Есть сведения о процедуре банкротства.' : null)
+  },
+  {
+    id: 'reorganization',
+    title: 'Реорганизация',
+    weight: 15,
+    test: (c) => (c.status_code === 'reorganizing' ? `Статус: «${c.status || 'реорганизация'}».` : null)
+  },
+  {
+    id: 'mass_address',
+    title: 'Адрес массовой регистрации',
+    weight: 30,
+    test: (c) => (c.address_mass ? 'По адресу зарегистрировано много организаций (признак «массового» адреса).' : null)
+  },
+  {
+    id: 'invalid_address',
+    title: 'Недостоверный адрес',
+    weight: 30,
+    test: (c) => (c.address_invalid ? 'ФНС отметила сведения об адресе как недостоверные.' : null)
+  },
+  {
+    id: 'young_company',
+    title: 'Недавно зарегистрирована',
+    weight: 15,
+    params: { months: 12 },
+    test: (c, params) => {
+      const reg = parseDate(c.registered_at);
+      if (!reg) return null;
+      const ageMonths = (Date.now() - reg.getTime()) / (30.44 * 24 * 3600 * 1000);
+      if (ageMonths < params.months) {
+        return `Дата регистрации ${reg.toLocaleDateString('ru-RU')} — меньше ${params.months} мес. назад.`;
+      }
+      return null;
+    }
+  },
+  {
+    id: 'disqualified_director',
+    title: 'Дисквалифицированный руководитель',
+    weight: 40,
+    test: (c) => {
+      if (!c.director?.disqualified) return null;
+      return `Руководитель ${c.director.name || '(ФИО не указано)'} — в реестре дисквалифицированных лиц.`;
+    }
+  },
+  {
+    id: 'mass_director',
+    title: 'Массовый руководитель',
+    weight: 20,
+    test: (c) => {
+      if (!c.director?.mass) return null;
+      return `Руководитель ${c.director.name || '(ФИО не указано)'} числится руководителем во многих организациях.`;
+    }
+  },
+  {
+    id: 'mass_founder',
+    title: 'Массовый учредитель',
+    weight: 20,
+    test: (c) => {
+      const mass = (c.founders || []).filter((f) => f.mass);
+      if (!mass.length) return null;
+      return `Учредитель ${mass.map((f) => f.name || '(не указан)').join(', ')} числится учредителем во многих организациях.`;
+    }
+  },
+  {
+    id: 'liquidated_affiliates',
+    title: 'Ликвидированные связанные организации',
+    weight: 15,
+    params: { minCount: 3 },
+    test: (c, params) => {
+      const dead = (c.affiliates || []).filter((a) => a.status_code === 'liquidated' || a.status_code === 'bankrupt');
+      if (dead.length < params.minCount) return null;
+      return `У учредителей / руководителя ликвидированных или обанкротившихся организаций: ${dead.length} из ${c.affiliates.length}.`;
+    }
+  },
+  {
+    id: 'tax_debt',
+    title: 'Задолженность по налогам',
+    weight: 25,
+    params: { minAmount: 1000 },
+    test: (c, params) => {
+      if (c.tax_debt !== null && c.tax_debt >= params.minAmount) {
+        return `Недоимка по налогам и сборам: ${moneyShort(c.tax_debt, { currency: true })}.`;
+      }
+      return null;
+    }
+  },
+  {
+    id: 'loss_streak',
+    title: 'Убытки несколько лет подряд',
+    weight: 20,
+    params: { years: 2 },
+    test: (c, params) => {
+      const streak = lossStreak(c);
+      if (streak.length < params.years) return null;
+      return `Чистый убыток ${streak.length} г. подряд: ` +
+        `${streak.map((r) => `${r.year} — ${moneyShort(r.profit, { currency: true })}`).join(', ')}.`;
+    }
+  },
+  {
+    id: 'negative_equity',
+    title: 'Отрицательный собственный капитал',
+    weight: 30,
+    test: (c) => {
+      const last = latestFinance(c);
+      if (last?.equity === null || last?.equity === undefined || last.equity >= 0) return null;
+      return `Капитал и резервы на конец ${last.year} г.: ${moneyShort(last.equity, { currency: true })} — обязательства превышают активы.`;
+    }
+  },
+  {
+    id: 'arbitration_defendant',
+    title: 'Арбитражные дела в роли ответчика',
+    weight: 20,
+    params: { minCases: 3 },
+    test: (c, params) => {
+      const count = c.arbitration?.defendant_count ?? null;
+      if (count !== null && count >= params.minCases) {
+        const sum = c.arbitration.defendant_sum;
+        return `Дел в роли ответчика: ${count}` + (sum ? ` на сумму ${moneyShort(sum, { currency: true })}.` : '.');
+      }
+      return null;
+    }
+  },
+  {
+    id: 'open_enforcements',
+    title: 'Незавершённые исполнительные производства',
+    weight: 25,
+    params: { minAmount: 1000 },
+    test: (c, params) => {
+      const e = c.enforcements;
+      if (!e?.open_count || (e.open_sum !== null && e.open_sum < params.minAmount)) return null;
+      return `Незавершённых производств ФССП: ${e.open_count}` + (e.open_sum ? `, остаток долга ${moneyShort(e.open_sum, { currency: true })}.` : '.');
+    }
+  },
+  {
+    id: 'unreliable_supplier',
+    title: 'Реестр недобросовестных поставщиков',
+    weight: 40,
+    test: (c) => (c.unreliable_supplier ? 'Организация включена в РНП (госзакупки).' : null)
+  }
+];
+
+/* ---------- config ---------- */
+
+export function parseRiskConfig(rulesJson, thresholdsJson) {
+  const parse = (name, s) => {
+    if (!s) return {};
+    try {
+      const v = JSON.parse(s);
+      return v && typeof v === 'object' ? v : {};
+    } catch (e) {
+      console.log(`[WARN] ${name} is not valid JSON, defaults used:`, e?.message || e);
+      return {};
+    }
+  };
+
+  return {
+    rules: parse('RISK_RULES', rulesJson),
+    thresholds: { ...DEFAULT_THRESHOLDS, ...parse('RISK_THRESHOLDS', thresholdsJson) }
+  };
+}
+
+export function riskLevelFor(score, thresholds = DEFAULT_THRESHOLDS) {
+  if (score >= thresholds.high) return RISK_LEVEL_HIGH;
+  if (score >= thresholds.medium) return RISK_LEVEL_MEDIUM;
+  return RISK_LEVEL_LOW;
+}
+
+/* ---------- engine ---------- */
+
+export function scoreRisk(company, config = { rules: {}, thresholds: DEFAULT_THRESHOLDS }) {
+  const flags = [];
+
+  for (const rule of RISK_RULES) {
+    const override = config.rules?.[rule.id] || {};
+    if (override.enabled === false) continue;
+
+    const weight = Number(override.weight ?? rule.weight);
+    const params = { ...(rule.params || {}), ...override };
+
+    let details = null;
+    try {
+      details = rule.test(company || {}, params);
+    } catch (e) {
+      console.log(`[WARN] risk rule ${rule.id} failed:`, e?.message || e);
+    }
+    if (!details) continue;
+
+    flags.push({ id: rule.id, title: rule.title, weight, details });
+  }
+
+  flags.sort((a, b) => b.weight - a.weight);
+  const score = Math.min(MAX_SCORE, flags.reduce((s, f) => s + (Number.isFinite(f.weight) ? f.weight : 0), 0));
+
+  return {
+    score,
+    level: riskLevelFor(score, config.thresholds),
+    flags
+  };
+}
+
+export function riskEmoji(level) {
+  if (level === RISK_LEVEL_HIGH) return '🔴';
+  if (level === RISK_LEVEL_MEDIUM) return '🟡';
+  return '🟢';
+}
@@ -0,0 +1,38 @@
+/* =======================
+   Tiny in-process scheduler
+   Render keeps one instance running, so setInterval is enough for our periodic jobs.
+   A job never overlaps with itself: a tick is skipped while the previous run is still going.
+======================= */
+
+const jobs = new Map();
+
+export function every(name, intervalMs, fn, { firstRunDelayMs = 30 * 1000 } = {}) {
+  if (jobs.has(name)) throw new Error(`[scheduler] job already registered: ${name}`);
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    const started = Date.now();
+    try {
+      await fn();
+    } catch (e) {
+      console.log(`[WARN] job ${name} failed:`, e?.message || e);
+    } finally {
+      running = false;
+      console.log(`[INFO] job ${name} done in ${Date.now() - started} ms`);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  const first = setTimeout(tick, firstRunDelayMs);
+  timer.unref?.();
+  first.unref?.();
+
+  jobs.set(name, { timer, first });
+  return tick;
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
@@ -0,0 +1,67 @@
+/* =======================
+   Storage: repositories + file storage behind one interface
+   STORAGE_BACKEND = 'supabase' | 'sqlite'
+     default: 'supabase' when SUPABASE_URL is set, otherwise 'sqlite' (local runs, tests)
+
+   Every backend returns:
+     users:          get(tg_user_id), ensure(tg_user_id, profile, defaults), update(tg_user_id, patch),
+                     findByUsername(name), listIds(offset, limit)
+     quotas:         consume(tg_user_id, [{ period, limit }]) -> { ok, exceeded: period | null, used: { period: n } }
+                       (atomic: every counter or none), refund(tg_user_id, periods),
+                       usage(tg_user_id, periods) -> { period: n }, reset(tg_user_id, periods)
+     checks:         insert(row) -> id, update(id, patch), get(owner, id), getByReportNo(no),
+                     list(owner, { filter, offset, limit }) -> { rows, total },
+                     findFreshProviderData(inn, providerNames, sinceISO),
+                     listWithPdf({ beforeISO, afterId, limit }) -> rows with pdf_path / pdf_url, by id
+     subscriptions:  insert(row), update(id, patch), closeActive(owner, newStatus),
+                     listActiveExpiringBefore(untilISO)
+     watchlist:      list(owner), upsert(row), remove(owner, inn), listDue(beforeISO, limit),
+                     update(id, patch), moveToOrg(tg_user_id, org_id)
+     orgs:           insert(row) -> id, get(id), update(id, patch), membership(tg_user_id) -> { role, org } | null,
+                     listMembers(org_id), addMember(row) -> ok, updateMember(org_id, tg_user_id, patch) -> ok,
+                     removeMember(org_id, tg_user_id) -> ok, insertInvite(row), findInvite(tokenHash),
+                     useInvite(id, tg_user_id, usedAt) -> ok (single use)
+     apiKeys:        getActive(tg_user_id), findActiveByHash(hash), insert(row),
+                     revokeAll(tg_user_id, revokedAt), touch(id, usedAt)
+     ai:             findAnalysis(inn, dataHash), saveAnalysis(row)  (ai_analyses)
+     logs:           insert(table, row)  (provider_errors, admin_audit, ai_usage)
+     stats:          count(table, { sinceISO, untilISO, eq }) -> number | null
+     files:          upload(path, buffer, { contentType }) -> { error }, download(path) -> Buffer | null,
+                     remove(paths) -> ok, signedUrl(path, expiresInSec) -> url | null,
+                     pathFromUrl(url) -> path | null (legacy permanent links),
+                     serveDir (local directory to expose at /files, null when the backend serves files itself)
+                       + checkSignature(path, exp, sig) for requests to it
+
+   owner: { tg_user_id } for personal rows (org_id is null) or { org_id } for an organization's rows.
+   All methods are async. Rows have the columns of src/storage/schema.sql; business rules
+   (quotas, PRO periods, key rotation) stay in index.js.
+======================= */
+import { createSupabaseStorage } from './supabase.js';
+
+export const STORAGE_BACKENDS = ['supabase', 'sqlite'];
+
+export async function createStorage({
+  backend,
+  supabaseUrl,
+  supabaseServiceRoleKey,
+  supabaseBucket,
+  sqlitePath,
+  filesDir,
+  publicBaseUrl,
+  signingSecret
+}) {
+  const name = backend || (supabaseUrl ? 'supabase' : 'sqlite');
+  if (!STORAGE_BACKENDS.includes(name)) {
+    throw new Error(`[FATAL] STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (name === 'supabase') {
+    if (!supabaseUrl) throw new Error('[FATAL] Missing env: SUPABASE_URL');
+    if (!supabaseServiceRoleKey) throw new Error('[FATAL] Missing env: SUPABASE_SERVICE_ROLE_KEY');
+    return createSupabaseStorage({ url: supabaseUrl, serviceRoleKey: supabaseServiceRoleKey, bucket: supabaseBucket });
+  }
+
+  // loaded lazily: the native module is not needed (and may be absent) on Supabase deployments
+  const { createSqliteStorage } = await import('./sqlite.js');
+  return createSqliteStorage({ dbPath: sqlitePath, filesDir, publicBaseUrl, signingSecret });
+}
@@ -0,0 +1,174 @@
+-- =======================
+-- Database schema (SQLite dialect, applied by src/storage/sqlite.js on start)
+-- Supabase / Postgres uses the same tables and columns with these types:
+--   INTEGER PRIMARY KEY AUTOINCREMENT -> bigserial PK
+--   TEXT timestamps (ISO 8601)        -> timestamptz default now()
+--   TEXT with JSON                    -> jsonb
+-- Statements are idempotent: new tables / indexes are created, existing ones are kept.
+-- Columns added to existing tables later are listed in ADDED_COLUMNS (sqlite.js) / supabase.sql.
+-- =======================
+
+CREATE TABLE IF NOT EXISTS bot_users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL UNIQUE,
+  tg_username TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  plan TEXT NOT NULL DEFAULT 'free',        -- access plan id: 'free' | 'pro' | 'team' | ... (src/plans.js)
+  pro_until TEXT,                           -- end of a paid plan; null: plan granted without an end date
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS bot_users_username_idx ON bot_users (lower(tg_username));
+
+-- Organizations (team workspaces): members share the paid plan, check counters, history and watchlist
+CREATE TABLE IF NOT EXISTS organizations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  owner_tg_user_id INTEGER NOT NULL,
+  plan TEXT NOT NULL DEFAULT 'free',        -- access plan id, like bot_users.plan
+  pro_until TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS org_members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  org_id INTEGER NOT NULL,
+  tg_user_id INTEGER NOT NULL UNIQUE,       -- one organization per user
+  role TEXT NOT NULL,                       -- 'owner' | 'admin' | 'member'
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS org_members_org_idx ON org_members (org_id);
+
+-- single-use invite links: t.me/<bot>?start=join_<token>
+CREATE TABLE IF NOT EXISTS org_invites (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  org_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,          -- hex SHA-256 of the token; the token itself is never stored
+  role TEXT NOT NULL,                       -- role the invited user gets
+  created_by_tg_user_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  used_by_tg_user_id INTEGER
+);
+
+-- check counters; consumed and refunded atomically (Supabase: functions in supabase.sql)
+-- organization counters are kept under tg_user_id = -<organizations.id> (Telegram ids are positive)
+CREATE TABLE IF NOT EXISTS quota_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL,
+  period TEXT NOT NULL,                     -- 'd:YYYY-MM-DD' | 'm:YYYY-MM' | 'life' (business timezone)
+  used INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL,
+  UNIQUE (tg_user_id, period)
+);
+
+CREATE TABLE IF NOT EXISTS inn_checks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL,
+  org_id INTEGER,                           -- organization of the user at check time: the check belongs to it
+  inn TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'inn',         -- 'inn' | 'watch' | 'bulk' | 'inline' | 'compare'
+  provider TEXT,
+  result_summary TEXT,
+  risk_level TEXT,
+  risk_score INTEGER,
+  risk_flags TEXT,                          -- JSON
+  pdf_url TEXT,
+  pdf_path TEXT,                            -- object path in the file storage
+  report_no TEXT UNIQUE,                    -- e.g. PB-20261019-7F3A9C0B1E, printed on the PDF and in its QR code
+  pdf_sha256 TEXT,                          -- hex SHA-256 of the stored PDF, checked by /verify/:reportNo
+  raw TEXT,                                 -- JSON, provider payload
+  fetched_at TEXT,                          -- when raw was received from the provider; used by the cache
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS inn_checks_user_idx ON inn_checks (tg_user_id, created_at);
+CREATE INDEX IF NOT EXISTS inn_checks_inn_idx ON inn_checks (inn, fetched_at);
+CREATE INDEX IF NOT EXISTS inn_checks_org_idx ON inn_checks (org_id, created_at);
+
+CREATE TABLE IF NOT EXISTS watchlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL,
+  org_id INTEGER,                           -- shared watchlist of the organization (tg_user_id: who added it)
+  inn TEXT NOT NULL,
+  name TEXT,
+  snapshot TEXT,                            -- JSON, see src/watch.js
+  last_checked_at TEXT,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS watchlist_due_idx ON watchlist (last_checked_at);
+CREATE INDEX IF NOT EXISTS watchlist_org_idx ON watchlist (org_id);
+-- one watch per INN in each list: the organization's shared one or the user's personal one
+CREATE UNIQUE INDEX IF NOT EXISTS watchlist_org_inn_idx ON watchlist (org_id, inn) WHERE org_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS watchlist_user_inn_idx ON watchlist (tg_user_id, inn) WHERE org_id IS NULL;
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL,
+  org_id INTEGER,                           -- set when the period was paid for an organization (tg_user_id: payer)
+  provider TEXT NOT NULL,                   -- 'telegram' | 'telegram_stars' | 'manual'
+  status TEXT NOT NULL,                     -- 'active' | 'extended' | 'expired' | 'revoked'
+  started_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  reminded_at TEXT,
+  meta TEXT                                 -- JSON: plan, amount, currency, charge ids
+);
+CREATE INDEX IF NOT EXISTS subscriptions_status_idx ON subscriptions (status, expires_at);
+
+CREATE TABLE IF NOT EXISTS provider_errors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  provider TEXT,
+  query TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  admin_tg_user_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  target_tg_user_id INTEGER,
+  params TEXT,                              -- JSON
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,            -- hex SHA-256 of the key; the key itself is never stored
+  key_hint TEXT,                            -- e.g. pb_AbC…xYz9
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+CREATE INDEX IF NOT EXISTS api_keys_user_idx ON api_keys (tg_user_id);
+
+-- AI analyses cached per INN + data version (src/ai/index.js)
+CREATE TABLE IF NOT EXISTS ai_analyses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  inn TEXT NOT NULL,
+  data_hash TEXT NOT NULL UNIQUE,           -- hex SHA-256 of input data + prompt version + model
+  backend TEXT,
+  model TEXT,
+  analysis TEXT NOT NULL,                   -- JSON: { summary, risks, recommendations }
+  created_at TEXT NOT NULL
+);
+
+-- one row per check that asked for an AI analysis (cached answers cost 0 tokens)
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tg_user_id INTEGER,
+  check_id INTEGER,
+  inn TEXT,
+  backend TEXT,
+  model TEXT,
+  cached INTEGER NOT NULL DEFAULT 0,        -- boolean
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS ai_usage_created_idx ON ai_usage (created_at);
@@ -0,0 +1,500 @@
+/* =======================
+   Local storage backend: SQLite file (better-sqlite3) + PDFs on the local filesystem
+   - no external services: `npm start` with BOT_TOKEN only is enough for local runs
+   - schema.sql is applied on open (idempotent)
+   - JSON columns are stored as text and parsed back on read, so rows look like Supabase ones
+   - files are served by Express from serveDir at /files (see index.js), only with a valid signature:
+     /files/<path>?exp=<unix seconds>&sig=<HMAC-SHA256(path:exp)>, see signedUrl() / checkSignature()
+======================= */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'schema.sql');
+
+const JSON_COLUMNS = {
+  inn_checks: ['risk_flags', 'raw'],
+  watchlist: ['snapshot'],
+  subscriptions: ['meta'],
+  admin_audit: ['params'],
+  ai_analyses: ['analysis']
+};
+
+const TABLES = new Set([
+  'bot_users', 'organizations', 'org_members', 'org_invites', 'quota_usage', 'inn_checks', 'watchlist',
+  'subscriptions', 'provider_errors', 'admin_audit', 'api_keys', 'ai_analyses', 'ai_usage'
+]);
+
+// columns added after the table first shipped: CREATE TABLE IF NOT EXISTS does not add them to old files
+const ADDED_COLUMNS = [
+  ['inn_checks', 'org_id', 'INTEGER'],
+  ['watchlist', 'org_id', 'INTEGER'],
+  ['subscriptions', 'org_id', 'INTEGER']
+];
+
+// column names come from our own code, but they end up in SQL text
+function ident(name) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) throw new Error(`bad SQL identifier: ${name}`);
+  return name;
+}
+
+// owner of checks / watches: { tg_user_id } (personal) or { org_id } (organization) -> SQL condition
+function ownerWhere(owner) {
+  if (owner?.org_id) return { sql: 'org_id = ?', params: [owner.org_id] };
+  return { sql: 'tg_user_id = ? AND org_id IS NULL', params: [owner?.tg_user_id] };
+}
+
+function encode(table, row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (v === undefined) continue;
+    if ((JSON_COLUMNS[table] || []).includes(k) && v !== null) out[k] = JSON.stringify(v);
+    else out[k] = typeof v === 'boolean' ? Number(v) : v; // SQLite has no booleans
+  }
+  return out;
+}
+
+function decode(table, row) {
+  if (!row) return null;
+  for (const k of JSON_COLUMNS[table] || []) {
+    if (typeof row[k] === 'string') {
+      try {
+        row[k] = JSON.parse(row[k]);
+      } catch {
+        row[k] = null;
+      }
+    }
+  }
+  return row;
+}
+
+function createLocalFiles(dir, publicBaseUrl, signingSecret) {
+  const root = path.resolve(dir);
+  const resolve = (p) => {
+    const full = path.resolve(root, p);
+    if (!full.startsWith(root + path.sep)) throw new Error(`path outside of storage: ${p}`);
+    return full;
+  };
+  const sign = (p, exp) => crypto.createHmac('sha256', signingSecret).update(`${p}:${exp}`).digest('hex');
+  const filesPrefix = publicBaseUrl ? `${publicBaseUrl.replace(/\/$/, '')}/files/` : null;
+
+  return {
+    serveDir: root,
+
+    async upload(p, buffer) {
+      try {
+        const full = resolve(p);
+        await fs.promises.mkdir(path.dirname(full), { recursive: true });
+        await fs.promises.writeFile(full, buffer, { flag: 'wx' });
+        return { error: null };
+      } catch (e) {
+        return { error: e?.message || String(e) };
+      }
+    },
+
+    async download(p) {
+      try {
+        return await fs.promises.readFile(resolve(p));
+      } catch (e) {
+        console.log('[WARN] files.download failed:', e?.message || e);
+        return null;
+      }
+    },
+
+    // missing files count as removed
+    async remove(paths) {
+      try {
+        await Promise.all(paths.map((p) => fs.promises.rm(resolve(p), { force: true })));
+        return true;
+      } catch (e) {
+        console.log('[WARN] files.remove failed:', e?.message || e);
+        return false;
+      }
+    },
+
+    // null without PUBLIC_BASE_URL: there is no address to link to
+    async signedUrl(p, expiresInSec) {
+      if (!filesPrefix) return null;
+      const exp = Math.floor(Date.now() / 1000) + expiresInSec;
+      return `${filesPrefix}${p.split('/').map(encodeURIComponent).join('/')}?exp=${exp}&sig=${sign(p, exp)}`;
+    },
+
+    checkSignature(p, exp, sig) {
+      const e = Number(exp);
+      if (!Number.isInteger(e) || e < Date.now() / 1000 || typeof sig !== 'string') return false;
+      const expected = Buffer.from(sign(p, e), 'hex');
+      const given = Buffer.from(sig, 'hex');
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+
+    // links stored before signed URLs: <base>/files/<path>
+    pathFromUrl(url) {
+      const m = String(url || '').match(/\/files\/([^?#]+)/);
+      return m ? decodeURIComponent(m[1]) : null;
+    }
+  };
+}
+
+export function createSqliteStorage({ dbPath, filesDir, publicBaseUrl, signingSecret }) {
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  // before the schema: its indexes may use the added columns
+  for (const [table, column, type] of ADDED_COLUMNS) {
+    const cols = db.prepare(`PRAGMA table_info(${ident(table)})`).all();
+    if (cols.length && !cols.some((c) => c.name === column)) db.exec(`ALTER TABLE ${ident(table)} ADD COLUMN ${ident(column)} ${type}`);
+  }
+  // watchlist used to be UNIQUE (tg_user_id, inn) for organization rows too; SQLite cannot drop a table constraint,
+  // so the old table is renamed, the schema creates the new one and the rows are copied (duplicate org watches: first one wins)
+  const legacyWatchlist = /UNIQUE \(tg_user_id, inn\)/.test(
+    db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'watchlist'`).get()?.sql || ''
+  );
+  if (legacyWatchlist) {
+    db.exec('DROP INDEX IF EXISTS watchlist_due_idx; DROP INDEX IF EXISTS watchlist_org_idx; ALTER TABLE watchlist RENAME TO watchlist_legacy');
+  }
+  db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  if (legacyWatchlist) {
+    const cols = 'id, tg_user_id, org_id, inn, name, snapshot, last_checked_at, created_at';
+    db.exec(`INSERT OR IGNORE INTO watchlist (${cols}) SELECT ${cols} FROM watchlist_legacy ORDER BY id; DROP TABLE watchlist_legacy`);
+  }
+
+  const one = (table, sql, params = []) => decode(table, db.prepare(sql).get(...params) ?? null);
+  const all = (table, sql, params = []) => db.prepare(sql).all(...params).map((r) => decode(table, r));
+
+  function insert(table, row) {
+    const r = encode(table, row);
+    const cols = Object.keys(r).map(ident);
+    const info = db
+      .prepare(`INSERT INTO ${ident(table)} (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`)
+      .run(r);
+    return Number(info.lastInsertRowid);
+  }
+
+  // where: { column: value } joined with AND; extra: raw SQL condition without params
+  function update(table, patch, where, extra = null) {
+    const p = encode(table, patch);
+    const sets = Object.keys(p).map((c) => `${ident(c)} = @set_${c}`);
+    const conds = Object.keys(where).map((c) => `${ident(c)} = @where_${c}`);
+    if (extra) conds.push(extra);
+
+    const params = {};
+    Object.entries(p).forEach(([k, v]) => { params[`set_${k}`] = v; });
+    Object.entries(where).forEach(([k, v]) => { params[`where_${k}`] = v; });
+
+    return db.prepare(`UPDATE ${ident(table)} SET ${sets.join(', ')} WHERE ${conds.join(' AND ')}`).run(params).changes;
+  }
+
+  // better-sqlite3 is synchronous; every method stays async so both backends look the same
+  function safe(what, fn, fallback) {
+    return async (...args) => {
+      try {
+        return fn(...args);
+      } catch (e) {
+        console.log(`[WARN] ${what} failed:`, e?.message || e);
+        return typeof fallback === 'function' ? fallback(...args) : fallback;
+      }
+    };
+  }
+
+  const users = {
+    get: safe('users.get', (tg_user_id) => one('bot_users', 'SELECT * FROM bot_users WHERE tg_user_id = ?', [tg_user_id]), null),
+
+    ensure: safe('users.ensure', (tg_user_id, profile, defaults) => {
+      const now = new Date().toISOString();
+      const existing = one('bot_users', 'SELECT * FROM bot_users WHERE tg_user_id = ?', [tg_user_id]);
+      if (existing) {
+        update('bot_users', { ...profile, updated_at: now }, { tg_user_id });
+        return existing;
+      }
+      insert('bot_users', { tg_user_id, ...profile, ...defaults, created_at: now, updated_at: now });
+      return one('bot_users', 'SELECT * FROM bot_users WHERE tg_user_id = ?', [tg_user_id]);
+    }, (tg_user_id, profile, defaults) => ({ tg_user_id, ...profile, ...defaults })),
+
+    update: safe('users.update', (tg_user_id, patch) => update('bot_users', patch, { tg_user_id }) >= 0, false),
+
+    findByUsername: safe('users.findByUsername', (username) => (
+      one('bot_users', 'SELECT * FROM bot_users WHERE lower(tg_username) = lower(?) ORDER BY id LIMIT 1', [username])
+    ), null),
+
+    listIds: safe('users.listIds', (offset, limit) => (
+      db.prepare('SELECT tg_user_id FROM bot_users ORDER BY id LIMIT ? OFFSET ?').all(limit, offset).map((r) => r.tg_user_id)
+    ), [])
+  };
+
+  const usedOf = (tg_user_id, period) => Number(
+    db.prepare('SELECT used FROM quota_usage WHERE tg_user_id = ? AND period = ?').get(tg_user_id, period)?.used || 0
+  );
+
+  // all counters or none, inside one transaction
+  const consumeTx = db.transaction((tg_user_id, buckets) => {
+    const used = {};
+    for (const b of buckets) {
+      const cur = usedOf(tg_user_id, b.period);
+      if (cur >= b.limit) return { ok: false, exceeded: b.period, used: { ...used, [b.period]: cur } };
+      used[b.period] = cur + 1;
+    }
+
+    const now = new Date().toISOString();
+    const inc = db.prepare(
+      `INSERT INTO quota_usage (tg_user_id, period, used, updated_at) VALUES (?, ?, 1, ?)
+       ON CONFLICT (tg_user_id, period) DO UPDATE SET used = used + 1, updated_at = excluded.updated_at`
+    );
+    buckets.forEach((b) => inc.run(tg_user_id, b.period, now));
+    return { ok: true, exceeded: null, used };
+  });
+
+  const inList = (periods) => periods.map(() => '?').join(', ');
+
+  const quotas = {
+    // fails closed: without the counter a check cannot be counted against the limit
+    consume: safe('quotas.consume', (tg_user_id, buckets) => consumeTx(tg_user_id, buckets), {
+      ok: false, exceeded: null, used: {}, error: 'quota storage unavailable'
+    }),
+
+    refund: safe('quotas.refund', (tg_user_id, periods) => {
+      if (!periods.length) return;
+      db.prepare(
+        `UPDATE quota_usage SET used = max(used - 1, 0), updated_at = ? WHERE tg_user_id = ? AND period IN (${inList(periods)})`
+      ).run(new Date().toISOString(), tg_user_id, ...periods);
+    }),
+
+    usage: safe('quotas.usage', (tg_user_id, periods) => {
+      if (!periods.length) return {};
+      const rows = db
+        .prepare(`SELECT period, used FROM quota_usage WHERE tg_user_id = ? AND period IN (${inList(periods)})`)
+        .all(tg_user_id, ...periods);
+      return Object.fromEntries(rows.map((r) => [r.period, Number(r.used || 0)]));
+    }, {}),
+
+    reset: safe('quotas.reset', (tg_user_id, periods) => {
+      if (!periods.length) return;
+      db.prepare(`DELETE FROM quota_usage WHERE tg_user_id = ? AND period IN (${inList(periods)})`).run(tg_user_id, ...periods);
+    })
+  };
+
+  const checks = {
+    insert: safe('checks.insert', (row) => insert('inn_checks', row), null),
+
+    update: safe('checks.update', (id, patch) => { update('inn_checks', patch, { id: Number(id) }); }),
+
+    get: safe('checks.get', (owner, id) => {
+      const w = ownerWhere(owner);
+      return one('inn_checks', `SELECT * FROM inn_checks WHERE ${w.sql} AND id = ?`, [...w.params, Number(id)]);
+    }, null),
+
+    getByReportNo: safe('checks.getByReportNo', (report_no) => (
+      one(
+        'inn_checks',
+        'SELECT id, inn, result_summary, created_at, updated_at, pdf_url, pdf_path, report_no, pdf_sha256 FROM inn_checks WHERE report_no = ?',
+        [report_no]
+      )
+    ), null),
+
+    list: safe('checks.list', (owner, { filter = {}, offset = 0, limit }) => {
+      const w = ownerWhere(owner);
+      const conds = [w.sql];
+      const params = [...w.params];
+      if (filter.inn) { conds.push('inn = ?'); params.push(filter.inn); }
+      if (filter.from) { conds.push('created_at >= ?'); params.push(filter.from); }
+      if (filter.to) { conds.push('created_at < ?'); params.push(filter.to); }
+      const where = conds.join(' AND ');
+
+      const total = db.prepare(`SELECT count(*) AS n FROM inn_checks WHERE ${where}`).get(...params).n;
+      const rows = all(
+        'inn_checks',
+        `SELECT id, tg_user_id, inn, kind, provider, result_summary, risk_level, risk_score, risk_flags, report_no, pdf_url, fetched_at, created_at
+         FROM inn_checks WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return { rows, total };
+    }, { rows: [], total: 0 }),
+
+    findFreshProviderData: safe('checks.findFreshProviderData', (inn, providerNames, sinceISO) => {
+      if (!providerNames.length) return [];
+      return all(
+        'inn_checks',
+        `SELECT provider, raw, fetched_at FROM inn_checks
+         WHERE inn = ? AND provider IN (${providerNames.map(() => '?').join(', ')}) AND raw IS NOT NULL AND fetched_at >= ?
+         ORDER BY fetched_at DESC LIMIT 10`,
+        [inn, ...providerNames, sinceISO]
+      );
+    }, []),
+
+    listWithPdf: safe('checks.listWithPdf', ({ beforeISO, afterId = 0, limit }) => (
+      all(
+        'inn_checks',
+        `SELECT id, tg_user_id, org_id, pdf_path, pdf_url, created_at, updated_at FROM inn_checks
+         WHERE (pdf_path IS NOT NULL OR pdf_url IS NOT NULL) AND updated_at < ? AND id > ?
+         ORDER BY id LIMIT ?`,
+        [beforeISO, afterId, limit]
+      )
+    ), [])
+  };
+
+  const subscriptions = {
+    insert: safe('subscriptions.insert', (row) => { insert('subscriptions', row); return true; }, false),
+
+    update: safe('subscriptions.update', (id, patch) => { update('subscriptions', patch, { id }); }),
+
+    closeActive: safe('subscriptions.closeActive', (owner, newStatus) => {
+      const w = ownerWhere(owner);
+      db.prepare(`UPDATE subscriptions SET status = ? WHERE ${w.sql} AND status = 'active'`).run(newStatus, ...w.params);
+    }),
+
+    listActiveExpiringBefore: safe('subscriptions.listActiveExpiringBefore', (untilISO) => (
+      all('subscriptions', "SELECT * FROM subscriptions WHERE status = 'active' AND expires_at < ?", [untilISO])
+    ), [])
+  };
+
+  const watchlist = {
+    list: safe('watchlist.list', (owner) => {
+      const w = ownerWhere(owner);
+      return all('watchlist', `SELECT id, tg_user_id, inn, name, last_checked_at FROM watchlist WHERE ${w.sql} ORDER BY created_at, id`, w.params);
+    }, []),
+
+    // conflict target: the list the row belongs to (watchlist_org_inn_idx / watchlist_user_inn_idx);
+    // an existing watch keeps its owner and the member who added it
+    upsert: safe('watchlist.upsert', (row) => {
+      const r = encode('watchlist', row);
+      const cols = Object.keys(r).map(ident);
+      const target = r.org_id ? '(org_id, inn) WHERE org_id IS NOT NULL' : '(tg_user_id, inn) WHERE org_id IS NULL';
+      const keep = ['tg_user_id', 'org_id', 'inn', 'created_at'];
+      db.prepare(
+        `INSERT INTO watchlist (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})
+         ON CONFLICT ${target} DO UPDATE SET ${cols.filter((c) => !keep.includes(c)).map((c) => `${c} = excluded.${c}`).join(', ')}`
+      ).run(r);
+      return true;
+    }, false),
+
+    remove: safe('watchlist.remove', (owner, inn) => {
+      const w = ownerWhere(owner);
+      db.prepare(`DELETE FROM watchlist WHERE ${w.sql} AND inn = ?`).run(...w.params, inn);
+    }),
+
+    // personal watches of a user who joins an organization become the organization's
+    // (INNs the organization already watches are dropped from the personal list)
+    moveToOrg: safe('watchlist.moveToOrg', (tg_user_id, org_id) => {
+      db.prepare('DELETE FROM watchlist WHERE tg_user_id = ? AND org_id IS NULL AND inn IN (SELECT inn FROM watchlist WHERE org_id = ?)')
+        .run(tg_user_id, org_id);
+      update('watchlist', { org_id }, { tg_user_id }, 'org_id IS NULL');
+    }),
+
+    listDue: safe('watchlist.listDue', (beforeISO, limit) => (
+      all('watchlist', 'SELECT * FROM watchlist WHERE last_checked_at < ? ORDER BY last_checked_at LIMIT ?', [beforeISO, limit])
+    ), []),
+
+    update: safe('watchlist.update', (id, patch) => { update('watchlist', patch, { id }); })
+  };
+
+  const orgs = {
+    insert: safe('orgs.insert', (row) => insert('organizations', row), null),
+
+    get: safe('orgs.get', (id) => one('organizations', 'SELECT * FROM organizations WHERE id = ?', [id]), null),
+
+    update: safe('orgs.update', (id, patch) => update('organizations', patch, { id }) >= 0, false),
+
+    // -> { role, org } | null
+    membership: safe('orgs.membership', (tg_user_id) => {
+      const m = one('org_members', 'SELECT * FROM org_members WHERE tg_user_id = ?', [tg_user_id]);
+      if (!m) return null;
+      const org = one('organizations', 'SELECT * FROM organizations WHERE id = ?', [m.org_id]);
+      return org ? { role: m.role, org } : null;
+    }, null),
+
+    // members with their Telegram profile, owner first
+    listMembers: safe('orgs.listMembers', (org_id) => (
+      all(
+        'org_members',
+        `SELECT m.tg_user_id, m.role, m.created_at, u.tg_username, u.first_name, u.last_name
+         FROM org_members m LEFT JOIN bot_users u ON u.tg_user_id = m.tg_user_id
+         WHERE m.org_id = ? ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, m.created_at`,
+        [org_id]
+      )
+    ), []),
+
+    // false when the user is already in an organization
+    addMember: safe('orgs.addMember', (row) => { insert('org_members', row); return true; }, false),
+
+    updateMember: safe('orgs.updateMember', (org_id, tg_user_id, patch) => update('org_members', patch, { org_id, tg_user_id }) > 0, false),
+
+    removeMember: safe('orgs.removeMember', (org_id, tg_user_id) => (
+      db.prepare('DELETE FROM org_members WHERE org_id = ? AND tg_user_id = ?').run(org_id, tg_user_id).changes > 0
+    ), false),
+
+    insertInvite: safe('orgs.insertInvite', (row) => { insert('org_invites', row); return true; }, false),
+
+    findInvite: safe('orgs.findInvite', (token_hash) => (
+      one('org_invites', 'SELECT * FROM org_invites WHERE token_hash = ?', [token_hash])
+    ), null),
+
+    // single use: only the first caller gets true
+    useInvite: safe('orgs.useInvite', (id, tg_user_id, usedAt) => (
+      update('org_invites', { used_at: usedAt, used_by_tg_user_id: tg_user_id }, { id }, 'used_at IS NULL') > 0
+    ), false)
+  };
+
+  const apiKeys = {
+    getActive: safe('apiKeys.getActive', (tg_user_id) => (
+      one('api_keys', 'SELECT * FROM api_keys WHERE tg_user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC LIMIT 1', [tg_user_id])
+    ), null),
+
+    findActiveByHash: safe('apiKeys.findActiveByHash', (key_hash) => (
+      one('api_keys', 'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [key_hash])
+    ), null),
+
+    insert: safe('apiKeys.insert', (row) => { insert('api_keys', row); return true; }, false),
+
+    revokeAll: safe('apiKeys.revokeAll', (tg_user_id, revokedAt) => {
+      update('api_keys', { revoked_at: revokedAt }, { tg_user_id }, 'revoked_at IS NULL');
+      return true;
+    }, false),
+
+    touch: safe('apiKeys.touch', (id, usedAt) => { update('api_keys', { last_used_at: usedAt }, { id }); })
+  };
+
+  const ai = {
+    findAnalysis: safe('ai.findAnalysis', (inn, data_hash) => (
+      one('ai_analyses', 'SELECT * FROM ai_analyses WHERE inn = ? AND data_hash = ?', [inn, data_hash])
+    ), null),
+
+    // the same data version may be analysed twice in parallel: the first row wins
+    saveAnalysis: safe('ai.saveAnalysis', (row) => {
+      const r = encode('ai_analyses', row);
+      const cols = Object.keys(r).map(ident);
+      db.prepare(`INSERT OR IGNORE INTO ai_analyses (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`).run(r);
+    })
+  };
+
+  const logs = {
+    insert: safe('logs.insert', (table, row) => { insert(table, row); })
+  };
+
+  const stats = {
+    count: safe('stats.count', (table, { sinceISO, untilISO, eq } = {}) => {
+      if (!TABLES.has(table)) throw new Error(`unknown table ${table}`);
+      const conds = ['1 = 1'];
+      const params = [];
+      if (sinceISO) { conds.push('created_at >= ?'); params.push(sinceISO); }
+      if (untilISO) { conds.push('created_at < ?'); params.push(untilISO); }
+      Object.entries(eq || {}).forEach(([k, v]) => { conds.push(`${ident(k)} = ?`); params.push(v); });
+      return db.prepare(`SELECT count(*) AS n FROM ${table} WHERE ${conds.join(' AND ')}`).get(...params).n;
+    }, null)
+  };
+
+  return {
+    backend: 'sqlite',
+    users,
+    quotas,
+    checks,
+    subscriptions,
+    watchlist,
+    orgs,
+    apiKeys,
+    ai,
+    logs,
+    stats,
+    files: createLocalFiles(filesDir, publicBaseUrl, signingSecret)
+  };
+}
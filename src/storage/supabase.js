@@ -0,0 +1,548 @@
+/* =======================
+   Supabase storage backend: Postgres tables (src/storage/schema.sql) + Storage bucket for PDFs
+   The bucket should be private: reports are handed out as short-lived signed URLs.
+   Failures are logged and turned into "empty" results, the bot keeps answering.
+======================= */
+import { createClient } from '@supabase/supabase-js';
+
+function warn(what, error) {
+  console.log(`[WARN] ${what} failed:`, error?.message || error);
+}
+
+// literal value for ilike: usernames often contain `_`, which is a wildcard there
+function likeLiteral(s) {
+  return String(s).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+function createFiles(supabase, bucket) {
+  return {
+    serveDir: null,
+
+    // -> { error }
+    async upload(path, buffer, { contentType = 'application/octet-stream' } = {}) {
+      const { error } = await supabase.storage.from(bucket).upload(path, buffer, { contentType, upsert: false });
+      return { error: error ? error.message : null };
+    },
+
+    async download(path) {
+      const { data, error } = await supabase.storage.from(bucket).download(path);
+      if (error || !data) {
+        warn('files.download', error || 'empty body');
+        return null;
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(paths) {
+      const { error } = await supabase.storage.from(bucket).remove(paths);
+      if (error) warn('files.remove', error);
+      return !error;
+    },
+
+    async signedUrl(path, expiresInSec) {
+      const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, expiresInSec);
+      if (error) warn('files.signedUrl', error);
+      return data?.signedUrl || null;
+    },
+
+    // public links stored before signed URLs: .../storage/v1/object/public/<bucket>/<path>
+    pathFromUrl(url) {
+      const marker = `/object/public/${bucket}/`;
+      const s = String(url || '');
+      const i = s.indexOf(marker);
+      return i >= 0 ? decodeURIComponent(s.slice(i + marker.length).split('?')[0]) : null;
+    }
+  };
+}
+
+// owner of checks / watches: { tg_user_id } (personal) or { org_id } (organization)
+function byOwner(q, owner) {
+  if (owner?.org_id) return q.eq('org_id', owner.org_id);
+  return q.eq('tg_user_id', owner?.tg_user_id).is('org_id', null);
+}
+
+export function createSupabaseStorage({ url, serviceRoleKey, bucket }) {
+  const supabase = createClient(url, serviceRoleKey, {
+    auth: { persistSession: false }
+  });
+
+  const users = {
+    async get(tg_user_id) {
+      const { data, error } = await supabase.from('bot_users').select('*').eq('tg_user_id', tg_user_id).maybeSingle();
+      if (error) warn('users.get', error);
+      return data || null;
+    },
+
+    // profile: Telegram fields to refresh; defaults: columns of a new row
+    async ensure(tg_user_id, profile, defaults) {
+      const existing = await users.get(tg_user_id);
+      const now = new Date().toISOString();
+
+      if (existing) {
+        const { error } = await supabase.from('bot_users').update({ ...profile, updated_at: now }).eq('tg_user_id', tg_user_id);
+        if (error) warn('users.ensure update', error);
+        return existing;
+      }
+
+      const insert = { tg_user_id, ...profile, ...defaults, created_at: now, updated_at: now };
+      const { data, error } = await supabase.from('bot_users').insert(insert).select('*').single();
+      if (error) {
+        console.log('[ERROR] users.ensure insert failed:', error?.message || error);
+        return insert;
+      }
+      return data;
+    },
+
+    async update(tg_user_id, patch) {
+      const { error } = await supabase.from('bot_users').update(patch).eq('tg_user_id', tg_user_id);
+      if (error) warn('users.update', error);
+      return !error;
+    },
+
+    async findByUsername(username) {
+      const { data, error } = await supabase
+        .from('bot_users')
+        .select('*')
+        .ilike('tg_username', likeLiteral(username))
+        .order('id', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) warn('users.findByUsername', error);
+      return data || null;
+    },
+
+    async listIds(offset, limit) {
+      const { data, error } = await supabase
+        .from('bot_users')
+        .select('tg_user_id')
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) warn('users.listIds', error);
+      return (data || []).map((r) => r.tg_user_id);
+    }
+  };
+
+  // counters are changed only inside Postgres functions (src/storage/supabase.sql), so two
+  // parallel checks cannot both take the last free one
+  const quotas = {
+    // buckets: [{ period, limit }] -> { ok, exceeded: period | null, used: { period: n } } | { ok: false, error }
+    async consume(tg_user_id, buckets) {
+      if (!buckets.length) return { ok: true, exceeded: null, used: {} };
+
+      const { data, error } = await supabase.rpc('consume_quota', {
+        p_tg_user_id: tg_user_id,
+        p_periods: buckets.map((b) => b.period),
+        p_limits: buckets.map((b) => b.limit)
+      });
+
+      // fails closed: without the counter a check cannot be counted against the limit
+      if (error || !data) {
+        warn('quotas.consume', error || 'empty result');
+        return { ok: false, exceeded: null, used: {}, error: error?.message || 'empty result' };
+      }
+      return { ok: Boolean(data.ok), exceeded: data.exceeded || null, used: data.used || {} };
+    },
+
+    async refund(tg_user_id, periods) {
+      if (!periods.length) return;
+      const { error } = await supabase.rpc('refund_quota', { p_tg_user_id: tg_user_id, p_periods: periods });
+      if (error) warn('quotas.refund', error);
+    },
+
+    // -> { period: used }
+    async usage(tg_user_id, periods) {
+      const { data, error } = await supabase
+        .from('quota_usage')
+        .select('period, used')
+        .eq('tg_user_id', tg_user_id)
+        .in('period', periods);
+
+      if (error) warn('quotas.usage', error);
+      return Object.fromEntries((data || []).map((r) => [r.period, Number(r.used || 0)]));
+    },
+
+    async reset(tg_user_id, periods) {
+      const { error } = await supabase.from('quota_usage').delete().eq('tg_user_id', tg_user_id).in('period', periods);
+      if (error) warn('quotas.reset', error);
+    }
+  };
+
+  const checks = {
+    // -> id | null
+    async insert(row) {
+      const { data, error } = await supabase.from('inn_checks').insert(row).select('id').single();
+      if (error) {
+        warn('checks.insert', error);
+        return null;
+      }
+      return data?.id ?? null;
+    },
+
+    async update(id, patch) {
+      const { error } = await supabase.from('inn_checks').update(patch).eq('id', id);
+      if (error) warn('checks.update', error);
+    },
+
+    async get(owner, id) {
+      const { data, error } = await byOwner(supabase.from('inn_checks').select('*'), owner).eq('id', id).maybeSingle();
+      if (error) warn('checks.get', error);
+      return data || null;
+    },
+
+    async getByReportNo(report_no) {
+      const { data, error } = await supabase
+        .from('inn_checks')
+        .select('id, inn, result_summary, created_at, updated_at, pdf_url, pdf_path, report_no, pdf_sha256')
+        .eq('report_no', report_no)
+        .maybeSingle();
+
+      if (error) warn('checks.getByReportNo', error);
+      return data || null;
+    },
+
+    // filter: { inn, from, to } (ISO bounds, to is exclusive) -> { rows, total }
+    async list(owner, { filter = {}, offset = 0, limit }) {
+      let q = byOwner(
+        supabase
+          .from('inn_checks')
+          .select('id, tg_user_id, inn, kind, provider, result_summary, risk_level, risk_score, risk_flags, report_no, pdf_url, fetched_at, created_at', { count: 'exact' }),
+        owner
+      );
+
+      if (filter.inn) q = q.eq('inn', filter.inn);
+      if (filter.from) q = q.gte('created_at', filter.from);
+      if (filter.to) q = q.lt('created_at', filter.to);
+
+      const { data, error, count } = await q
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        warn('checks.list', error);
+        return { rows: [], total: 0 };
+      }
+      return { rows: data || [], total: count || 0 };
+    },
+
+    // Raw provider payloads for the INN received after sinceISO (provider cache source)
+    async findFreshProviderData(inn, providerNames, sinceISO) {
+      const { data, error } = await supabase
+        .from('inn_checks')
+        .select('provider, raw, fetched_at')
+        .eq('inn', inn)
+        .in('provider', providerNames)
+        .not('raw', 'is', null)
+        .gte('fetched_at', sinceISO)
+        .order('fetched_at', { ascending: false })
+        .limit(10);
+
+      if (error) {
+        warn('checks.findFreshProviderData', error);
+        return [];
+      }
+      return data || [];
+    },
+
+    // rows that still reference a stored PDF made before beforeISO, by id (retention job)
+    async listWithPdf({ beforeISO, afterId = 0, limit }) {
+      const { data, error } = await supabase
+        .from('inn_checks')
+        .select('id, tg_user_id, org_id, pdf_path, pdf_url, created_at, updated_at')
+        .or('pdf_path.not.is.null,pdf_url.not.is.null')
+        .lt('updated_at', beforeISO)
+        .gt('id', afterId)
+        .order('id', { ascending: true })
+        .limit(limit);
+
+      if (error) warn('checks.listWithPdf', error);
+      return data || [];
+    }
+  };
+
+  const subscriptions = {
+    async insert(row) {
+      const { error } = await supabase.from('subscriptions').insert(row);
+      if (error) console.log('[ERROR] subscriptions.insert failed:', error?.message || error);
+      return !error;
+    },
+
+    async update(id, patch) {
+      const { error } = await supabase.from('subscriptions').update(patch).eq('id', id);
+      if (error) warn('subscriptions.update', error);
+    },
+
+    // status of the owner's 'active' rows -> newStatus
+    async closeActive(owner, newStatus) {
+      const { error } = await byOwner(supabase.from('subscriptions').update({ status: newStatus }), owner).eq('status', 'active');
+      if (error) warn('subscriptions.closeActive', error);
+    },
+
+    async listActiveExpiringBefore(untilISO) {
+      const { data, error } = await supabase.from('subscriptions').select('*').eq('status', 'active').lt('expires_at', untilISO);
+      if (error) warn('subscriptions.listActiveExpiringBefore', error);
+      return data || [];
+    }
+  };
+
+  const watchlist = {
+    async list(owner) {
+      const { data, error } = await byOwner(supabase.from('watchlist').select('id, tg_user_id, inn, name, last_checked_at'), owner)
+        .order('created_at', { ascending: true });
+
+      if (error) warn('watchlist.list', error);
+      return data || [];
+    },
+
+    // uniqueness is per list (partial indexes in supabase.sql), which PostgREST cannot name as an upsert target:
+    // update the owner's watch of this INN, insert when there is none; owner and adder of an existing watch stay
+    async upsert(row) {
+      const { tg_user_id, org_id, inn, created_at, ...patch } = row;
+      const owner = org_id ? { org_id } : { tg_user_id };
+      const { data, error } = await byOwner(supabase.from('watchlist').update(patch), owner).eq('inn', inn).select('id');
+      if (error) {
+        warn('watchlist.upsert', error);
+        return false;
+      }
+      if (data.length) return true;
+
+      const { error: insertError } = await supabase.from('watchlist').insert(row);
+      // 23505: added by another member in between, it is the same watch
+      if (insertError && insertError.code !== '23505') {
+        warn('watchlist.upsert', insertError);
+        return false;
+      }
+      return true;
+    },
+
+    async remove(owner, inn) {
+      const { error } = await byOwner(supabase.from('watchlist').delete(), owner).eq('inn', inn);
+      if (error) warn('watchlist.remove', error);
+    },
+
+    // personal watches of a user who joins an organization become the organization's
+    // (INNs the organization already watches are dropped from the personal list)
+    async moveToOrg(tg_user_id, org_id) {
+      const { data: shared, error: listError } = await supabase.from('watchlist').select('inn').eq('org_id', org_id);
+      if (listError) {
+        warn('watchlist.moveToOrg', listError);
+        return;
+      }
+      if (shared.length) {
+        const { error: dropError } = await supabase
+          .from('watchlist')
+          .delete()
+          .eq('tg_user_id', tg_user_id)
+          .is('org_id', null)
+          .in('inn', shared.map((r) => r.inn));
+        if (dropError) warn('watchlist.moveToOrg', dropError);
+      }
+      const { error } = await supabase.from('watchlist').update({ org_id }).eq('tg_user_id', tg_user_id).is('org_id', null);
+      if (error) warn('watchlist.moveToOrg', error);
+    },
+
+    async listDue(beforeISO, limit) {
+      const { data, error } = await supabase
+        .from('watchlist')
+        .select('*')
+        .lt('last_checked_at', beforeISO)
+        .order('last_checked_at', { ascending: true })
+        .limit(limit);
+
+      if (error) warn('watchlist.listDue', error);
+      return data || [];
+    },
+
+    async update(id, patch) {
+      const { error } = await supabase.from('watchlist').update(patch).eq('id', id);
+      if (error) warn('watchlist.update', error);
+    }
+  };
+
+  const orgs = {
+    // -> id | null
+    async insert(row) {
+      const { data, error } = await supabase.from('organizations').insert(row).select('id').single();
+      if (error) {
+        warn('orgs.insert', error);
+        return null;
+      }
+      return data?.id ?? null;
+    },
+
+    async get(id) {
+      const { data, error } = await supabase.from('organizations').select('*').eq('id', id).maybeSingle();
+      if (error) warn('orgs.get', error);
+      return data || null;
+    },
+
+    async update(id, patch) {
+      const { error } = await supabase.from('organizations').update(patch).eq('id', id);
+      if (error) warn('orgs.update', error);
+      return !error;
+    },
+
+    // -> { role, org } | null
+    async membership(tg_user_id) {
+      const { data, error } = await supabase.from('org_members').select('role, organizations(*)').eq('tg_user_id', tg_user_id).maybeSingle();
+      if (error) warn('orgs.membership', error);
+      return data?.organizations ? { role: data.role, org: data.organizations } : null;
+    },
+
+    // members with their Telegram profile, owner first
+    async listMembers(org_id) {
+      const { data, error } = await supabase.from('org_members').select('tg_user_id, role, created_at').eq('org_id', org_id).order('created_at', { ascending: true });
+      if (error) warn('orgs.listMembers', error);
+      const members = data || [];
+      if (!members.length) return [];
+
+      const { data: profiles, error: pError } = await supabase
+        .from('bot_users')
+        .select('tg_user_id, tg_username, first_name, last_name')
+        .in('tg_user_id', members.map((m) => m.tg_user_id));
+      if (pError) warn('orgs.listMembers profiles', pError);
+
+      const byId = new Map((profiles || []).map((p) => [p.tg_user_id, p]));
+      const rank = { owner: 0, admin: 1 };
+      return members
+        .map((m) => ({ ...byId.get(m.tg_user_id), ...m }))
+        .sort((a, b) => (rank[a.role] ?? 2) - (rank[b.role] ?? 2));
+    },
+
+    // false when the user is already in an organization (unique tg_user_id)
+    async addMember(row) {
+      const { error } = await supabase.from('org_members').insert(row);
+      if (error) warn('orgs.addMember', error);
+      return !error;
+    },
+
+    async updateMember(org_id, tg_user_id, patch) {
+      const { data, error } = await supabase.from('org_members').update(patch).eq('org_id', org_id).eq('tg_user_id', tg_user_id).select('id');
+      if (error) warn('orgs.updateMember', error);
+      return Boolean(data?.length);
+    },
+
+    async removeMember(org_id, tg_user_id) {
+      const { data, error } = await supabase.from('org_members').delete().eq('org_id', org_id).eq('tg_user_id', tg_user_id).select('id');
+      if (error) warn('orgs.removeMember', error);
+      return Boolean(data?.length);
+    },
+
+    async insertInvite(row) {
+      const { error } = await supabase.from('org_invites').insert(row);
+      if (error) warn('orgs.insertInvite', error);
+      return !error;
+    },
+
+    async findInvite(token_hash) {
+      const { data, error } = await supabase.from('org_invites').select('*').eq('token_hash', token_hash).maybeSingle();
+      if (error) warn('orgs.findInvite', error);
+      return data || null;
+    },
+
+    // single use: the conditional update matches only while used_at is null
+    async useInvite(id, tg_user_id, usedAt) {
+      const { data, error } = await supabase
+        .from('org_invites')
+        .update({ used_at: usedAt, used_by_tg_user_id: tg_user_id })
+        .eq('id', id)
+        .is('used_at', null)
+        .select('id');
+      if (error) warn('orgs.useInvite', error);
+      return Boolean(data?.length);
+    }
+  };
+
+  const apiKeys = {
+    async getActive(tg_user_id) {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select('*')
+        .eq('tg_user_id', tg_user_id)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) warn('apiKeys.getActive', error);
+      return data || null;
+    },
+
+    async findActiveByHash(key_hash) {
+      const { data, error } = await supabase.from('api_keys').select('*').eq('key_hash', key_hash).is('revoked_at', null).maybeSingle();
+      if (error) warn('apiKeys.findActiveByHash', error);
+      return data || null;
+    },
+
+    async insert(row) {
+      const { error } = await supabase.from('api_keys').insert(row);
+      if (error) warn('apiKeys.insert', error);
+      return !error;
+    },
+
+    async revokeAll(tg_user_id, revokedAt) {
+      const { error } = await supabase.from('api_keys').update({ revoked_at: revokedAt }).eq('tg_user_id', tg_user_id).is('revoked_at', null);
+      if (error) warn('apiKeys.revokeAll', error);
+      return !error;
+    },
+
+    async touch(id, usedAt) {
+      const { error } = await supabase.from('api_keys').update({ last_used_at: usedAt }).eq('id', id);
+      if (error) warn('apiKeys.touch', error);
+    }
+  };
+
+  const ai = {
+    async findAnalysis(inn, data_hash) {
+      const { data, error } = await supabase.from('ai_analyses').select('*').eq('inn', inn).eq('data_hash', data_hash).maybeSingle();
+      if (error) warn('ai.findAnalysis', error);
+      return data || null;
+    },
+
+    // the same data version may be analysed twice in parallel: the first row wins
+    async saveAnalysis(row) {
+      const { error } = await supabase.from('ai_analyses').upsert(row, { onConflict: 'data_hash', ignoreDuplicates: true });
+      if (error) warn('ai.saveAnalysis', error);
+    }
+  };
+
+  const logs = {
+    async insert(table, row) {
+      const { error } = await supabase.from(table).insert(row);
+      if (error) warn(`logs.insert ${table}`, error);
+    }
+  };
+
+  const stats = {
+    // rows of the table created in [sinceISO, untilISO) with column = value filters; null on failure
+    async count(table, { sinceISO, untilISO, eq } = {}) {
+      let q = supabase.from(table).select('id', { count: 'exact', head: true });
+      if (sinceISO) q = q.gte('created_at', sinceISO);
+      if (untilISO) q = q.lt('created_at', untilISO);
+      Object.entries(eq || {}).forEach(([k, v]) => { q = q.eq(k, v); });
+
+      const { count, error } = await q;
+      if (error) {
+        warn(`stats.count ${table}`, error);
+        return null;
+      }
+      return count || 0;
+    }
+  };
+
+  return {
+    backend: 'supabase',
+    users,
+    quotas,
+    checks,
+    subscriptions,
+    watchlist,
+    orgs,
+    apiKeys,
+    ai,
+    logs,
+    stats,
+    files: createFiles(supabase, bucket)
+  };
+}
@@ -0,0 +1,179 @@
+-- =======================
+-- Supabase / Postgres: quota functions (called by src/storage/supabase.js via rpc()) and every table / column
+-- of schema.sql that the original deployment (bot_users, inn_checks, subscriptions) does not have yet.
+-- Run in the SQL editor after each update (idempotent: existing tables, columns and indexes are kept).
+-- =======================
+
+create table if not exists quota_usage (
+  id bigserial primary key,
+  tg_user_id bigint not null,
+  period text not null,                     -- 'd:YYYY-MM-DD' | 'm:YYYY-MM' | 'life' (business timezone)
+  used integer not null default 0,
+  updated_at timestamptz not null default now(),
+  unique (tg_user_id, period)
+);
+
+-- Takes one check from every counter or from none of them.
+-- p_limits[i] is the limit of p_periods[i]; rows are locked, so parallel calls are serialized per user.
+-- -> { "ok": bool, "exceeded": period | null, "used": { period: n } }
+create or replace function consume_quota(p_tg_user_id bigint, p_periods text[], p_limits integer[])
+returns jsonb
+language plpgsql
+as $$
+declare
+  i integer;
+  cur integer;
+  v_used jsonb := '{}'::jsonb;
+begin
+  for i in 1 .. coalesce(array_length(p_periods, 1), 0) loop
+    insert into quota_usage (tg_user_id, period, used)
+    values (p_tg_user_id, p_periods[i], 0)
+    on conflict (tg_user_id, period) do nothing;
+  end loop;
+
+  for i in 1 .. coalesce(array_length(p_periods, 1), 0) loop
+    select q.used into cur from quota_usage q
+    where q.tg_user_id = p_tg_user_id and q.period = p_periods[i]
+    for update;
+
+    if cur >= p_limits[i] then
+      return jsonb_build_object('ok', false, 'exceeded', p_periods[i], 'used', v_used || jsonb_build_object(p_periods[i], cur));
+    end if;
+    v_used := v_used || jsonb_build_object(p_periods[i], cur + 1);
+  end loop;
+
+  update quota_usage q set used = q.used + 1, updated_at = now()
+  where q.tg_user_id = p_tg_user_id and q.period = any(p_periods);
+
+  return jsonb_build_object('ok', true, 'exceeded', null, 'used', v_used);
+end;
+$$;
+
+-- Gives a consumed check back (failed check); never goes below zero.
+create or replace function refund_quota(p_tg_user_id bigint, p_periods text[])
+returns void
+language sql
+as $$
+  update quota_usage set used = greatest(used - 1, 0), updated_at = now()
+  where tg_user_id = p_tg_user_id and period = any(p_periods);
+$$;
+
+-- Organizations: the foreign key lets orgs.membership() embed the organization in one request
+create table if not exists organizations (
+  id bigserial primary key,
+  name text not null,
+  owner_tg_user_id bigint not null,
+  plan text not null default 'free',
+  pro_until timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists org_members (
+  id bigserial primary key,
+  org_id bigint not null references organizations (id) on delete cascade,
+  tg_user_id bigint not null unique,
+  role text not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists org_members_org_idx on org_members (org_id);
+
+create table if not exists org_invites (
+  id bigserial primary key,
+  org_id bigint not null references organizations (id) on delete cascade,
+  token_hash text not null unique,
+  role text not null,
+  created_by_tg_user_id bigint not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  used_by_tg_user_id bigint
+);
+
+-- columns of the original tables added since (types: see the header of schema.sql)
+alter table inn_checks add column if not exists org_id bigint;
+alter table inn_checks add column if not exists risk_score integer;
+alter table inn_checks add column if not exists risk_flags jsonb;
+alter table inn_checks add column if not exists pdf_path text;
+alter table inn_checks add column if not exists report_no text unique;
+alter table inn_checks add column if not exists pdf_sha256 text;
+alter table inn_checks add column if not exists fetched_at timestamptz;
+alter table subscriptions add column if not exists org_id bigint;
+alter table subscriptions add column if not exists reminded_at timestamptz;
+create index if not exists inn_checks_user_idx on inn_checks (tg_user_id, created_at);
+create index if not exists inn_checks_inn_idx on inn_checks (inn, fetched_at);
+create index if not exists inn_checks_org_idx on inn_checks (org_id, created_at);
+create index if not exists subscriptions_status_idx on subscriptions (status, expires_at);
+
+create table if not exists watchlist (
+  id bigserial primary key,
+  tg_user_id bigint not null,
+  org_id bigint,
+  inn text not null,
+  name text,
+  snapshot jsonb,
+  last_checked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+-- tables created before organizations
+alter table watchlist add column if not exists org_id bigint;
+create index if not exists watchlist_due_idx on watchlist (last_checked_at);
+create index if not exists watchlist_org_idx on watchlist (org_id);
+
+-- one watch per INN in each list (see schema.sql); replaces unique (tg_user_id, inn), which also covered org rows
+alter table watchlist drop constraint if exists watchlist_tg_user_id_inn_key;
+create unique index if not exists watchlist_org_inn_idx on watchlist (org_id, inn) where org_id is not null;
+create unique index if not exists watchlist_user_inn_idx on watchlist (tg_user_id, inn) where org_id is null;
+
+create table if not exists provider_errors (
+  id bigserial primary key,
+  provider text,
+  query text,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists admin_audit (
+  id bigserial primary key,
+  admin_tg_user_id bigint not null,
+  action text not null,
+  target_tg_user_id bigint,
+  params jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists api_keys (
+  id bigserial primary key,
+  tg_user_id bigint not null,
+  key_hash text not null unique,
+  key_hint text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+create index if not exists api_keys_user_idx on api_keys (tg_user_id);
+
+create table if not exists ai_analyses (
+  id bigserial primary key,
+  inn text not null,
+  data_hash text not null unique,
+  backend text,
+  model text,
+  analysis jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ai_usage (
+  id bigserial primary key,
+  tg_user_id bigint,
+  check_id bigint,
+  inn text,
+  backend text,
+  model text,
+  cached boolean not null default false,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer not null default 0,
+  created_at timestamptz not null default now()
+);
+create index if not exists ai_usage_created_idx on ai_usage (created_at);
@@ -0,0 +1,69 @@
+/* =======================
+   Public report verification page (/verify/:reportNo)
+   - found + hash matches  -> the stored file is exactly what was issued
+   - found + hash mismatch -> the stored file was replaced or damaged
+   - found, file missing   -> the report was issued, but its file is gone (expired / deleted)
+   The recipient can compare the SHA-256 shown here with the hash of their own copy.
+======================= */
+import { DEFAULT_BUSINESS_TZ, timeZoneLabel } from './plans.js';
+
+function esc(s) {
+  return String(s ?? '—').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function verdict({ found, hashMatches, error }) {
+  if (error) return { cls: 'warn', title: 'Не удалось выполнить проверку', text: 'Попробуйте открыть ссылку позже.' };
+  if (!found) return { cls: 'bad', title: 'Отчёт не найден', text: 'Отчёт с таким номером системой ProverkaBiz не выдавался.' };
+  if (hashMatches === true) return { cls: 'ok', title: 'Отчёт подлинный', text: 'Отчёт выдан системой ProverkaBiz, файл не изменялся.' };
+  if (hashMatches === false) {
+    return { cls: 'bad', title: 'Файл отчёта не совпадает', text: 'Отчёт выдавался, но сохранённый файл отличается от выданного.' };
+  }
+  return {
+    cls: 'warn',
+    title: 'Отчёт выдавался',
+    text: 'Файл отчёта больше не хранится, сверьте SHA-256 вашей копии с указанным ниже.'
+  };
+}
+
+export function renderVerifyPage({ reportNo, found = false, inn, summary, generatedAt, sha256, hashMatches = null, error = false, timeZone = DEFAULT_BUSINESS_TZ }) {
+  const v = verdict({ found, hashMatches, error });
+  const rows = found
+    ? [
+        ['Номер отчёта', reportNo],
+        ['ИНН', inn],
+        ['Организация', summary],
+        ['Сформирован', generatedAt ? `${new Date(generatedAt).toLocaleString('ru-RU', { timeZone })} ${timeZoneLabel(timeZone)}` : null],
+        ['SHA-256', sha256]
+      ]
+    : [['Номер отчёта', reportNo]];
+
+  return `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Проверка отчёта ${esc(reportNo)} — ProverkaBiz</title>
+<style>
+  body { margin: 0; font: 15px/1.45 -apple-system, "Segoe UI", Roboto, Arial, sans-serif; background: #F5F7FB; color: #111827; }
+  .card { max-width: 560px; margin: 32px auto; background: #fff; border-radius: 16px; padding: 24px; box-shadow: 0 4px 20px rgba(0,0,0,.06); }
+  .brand { font-weight: 700; color: #1F5FBF; margin-bottom: 16px; }
+  .verdict { border-radius: 12px; padding: 14px 16px; margin-bottom: 18px; }
+  .verdict b { display: block; font-size: 17px; margin-bottom: 4px; }
+  .ok { background: #E7F6EC; color: #0B6B35; }
+  .bad { background: #FDECEA; color: #A3231A; }
+  .warn { background: #FFF6E0; color: #8A5A00; }
+  .row { display: flex; gap: 12px; padding: 8px 0; border-top: 1px solid #E5E7EB; }
+  .k { flex: 0 0 130px; color: #6B7280; }
+  .v { flex: 1; word-break: break-all; }
+</style>
+</head>
+<body>
+<div class="card">
+  <div class="brand">ProverkaBiz · проверка подлинности отчёта</div>
+  <div class="verdict ${v.cls}"><b>${esc(v.title)}</b>${esc(v.text)}</div>
+  ${rows.map(([k, val]) => `<div class="row"><div class="k">${esc(k)}</div><div class="v">${esc(val)}</div></div>`).join('\n  ')}
+</div>
+</body>
+</html>`;
+}
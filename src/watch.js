@@ -0,0 +1,60 @@
+/* =======================
+   Watchlist snapshots and field-by-field diff
+   A snapshot is a small, stable subset of the canonical company + risk flags,
+   stored in watchlist.snapshot and compared on every scheduled re-fetch.
+======================= */
+
+const FIELDS = [
+  ['name', 'Наименование'],
+  ['status', 'Статус'],
+  ['address', 'Адрес'],
+  ['kpp', 'КПП'],
+  ['director', 'Руководитель']
+];
+
+export function makeSnapshot(company, risk) {
+  return {
+    name: company?.name || null,
+    status: company?.status || null,
+    address: company?.address || null,
+    kpp: company?.kpp || null,
+    director: company?.director?.name || null,
+    flags: (risk?.flags || []).map((f) => ({ id: f.id, title: f.title })),
+    risk_level: risk?.level || null
+  };
+}
+
+function norm(v) {
+  return String(v ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// -> [{ field, label, before, after }] ; empty array = nothing changed
+export function diffSnapshots(prev, next) {
+  if (!prev || !next) return [];
+  const changes = [];
+
+  for (const [field, label] of FIELDS) {
+    // a provider that does not return a field is not a change
+    if (next[field] === null || next[field] === undefined) continue;
+    if (norm(prev[field]) !== norm(next[field])) {
+      changes.push({ field, label, before: prev[field] ?? '—', after: next[field] });
+    }
+  }
+
+  const prevIds = new Set((prev.flags || []).map((f) => f.id));
+  const nextIds = new Set((next.flags || []).map((f) => f.id));
+  const added = (next.flags || []).filter((f) => !prevIds.has(f.id));
+  const removed = (prev.flags || []).filter((f) => !nextIds.has(f.id));
+
+  added.forEach((f) => changes.push({ field: 'flag', label: 'Новый риск-флаг', before: null, after: f.title }));
+  removed.forEach((f) => changes.push({ field: 'flag', label: 'Снят риск-флаг', before: f.title, after: null }));
+
+  return changes;
+}
+
+export function formatChanges(changes) {
+  return changes.map((c) => {
+    if (c.field === 'flag') return c.after ? `🚩 ${c.label}: ${c.after}` : `✅ ${c.label}: ${c.before}`;
+    return `• ${c.label}: ${c.before} → ${c.after}`;
+  }).join('\n');
+}
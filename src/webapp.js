@@ -0,0 +1,45 @@
+/* =======================
+   Telegram WebApp initData validation
+   https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+   secret = HMAC_SHA256(key = "WebAppData", BOT_TOKEN)
+   hash   = hex(HMAC_SHA256(key = secret, data_check_string))
+   data_check_string: all fields except hash, sorted by key, "key=value" joined by \n
+======================= */
+import crypto from 'node:crypto';
+
+const DEFAULT_MAX_AGE_SEC = 24 * 3600;
+
+// -> { ok: true, user, authDate } | { ok: false, error }
+export function validateInitData(initData, botToken, { maxAgeSec = DEFAULT_MAX_AGE_SEC } = {}) {
+  if (!initData || typeof initData !== 'string') return { ok: false, error: 'initData missing' };
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) return { ok: false, error: 'hash missing' };
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('\n');
+
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex');
+
+  if (!crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(hash.toLowerCase(), 'hex'))) {
+    return { ok: false, error: 'bad signature' };
+  }
+
+  const authDate = Number(params.get('auth_date') || 0);
+  if (!authDate || Date.now() / 1000 - authDate > maxAgeSec) return { ok: false, error: 'initData expired' };
+
+  let user = null;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch {
+    user = null;
+  }
+  if (!user?.id) return { ok: false, error: 'user missing' };
+
+  return { ok: true, user, authDate };
+}
@@ -0,0 +1,45 @@
+/* =======================
+   Identifier recognition in free-form messages (src/identifiers.js).
+   Run: npm test
+======================= */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseIdentifiers } from '../src/identifiers.js';
+
+const values = (text) => parseIdentifiers(text).map((r) => [r.kind, r.value, r.valid]);
+
+test('labels, groups of digits and hyphens', () => {
+  assert.deepEqual(values('ИНН 7707083893'), [['inn', '7707083893', true]]);
+  assert.deepEqual(values('ИНН:7707083893'), [['inn', '7707083893', true]]);
+  assert.deepEqual(values('ИНН7707083893'), [['inn', '7707083893', true]]);
+  assert.deepEqual(values('7707 083 893'), [['inn', '7707083893', true]]);
+  assert.deepEqual(values('7707-083-893.'), [['inn', '7707083893', true]]);
+});
+
+test('several numbers per message', () => {
+  assert.deepEqual(values('7707083893 7736207543'), [['inn', '7707083893', true], ['inn', '7736207543', true]]);
+  assert.deepEqual(values('7707083893\n1027700132195; 7736207543'), [
+    ['inn', '7707083893', true],
+    ['ogrn', '1027700132195', true],
+    ['inn', '7736207543', true]
+  ]);
+  assert.deepEqual(values('ИНН/КПП 7707083893/773601001'), [['inn', '7707083893', true], ['kpp', '773601001', true]]);
+});
+
+test('a whole identifier is not glued to the number next to it', () => {
+  assert.deepEqual(values('7707083893 123'), [['inn', '7707083893', true]]);
+  assert.deepEqual(values('1027700132195 12'), [['ogrn', '1027700132195', true]]);
+  assert.deepEqual(values('7707083893 12345'), [['inn', '7707083893', true], ['unknown', '12345', false]]);
+});
+
+test('KPP with letters in the reason code survives', () => {
+  assert.deepEqual(values('КПП 7736AB001'), [['kpp', '7736AB001', true]]);
+  assert.deepEqual(values('ИНН 7707083893 КПП 7736AB001'), [['inn', '7707083893', true], ['kpp', '7736AB001', true]]);
+});
+
+test('dates, house numbers and typos', () => {
+  assert.deepEqual(values('от 01.10.2026, д. 19'), []);
+  assert.deepEqual(values('7707083894'), [['inn', '7707083894', false]]);
+  assert.deepEqual(values('12345678'), [['unknown', '12345678', false]]);
+});
@@ -0,0 +1,43 @@
+/* =======================
+   Access plans and business-timezone days (src/plans.js).
+   Run: npm test
+======================= */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAccessPlans, periodKeys, shiftDay, zonedDayStart } from '../src/plans.js';
+
+test('parseAccessPlans: null limits stay "no limit", overrides merge over the defaults', () => {
+  const plans = parseAccessPlans('{"team": {"limits": {"watchlist": null}}, "free": {"limits": {"daily": 5}}}');
+
+  assert.equal(plans.team.limits.watchlist, null);
+  assert.equal(plans.team.limits.members, null);
+  assert.equal(plans.free.limits.daily, 5);
+  assert.equal(plans.pro.limits.watchlist, 100);
+});
+
+test('periodKeys: the day of the business timezone, not of UTC', () => {
+  assert.deepEqual(periodKeys(new Date('2026-10-18T21:30:00Z'), 'Europe/Moscow'), { day: '2026-10-19', month: '2026-10' });
+  assert.deepEqual(periodKeys(new Date('2026-10-18T21:30:00Z'), 'UTC'), { day: '2026-10-18', month: '2026-10' });
+});
+
+test('shiftDay: calendar arithmetic across months and years', () => {
+  assert.equal(shiftDay('2026-03-01', -1), '2026-02-28');
+  assert.equal(shiftDay('2024-12-31', 1), '2025-01-01');
+  assert.equal(shiftDay('2026-10-19', 0), '2026-10-19');
+});
+
+test('zonedDayStart: midnight of the timezone as an instant', () => {
+  assert.equal(zonedDayStart('2026-10-19', 'Europe/Moscow').toISOString(), '2026-10-18T21:00:00.000Z');
+  assert.equal(zonedDayStart('2026-06-15', 'Asia/Kolkata').toISOString(), '2026-06-14T18:30:00.000Z');
+  assert.equal(zonedDayStart('2026-01-01', 'UTC').toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('zonedDayStart: days around a DST switch', () => {
+  // Berlin: 29.03.2026 starts at +1, the next day at +2
+  assert.equal(zonedDayStart('2026-03-29', 'Europe/Berlin').toISOString(), '2026-03-28T23:00:00.000Z');
+  assert.equal(zonedDayStart('2026-03-30', 'Europe/Berlin').toISOString(), '2026-03-29T22:00:00.000Z');
+  // New York: 01.11.2026 starts at -4, the next day at -5
+  assert.equal(zonedDayStart('2026-11-01', 'America/New_York').toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.equal(zonedDayStart('2026-11-02', 'America/New_York').toISOString(), '2026-11-02T05:00:00.000Z');
+});
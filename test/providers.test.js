@@ -0,0 +1,349 @@
+/* =======================
+   Provider adapters against saved API responses (test/fixtures, trimmed to the fields the adapters read), no network:
+   canonical output of each adapter and the fallback order of createProviders().
+   Run: npm test
+======================= */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { createCheckoAdapter } from '../src/providers/checko.js';
+import { createDadataAdapter } from '../src/providers/dadata.js';
+import { createEgrulAdapter } from '../src/providers/egrul.js';
+import { createProviders } from '../src/providers/index.js';
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+function reply(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+// routes: [[substring of the URL, fixture name | (url, opts) => response]]; every call is recorded in fetchImpl.calls
+function fakeFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url, opts = {}) => {
+    calls.push({ url, opts });
+    const route = routes.find(([part]) => url.includes(part));
+    if (!route) throw new Error(`unexpected request: ${url}`);
+    const [, target] = route;
+    return typeof target === 'function' ? target(url, opts) : reply(fixture(target));
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+const silent = (t) => t.mock.method(console, 'log', () => {});
+
+/* ---------- Checko ---------- */
+
+test('checko: company card -> canonical company', async () => {
+  const fetchImpl = fakeFetch([['/v2/company?', 'checko_company']]);
+  const checko = createCheckoAdapter({ apiKey: 'k', fetchImpl });
+
+  const res = await checko.fetchRaw('7707083893');
+  assert.equal(res.error, null);
+  assert.match(fetchImpl.calls[0].url, /\/v2\/company\?key=k&inn=7707083893$/);
+
+  const c = checko.normalize(res.raw);
+  assert.equal(c.type, 'ul');
+  assert.equal(c.inn, '7707083893');
+  assert.equal(c.ogrn, '1027700132195');
+  assert.equal(c.kpp, '773601001');
+  assert.equal(c.name, 'ПАО СБЕРБАНК');
+  assert.equal(c.status, 'Действует');
+  assert.equal(c.status_code, 'active');
+  assert.equal(c.registered_at, '1991-06-20');
+  assert.equal(c.address, 'г. Москва, ул. Вавилова, д. 19');
+  assert.equal(c.city, 'г. Москва');
+  assert.equal(c.region_code, '77');
+  assert.equal(c.address_mass, false);
+  assert.equal(c.address_invalid, false);
+  assert.deepEqual(c.director, {
+    name: 'Греф Герман Оскарович',
+    inn: '773165008890',
+    post: 'ПРЕЗИДЕНТ, ПРЕДСЕДАТЕЛЬ ПРАВЛЕНИЯ',
+    disqualified: false,
+    mass: false
+  });
+  assert.deepEqual(c.okved, { code: '64.19', name: 'Денежное посредничество прочее' });
+  assert.equal(c.capital, 67760844000);
+  assert.equal(c.employees, 212000);
+  assert.equal(c.tax_debt, 0);
+  assert.equal(c.unreliable_supplier, false);
+});
+
+test('checko: finances by year, oldest first, liabilities = long + short term', () => {
+  const c = createCheckoAdapter({ apiKey: 'k' }).normalize(fixture('checko_company'));
+
+  assert.deepEqual(c.finance.map((r) => r.year), [2021, 2022, 2023]);
+  assert.deepEqual(c.finance[1], {
+    year: 2022,
+    revenue: 3100000000,
+    profit: -120000000,
+    assets: 8000000000,
+    current_assets: 2500000000,
+    equity: 1500000000,
+    liabilities: 6500000000,
+    current_liabilities: 5500000000
+  });
+  assert.equal(c.finance[0].liabilities, 5980000000);
+  assert.equal(c.finance[2].revenue, 3450000000);
+  assert.equal(c.finance[2].liabilities, null);
+});
+
+test('checko: courts, enforcement proceedings and contracts counters', () => {
+  const c = createCheckoAdapter({ apiKey: 'k' }).normalize(fixture('checko_company'));
+
+  assert.deepEqual(c.arbitration, { plaintiff_count: 120, plaintiff_sum: 560000000, defendant_count: 12, defendant_sum: 3400000 });
+  assert.deepEqual(c.enforcements, { count: 8, open_count: 2, open_sum: 15000 });
+  assert.deepEqual(c.contracts, { count: 47, sum: 1200000000, count_44: 40, sum_44: 1200000000, count_223: 7, sum_223: null });
+});
+
+test('checko: founders, affiliates without the company itself, branches', () => {
+  const c = createCheckoAdapter({ apiKey: 'k' }).normalize(fixture('checko_company'));
+
+  assert.deepEqual(c.founders.map((f) => [f.kind, f.name, f.share_percent]), [
+    ['company', 'ЦБ РФ', 0.00001],
+    ['public', 'Министерство финансов Российской Федерации', 50]
+  ]);
+  assert.deepEqual(c.affiliates.map((a) => [a.via, a.inn, a.status_code]), [
+    ['founder', '7736632467', 'active'],
+    ['director', '7704545463', 'liquidated']
+  ]);
+  assert.equal(c.affiliates[1].liquidated_at, '2019-03-01');
+  assert.deepEqual(c.branches, [
+    { kind: 'branch', name: 'Уральский банк', kpp: '667102008', address: 'г. Екатеринбург, ул. Куйбышева, д. 67' }
+  ]);
+});
+
+test('checko: empty data is "not found", HTTP errors are reported', async () => {
+  const notFound = createCheckoAdapter({ apiKey: 'k', fetchImpl: fakeFetch([['/v2/', 'checko_not_found']]) });
+  assert.equal((await notFound.fetchRaw('7707083893')).error, 'Checko: организация не найдена');
+
+  const down = createCheckoAdapter({ apiKey: 'k', fetchImpl: fakeFetch([['/v2/', () => reply(null, 502)]]) });
+  assert.equal((await down.fetchRaw('7707083893')).error, 'Checko HTTP 502');
+});
+
+test('checko: 12-digit INN and OGRNIP go to /entrepreneur', async () => {
+  const fetchImpl = fakeFetch([['/v2/entrepreneur?', 'checko_not_found']]);
+  const checko = createCheckoAdapter({ apiKey: 'k', fetchImpl });
+  await checko.fetchRaw('500100732259');
+  await checko.fetchRaw('304500116000157');
+  assert.match(fetchImpl.calls[0].url, /entrepreneur\?key=k&inn=500100732259$/);
+  assert.match(fetchImpl.calls[1].url, /entrepreneur\?key=k&ogrn=304500116000157$/);
+});
+
+test('checko: arbitration records page -> canonical records', async () => {
+  const fetchImpl = fakeFetch([['/v2/legal-cases?', 'checko_legal_cases']]);
+  const checko = createCheckoAdapter({ apiKey: 'k', fetchImpl });
+
+  const res = await checko.records('7707083893', 'arbitration', { page: 2, limit: 5 });
+  assert.equal(res.error, null);
+  assert.equal(res.total, 132);
+  assert.deepEqual(res.items[0], {
+    number: 'А40-123456/2024',
+    date: '2024-05-14',
+    role: 'defendant',
+    sum: 3400000,
+    court: 'АС города Москвы',
+    url: 'https://kad.arbitr.ru/Card/00000000-0000-0000-0000-000000000001'
+  });
+  assert.equal(res.items[1].role, 'plaintiff');
+
+  const params = new URL(fetchImpl.calls[0].url).searchParams;
+  assert.equal(params.get('page'), '2');
+  assert.equal(params.get('limit'), '5');
+});
+
+test('checko: records without a total keep it unknown', async () => {
+  const page = fixture('checko_legal_cases');
+  delete page.data.ОбщКолич;
+  const checko = createCheckoAdapter({ apiKey: 'k', fetchImpl: fakeFetch([['/v2/legal-cases?', () => reply(page)]]) });
+
+  const res = await checko.records('7707083893', 'arbitration', { page: 1, limit: 2 });
+  assert.equal(res.total, null);
+  assert.equal(res.items.length, 2);
+});
+
+/* ---------- DaData ---------- */
+
+test('dadata: party card -> canonical company', async () => {
+  const fetchImpl = fakeFetch([['/findById/party', 'dadata_party']]);
+  const dadata = createDadataAdapter({ apiKey: 'token', fetchImpl });
+
+  const res = await dadata.fetchRaw('7707083893');
+  assert.equal(res.error, null);
+  assert.equal(res.raw.suggestions.length, 1);
+  assert.equal(fetchImpl.calls[0].opts.headers.Authorization, 'Token token');
+  assert.deepEqual(JSON.parse(fetchImpl.calls[0].opts.body), { query: '7707083893', branch_type: 'MAIN' });
+
+  const c = dadata.normalize(res.raw);
+  assert.equal(c.type, 'ul');
+  assert.equal(c.inn, '7707083893');
+  assert.equal(c.ogrn, '1027700132195');
+  assert.equal(c.name, 'ПАО СБЕРБАНК');
+  assert.equal(c.status, 'Действующая');
+  assert.equal(c.status_code, 'active');
+  assert.equal(c.registered_at, '1991-06-20');
+  assert.equal(c.address, '117312, г Москва, Академический р-н, ул Вавилова, д 19');
+  assert.equal(c.region_code, '77');
+  assert.equal(c.address_invalid, null);
+  assert.deepEqual(c.director, {
+    name: 'Греф Герман Оскарович',
+    inn: '773165008890',
+    post: 'ПРЕЗИДЕНТ, ПРЕДСЕДАТЕЛЬ ПРАВЛЕНИЯ',
+    disqualified: false,
+    mass: null
+  });
+  assert.deepEqual(c.okved, { code: '64.19', name: null });
+  assert.equal(c.employees, 212000);
+  assert.equal(c.tax_debt, 0);
+  assert.deepEqual(c.founders.map((f) => [f.kind, f.name, f.share_percent]), [
+    ['company', 'Российская Федерация', 50],
+    ['person', 'Иванов Иван Иванович', 25]
+  ]);
+  // no balance sheet: one year, profit = income - expense
+  assert.deepEqual(c.finance, [{
+    year: 2023,
+    revenue: 3450000000,
+    profit: 300000000,
+    assets: null,
+    current_assets: null,
+    equity: null,
+    liabilities: null,
+    current_liabilities: null
+  }]);
+  assert.equal(c.affiliates, null);
+  assert.equal(c.arbitration, null);
+});
+
+test('dadata: no suggestions is "not found"', async () => {
+  const dadata = createDadataAdapter({ apiKey: 'token', fetchImpl: fakeFetch([['/findById/party', () => reply({ suggestions: [] })]]) });
+  assert.equal((await dadata.fetchRaw('7707083893')).error, 'DaData: организация не найдена');
+});
+
+/* ---------- EGRUL ---------- */
+
+test('egrul: query token -> search result, the current record wins', async () => {
+  const fetchImpl = fakeFetch([['/search-result/', 'egrul_result'], ['egrul.nalog.ru/', 'egrul_query']]);
+  const egrul = createEgrulAdapter({ fetchImpl });
+
+  const res = await egrul.fetchRaw('7707083893');
+  assert.equal(res.error, null);
+  assert.equal(fetchImpl.calls[0].opts.body, 'query=7707083893');
+  assert.match(fetchImpl.calls[1].url, /\/search-result\/A1B2C3D4E5F6\?r=\d+$/);
+  assert.equal(res.raw.rows[0].t, 'CURRENT');
+
+  const c = egrul.normalize(res.raw);
+  assert.equal(c.type, 'ul');
+  assert.equal(c.inn, '7707083893');
+  assert.equal(c.ogrn, '1027700132195');
+  assert.equal(c.kpp, '773601001');
+  assert.equal(c.name, 'ПАО СБЕРБАНК');
+  assert.equal(c.status_code, 'active');
+  assert.equal(c.registered_at, '2002-08-16');
+  assert.equal(c.liquidated_at, null);
+  assert.deepEqual(c.director, {
+    name: 'Греф Герман Оскарович',
+    inn: null,
+    post: 'ПРЕЗИДЕНТ, ПРЕДСЕДАТЕЛЬ ПРАВЛЕНИЯ',
+    disqualified: null,
+    mass: null
+  });
+  assert.equal(c.finance, null);
+});
+
+test('egrul: captcha is an error', async () => {
+  const egrul = createEgrulAdapter({ fetchImpl: fakeFetch([['egrul.nalog.ru/', () => reply({ captchaRequired: true })]]) });
+  assert.equal((await egrul.fetchRaw('7707083893')).error, 'EGRUL: требуется капча');
+});
+
+/* ---------- fallback chain ---------- */
+
+const ALL_UP = [
+  ['api.checko.ru', 'checko_company'],
+  ['suggestions.dadata.ru', 'dadata_party'],
+  ['/search-result/', 'egrul_result'],
+  ['egrul.nalog.ru/', 'egrul_query']
+];
+
+test('fallback: the first configured provider answers', async () => {
+  const fetchImpl = fakeFetch(ALL_UP);
+  const providers = createProviders({ checkoApiKey: 'k', dadataApiKey: 'token', fetchImpl });
+
+  assert.deepEqual(providers.chain, ['checko', 'dadata', 'egrul']);
+  const res = await providers.fetchCompany('7707083893');
+  assert.equal(res.provider, 'checko');
+  assert.equal(res.company.inn, '7707083893');
+  assert.deepEqual(res.attempts, []);
+  assert.equal(fetchImpl.calls.length, 1);
+});
+
+test('fallback: providers without a key are skipped', async () => {
+  const fetchImpl = fakeFetch(ALL_UP);
+  const res = await createProviders({ dadataApiKey: 'token', fetchImpl }).fetchCompany('7707083893');
+
+  assert.equal(res.provider, 'dadata');
+  assert.deepEqual(res.attempts, [{ provider: 'checko', error: 'ключ не задан' }]);
+  assert.ok(fetchImpl.calls.every((c) => !c.url.includes('checko')));
+});
+
+test('fallback: a failing provider falls through to the next one and is reported', async (t) => {
+  silent(t);
+  const errors = [];
+  const fetchImpl = fakeFetch([
+    ['api.checko.ru', () => reply({ meta: { status: 'error', message: 'Неверный ключ' } }, 403)],
+    ['suggestions.dadata.ru', () => { throw new Error('socket hang up'); }],
+    ...ALL_UP.slice(2)
+  ]);
+  const providers = createProviders({
+    checkoApiKey: 'k',
+    dadataApiKey: 'token',
+    fetchImpl,
+    onError: (provider, query, error) => errors.push([provider, query, error])
+  });
+
+  const res = await providers.fetchCompany('7707083893');
+  assert.equal(res.provider, 'egrul');
+  assert.equal(res.company.name, 'ПАО СБЕРБАНК');
+  assert.deepEqual(res.attempts, [
+    { provider: 'checko', error: 'Checko HTTP 403' },
+    { provider: 'dadata', error: 'Network error: socket hang up' }
+  ]);
+  assert.deepEqual(errors, [
+    ['checko', '7707083893', 'Checko HTTP 403'],
+    ['dadata', '7707083893', 'Network error: socket hang up']
+  ]);
+});
+
+test('fallback: PROVIDER_ORDER decides who is asked first, unknown names are dropped', async (t) => {
+  silent(t);
+  const fetchImpl = fakeFetch(ALL_UP);
+  const providers = createProviders({ checkoApiKey: 'k', dadataApiKey: 'token', order: 'egrul, nope, checko', fetchImpl });
+
+  assert.deepEqual(providers.chain, ['egrul', 'checko']);
+  assert.equal((await providers.fetchCompany('7707083893')).provider, 'egrul');
+});
+
+test('fallback: a provider that does not answer in time is skipped', async (t) => {
+  silent(t);
+  const hang = (url, opts) => new Promise((resolve, reject) => {
+    opts.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+  const fetchImpl = fakeFetch([['api.checko.ru', hang], ...ALL_UP.slice(1)]);
+  const providers = createProviders({ checkoApiKey: 'k', dadataApiKey: 'token', timeoutsJson: '{"checko": 20}', fetchImpl });
+
+  const res = await providers.fetchCompany('7707083893');
+  assert.equal(res.provider, 'dadata');
+  assert.deepEqual(res.attempts, [{ provider: 'checko', error: 'таймаут 20 мс' }]);
+});
+
+test('fallback: every provider failed -> one error listing all of them', async (t) => {
+  silent(t);
+  const fetchImpl = fakeFetch([['/', () => reply(null, 500)]]);
+  const res = await createProviders({ checkoApiKey: 'k', fetchImpl }).fetchCompany('7707083893');
+
+  assert.equal(res.provider, null);
+  assert.equal(res.company, null);
+  assert.equal(res.error, 'checko: Checko HTTP 500; dadata: ключ не задан; egrul: EGRUL HTTP 500');
+});